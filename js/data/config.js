@@ -4,10 +4,6 @@
  */
 
 export const GAME_CONFIG = {
-    // Map
-    mapWidth: 4000,
-    mapHeight: 4000,
-    
     // Victory/Game
     bossSpawnTime: 15 * 60 * 1000, // 15 minutes - boss spawns
     miniBossInterval: 5 * 60 * 1000, // Mini-boss every 5 minutes
@@ -30,7 +26,15 @@ export const GAME_CONFIG = {
         baseArmor: 0,
         baseRegen: 0,
         baseMagnetRadius: 80,
+        baseCritChance: 0.05,
+        baseCritDamage: 1.5, // Damage multiplier on a critical hit
         invincibilityTime: 1000, // ms after taking damage
+        
+        // Dash: a quick burst of speed with i-frames
+        dashSpeed: 750,
+        dashDuration: 180, // ms
+        dashInvincibility: 300, // ms
+        dashCooldown: 3000, // ms, shortened by the Cooldown stat
     },
     
     // XP and Leveling
@@ -40,6 +44,16 @@ export const GAME_CONFIG = {
         maxLevel: 100,
     },
     
+    // Level-up screen charges per run (before shop and character bonuses)
+    levelUp: {
+        baseRerolls: 1,
+        baseSkips: 1,
+        baseBanishes: 0,
+        skipCoins: 10, // Plus skipCoinsPerLevel for each player level
+        skipCoinsPerLevel: 2,
+        skipXpShare: 0.25, // Share of the next level's XP granted on a skip
+    },
+    
     // Pickups
     pickups: {
         xpMagnetSpeed: 600,
@@ -47,19 +61,62 @@ export const GAME_CONFIG = {
         chickenDropChance: 0.01,
         chestDropChance: 0.002,
         magnetDropChance: 0.002, // 0.2% chance to drop magnet
+        chestGoldPile: 50, // Coins for a chest reward when the build has nothing left to give
+        chestHealShare: 0.3, // Share of max HP healed by a chest reward, instead of gold while hurt
+        clockFreeze: 5000, // ms the Orologion freezes every enemy for
+    },
+    
+    // Destructible props (see PROPS)
+    props: {
+        density: 2.5, // Standing props per 1000x1000 px of map
+        respawnInterval: 8000, // ms between respawns while below the target count
+        respawnDistance: 800, // Respawns stay at least this far from the player (off screen)
     },
     
     // Spawning
     spawning: {
-        baseSpawnInterval: 1000, // ms
-        minSpawnInterval: 200,
+        minSpawnInterval: 200, // ms - stage waves set the base interval
         spawnDistance: 500, // Distance from player
         maxEnemies: 500,
     },
+    
+    // Elite enemies (see ELITE_AFFIXES)
+    elites: {
+        baseChance: 0.001, // Chance for a regular spawn to be elite at difficulty 1
+        chancePerDifficulty: 0.02, // Added per point of difficulty multiplier above 1
+        chancePerTier: 0.02, // Added per post-boss difficulty tier
+        maxChance: 0.1,
+        secondAffixChancePerTier: 0.15, // Post-boss tiers can roll two affixes
+        hpMult: 2,
+        xpMult: 3,
+        chestChance: 0.2, // Otherwise they drop a pile of coins
+        coinValue: 10,
+    },
+    
+    // Traveling merchant (see Merchant) - spends the run's coins mid-run
+    merchant: {
+        firstVisit: 3 * 60 * 1000,
+        interval: 4 * 60 * 1000, // After the last merchant leaves
+        stay: 60 * 1000, // ms before an unvisited merchant moves on
+        spawnDistance: 450, // From the player
+        stock: 3, // Weapon/passive offers, on top of healing and a reroll
+        healShare: 0.5, // Share of max HP restored by the healing offer
+        prices: {
+            newWeapon: 150,
+            newPassive: 120,
+            levelUp: 60, // Plus perLevel for each level the item already has
+            perLevel: 15,
+            heal: 40,
+            reroll: 75,
+        },
+        tierPriceMult: 0.25, // Added to prices per post-boss difficulty tier
+    },
 };
 
 /**
  * Character definitions
+ * ultimate is charged by kills and hits every enemy within radius: damage (scaled by Might),
+ * plus optional status, knockback, pull, heal (share of max HP) and invincibility (ms)
  */
 export const CHARACTERS = {
     antonio: {
@@ -69,6 +126,17 @@ export const CHARACTERS = {
         startingWeapon: 'magicWand',
         bonus: { damage: 1.1 },
         bonusText: '+10% Damage',
+        ultimate: {
+            name: 'Arcane Nova',
+            icon: '✨',
+            description: 'A blast of raw magic hits everything around you',
+            charge: 120, // Kills to fill
+            radius: 320,
+            damage: 60,
+            element: 'void',
+            knockback: 30,
+            color: '#a855f7',
+        },
         unlocked: true,
         unlockCondition: null,
     },
@@ -79,6 +147,17 @@ export const CHARACTERS = {
         startingWeapon: 'knife',
         bonus: { projectiles: 1 },
         bonusText: '+1 Projectile',
+        ultimate: {
+            name: 'Blade Flurry',
+            icon: '🔪',
+            description: 'A whirl of knives cuts down nearby enemies and leaves them bleeding',
+            charge: 100,
+            radius: 260,
+            damage: 45,
+            element: 'physical',
+            status: { type: 'bleed', duration: 4000, dps: 8 },
+            color: '#e5e7eb',
+        },
         unlocked: false,
         unlockCondition: { type: 'surviveTime', value: 8 * 60 * 1000 },
         unlockText: 'Survive 8 minutes',
@@ -88,8 +167,20 @@ export const CHARACTERS = {
         name: 'Imelda',
         sprite: '🧝',
         startingWeapon: 'garlic',
-        bonus: { growth: 1.15 },
-        bonusText: '+15% XP',
+        bonus: { growth: 1.15, skips: 2 },
+        bonusText: '+15% XP, +2 Skips',
+        ultimate: {
+            name: 'Sanctuary',
+            icon: '🌿',
+            description: 'Heals you and slows every enemy around you',
+            charge: 120,
+            radius: 280,
+            damage: 25,
+            element: 'holy',
+            heal: 0.3, // Share of max HP
+            status: { type: 'slow', duration: 4000, factor: 0.5 },
+            color: '#86efac',
+        },
         unlocked: false,
         unlockCondition: { type: 'surviveTime', value: 12 * 60 * 1000 },
         unlockText: 'Survive 12 minutes',
@@ -101,6 +192,17 @@ export const CHARACTERS = {
         startingWeapon: 'cross',
         bonus: { projectiles: 1, speed: 0.9 },
         bonusText: '+1 Projectile, -10% Speed',
+        ultimate: {
+            name: 'Grave Toll',
+            icon: '🔔',
+            description: 'A deathly knell that stuns everything nearby',
+            charge: 130,
+            radius: 300,
+            damage: 55,
+            element: 'physical',
+            status: { type: 'stun', duration: 1500 },
+            color: '#e2e8f0',
+        },
         unlocked: false,
         unlockCondition: { type: 'kills', value: 800 },
         unlockText: 'Kill 800 enemies in one run',
@@ -112,6 +214,17 @@ export const CHARACTERS = {
         startingWeapon: 'fireball',
         bonus: { cooldown: 0.9, area: 1.1 },
         bonusText: '-10% Cooldown, +10% Area',
+        ultimate: {
+            name: 'Inferno',
+            icon: '🔥',
+            description: 'A ring of fire that sets nearby enemies ablaze',
+            charge: 130,
+            radius: 340,
+            damage: 50,
+            element: 'fire',
+            status: { type: 'burn', duration: 5000, dps: 15 },
+            color: '#f97316',
+        },
         unlocked: false,
         unlockCondition: { type: 'bossKill', value: 1 },
         unlockText: 'Defeat the 15-minute Boss',
@@ -123,6 +236,18 @@ export const CHARACTERS = {
         startingWeapon: 'axe',
         bonus: { speed: 1.2, damage: 0.85 },
         bonusText: '+20% Speed, -15% Damage',
+        ultimate: {
+            name: 'Stampede',
+            icon: '🦙',
+            description: 'Tramples and flings back everything nearby, and briefly makes you untouchable',
+            charge: 90,
+            radius: 240,
+            damage: 40,
+            element: 'physical',
+            knockback: 80,
+            invincibility: 1500, // ms
+            color: '#fbbf24',
+        },
         unlocked: false,
         unlockCondition: { type: 'kills', value: 1500 },
         unlockText: 'Kill 1500 enemies in one run',
@@ -134,6 +259,18 @@ export const CHARACTERS = {
         startingWeapon: 'orbitalShield',
         bonus: { armor: 3, maxHp: 1.2 },
         bonusText: '+3 Armor, +20% Max HP',
+        ultimate: {
+            name: 'Shield Burst',
+            icon: '🛡️',
+            description: 'Your shield bursts outward, shoving enemies away and blocking all damage for a while',
+            charge: 140,
+            radius: 260,
+            damage: 50,
+            element: 'holy',
+            knockback: 90,
+            invincibility: 3000,
+            color: '#60a5fa',
+        },
         unlocked: false,
         unlockCondition: { type: 'surviveTime', value: 18 * 60 * 1000 },
         unlockText: 'Survive 18 minutes (past the portal)',
@@ -143,8 +280,19 @@ export const CHARACTERS = {
         name: 'Exdash',
         sprite: '👾',
         startingWeapon: 'voidBeam',
-        bonus: { luck: 1.5, maxHp: 0.5 },
-        bonusText: '+50% Luck, -50% Max HP',
+        bonus: { luck: 1.5, maxHp: 0.5, critChance: 0.1, rerolls: 2 },
+        bonusText: '+50% Luck, +10% Crit Chance, +2 Rerolls, -50% Max HP',
+        ultimate: {
+            name: 'Void Collapse',
+            icon: '🌀',
+            description: 'Drags nearby enemies into you, then crushes them',
+            charge: 150,
+            radius: 400,
+            damage: 70,
+            element: 'void',
+            pull: 0.8, // Share of the distance enemies are dragged in (bosses resist)
+            color: '#7c3aed',
+        },
         unlocked: false,
         unlockCondition: { type: 'kills', value: 7500 },
         unlockText: 'Kill 7,500 enemies in one run',
@@ -156,6 +304,16 @@ export const CHARACTERS = {
         startingWeapon: 'reaperScythe',
         bonus: { damage: 1.2 },
         bonusText: '+20% Might',
+        ultimate: {
+            name: 'Harvest',
+            icon: '🌑',
+            description: 'Reaps everything around you with a single swing',
+            charge: 160,
+            radius: 360,
+            damage: 120,
+            element: 'void',
+            color: '#1e1b4b',
+        },
         unlocked: false,
         unlockCondition: { type: 'kills', value: 15000 },
         unlockText: 'Kill 15,000 enemies in one run',
@@ -176,6 +334,7 @@ export const RARITY = {
 
 /**
  * Weapon definitions
+ * critChance (optional) is added to the player's crit chance for that weapon's hits
  */
 export const WEAPONS = {
     // ========== COMMON WEAPONS ==========
@@ -184,6 +343,7 @@ export const WEAPONS = {
         name: 'Magic Wand',
         icon: '🪄',
         rarity: 'COMMON',
+        element: 'void',
         description: 'Fires at the nearest enemy',
         baseDamage: 10,
         baseCooldown: 1200,
@@ -210,6 +370,7 @@ export const WEAPONS = {
         name: 'Knife',
         icon: '🗡️',
         rarity: 'COMMON',
+        element: 'physical',
         description: 'Rapid-fire projectiles that auto-aim at random enemies',
         baseDamage: 8,
         baseCooldown: 400,
@@ -218,6 +379,7 @@ export const WEAPONS = {
         baseDuration: 1,
         baseSpeed: 500,
         pierce: 1,
+        critChance: 0.1,
         maxLevel: 8,
         type: 'projectile',
         upgrades: [
@@ -236,6 +398,7 @@ export const WEAPONS = {
         name: 'Whip',
         icon: '🦯',
         rarity: 'COMMON',
+        element: 'physical',
         description: 'Attacks horizontally, passes through enemies',
         baseDamage: 15,
         baseCooldown: 1500,
@@ -262,7 +425,8 @@ export const WEAPONS = {
         name: 'Fireball',
         icon: '🔥',
         rarity: 'COMMON',
-        description: 'Launches fireballs that explode on impact',
+        element: 'fire',
+        description: 'Launches fireballs that explode on impact and set enemies burning',
         baseDamage: 12,
         baseCooldown: 1500,
         baseProjectiles: 1,
@@ -288,7 +452,8 @@ export const WEAPONS = {
         name: 'Ice Spear',
         icon: '🧊',
         rarity: 'COMMON',
-        description: 'Piercing ice projectiles that slow enemies',
+        element: 'ice',
+        description: 'Piercing ice projectiles that slow enemies and can freeze them',
         baseDamage: 8,
         baseCooldown: 1000,
         baseProjectiles: 1,
@@ -316,6 +481,7 @@ export const WEAPONS = {
         name: 'Axe',
         icon: '🪓',
         rarity: 'UNCOMMON',
+        element: 'physical',
         description: 'Thrown in an arc, high damage',
         baseDamage: 25,
         baseCooldown: 2000,
@@ -324,6 +490,7 @@ export const WEAPONS = {
         baseDuration: 2000,
         baseSpeed: 250,
         pierce: 999,
+        critChance: 0.05,
         maxLevel: 8,
         type: 'projectile',
         pattern: 'arc',
@@ -343,6 +510,7 @@ export const WEAPONS = {
         name: 'Cross',
         icon: '✝️',
         rarity: 'UNCOMMON',
+        element: 'holy',
         description: 'Boomerang that returns to player',
         baseDamage: 15,
         baseCooldown: 1800,
@@ -370,6 +538,7 @@ export const WEAPONS = {
         name: 'Holy Water',
         icon: '💧',
         rarity: 'UNCOMMON',
+        element: 'holy',
         description: 'Creates damaging pools on the ground',
         baseDamage: 8,
         baseCooldown: 3000,
@@ -396,6 +565,7 @@ export const WEAPONS = {
         name: 'Orbital Shield',
         icon: '🛡️',
         rarity: 'UNCOMMON',
+        element: 'physical',
         description: 'Rotating shields that block and damage',
         baseDamage: 10,
         baseCooldown: 50,
@@ -425,6 +595,7 @@ export const WEAPONS = {
         name: 'Garlic',
         icon: '🧄',
         rarity: 'RARE',
+        element: 'holy',
         description: 'Damages nearby enemies and knockback',
         baseDamage: 3,
         baseCooldown: 150,
@@ -453,6 +624,7 @@ export const WEAPONS = {
         name: 'Lightning Ring',
         icon: '⚡',
         rarity: 'RARE',
+        element: 'lightning',
         description: 'Strikes random nearby enemies',
         baseDamage: 20,
         baseCooldown: 800,
@@ -480,6 +652,7 @@ export const WEAPONS = {
         name: 'Spectral Sword',
         icon: '⚔️',
         rarity: 'RARE',
+        element: 'void',
         description: 'Orbiting swords that slash outward periodically',
         baseDamage: 18,
         baseCooldown: 1200,
@@ -508,7 +681,8 @@ export const WEAPONS = {
         name: 'Hellfire',
         icon: '🌋',
         rarity: 'EPIC',
-        description: 'Rains fire from the sky',
+        element: 'fire',
+        description: 'Rains fire from the sky, leaving enemies burning',
         baseDamage: 30,
         baseCooldown: 2000,
         baseProjectiles: 3,
@@ -535,6 +709,7 @@ export const WEAPONS = {
         name: 'Soul Eater',
         icon: '👻',
         rarity: 'EPIC',
+        element: 'void',
         description: 'Drains life from enemies',
         baseDamage: 18,
         baseCooldown: 1200,
@@ -564,6 +739,7 @@ export const WEAPONS = {
         name: 'Void Beam',
         icon: '🌀',
         rarity: 'LEGENDARY',
+        element: 'void',
         description: 'A devastating beam that annihilates all in its path',
         baseDamage: 50,
         baseCooldown: 3000,
@@ -590,6 +766,7 @@ export const WEAPONS = {
         name: 'Reaper Scythe',
         icon: '⚰️',
         rarity: 'LEGENDARY',
+        element: 'void',
         description: 'Massive sweeping attack that executes low-HP enemies',
         baseDamage: 60,
         baseCooldown: 2500,
@@ -598,6 +775,7 @@ export const WEAPONS = {
         baseDuration: 500,
         baseSpeed: 0,
         pierce: 999,
+        critChance: 0.1,
         maxLevel: 8,
         type: 'melee',
         execute: 0.15, // Execute enemies below 15% HP
@@ -619,6 +797,7 @@ export const WEAPONS = {
         name: 'Throwing Star',
         icon: '⭐',
         rarity: 'COMMON',
+        element: 'physical',
         description: 'Fast spinning stars in all directions',
         baseDamage: 6,
         baseCooldown: 800,
@@ -627,6 +806,7 @@ export const WEAPONS = {
         baseDuration: 1,
         baseSpeed: 350,
         pierce: 2,
+        critChance: 0.1,
         maxLevel: 8,
         type: 'projectile',
         upgrades: [
@@ -645,6 +825,7 @@ export const WEAPONS = {
         name: 'Bone',
         icon: '🦴',
         rarity: 'COMMON',
+        element: 'physical',
         description: 'Boomerangs back after thrown',
         baseDamage: 12,
         baseCooldown: 1500,
@@ -673,6 +854,7 @@ export const WEAPONS = {
         name: 'Chain Lightning',
         icon: '⚡',
         rarity: 'UNCOMMON',
+        element: 'lightning',
         description: 'Lightning that bounces between enemies',
         baseDamage: 10,
         baseCooldown: 1400,
@@ -702,7 +884,8 @@ export const WEAPONS = {
         name: 'Shadow Dagger',
         icon: '🔪',
         rarity: 'RARE',
-        description: 'Teleports to random enemy and strikes',
+        element: 'void',
+        description: 'Teleports to random enemy and strikes, leaving it bleeding',
         baseDamage: 25,
         baseCooldown: 1600,
         baseProjectiles: 1,
@@ -710,6 +893,7 @@ export const WEAPONS = {
         baseDuration: 300,
         baseSpeed: 0,
         pierce: 1,
+        critChance: 0.2,
         maxLevel: 8,
         type: 'teleport',
         upgrades: [
@@ -730,6 +914,7 @@ export const WEAPONS = {
         name: 'Thunder Strike',
         icon: '⛈️',
         rarity: 'EPIC',
+        element: 'lightning',
         description: 'Calls down thunder on random enemies',
         baseDamage: 35,
         baseCooldown: 1800,
@@ -751,6 +936,91 @@ export const WEAPONS = {
             { projectiles: 3, damage: 20 },
         ],
     },
+    
+    // ========== EVOLVED WEAPONS ==========
+    // Never offered on level-up; only obtained from chests (see EVOLUTIONS)
+    holyWand: {
+        id: 'holyWand',
+        name: 'Holy Wand',
+        icon: '✨',
+        rarity: 'LEGENDARY',
+        element: 'holy',
+        evolution: true,
+        description: 'Evolved Magic Wand. Fires an unbroken stream of holy bolts',
+        baseDamage: 20,
+        baseCooldown: 250,
+        baseProjectiles: 2,
+        baseArea: 1.2,
+        baseDuration: 1,
+        baseSpeed: 450,
+        pierce: 2,
+        maxLevel: 1,
+        type: 'projectile',
+        upgrades: [],
+    },
+    thousandEdge: {
+        id: 'thousandEdge',
+        name: 'Thousand Edge',
+        icon: '⚔️',
+        rarity: 'LEGENDARY',
+        element: 'physical',
+        evolution: true,
+        description: 'Evolved Knife. A relentless barrage of blades',
+        baseDamage: 14,
+        baseCooldown: 120,
+        baseProjectiles: 3,
+        baseArea: 1,
+        baseDuration: 1,
+        baseSpeed: 650,
+        pierce: 3,
+        critChance: 0.15,
+        maxLevel: 1,
+        type: 'projectile',
+        upgrades: [],
+    },
+    bloodyTear: {
+        id: 'bloodyTear',
+        name: 'Bloody Tear',
+        icon: '🩸',
+        rarity: 'LEGENDARY',
+        element: 'physical',
+        evolution: true,
+        description: 'Evolved Whip. Lashes both sides and heals on every hit',
+        baseDamage: 45,
+        baseCooldown: 1100,
+        baseProjectiles: 2,
+        baseArea: 1.4,
+        baseDuration: 300,
+        baseSpeed: 0,
+        pierce: 999,
+        maxLevel: 1,
+        type: 'melee',
+        healPerHit: 1,
+        upgrades: [],
+    },
+    crimsonShroud: {
+        id: 'crimsonShroud',
+        name: 'Crimson Shroud',
+        icon: '🌹',
+        rarity: 'LEGENDARY',
+        element: 'holy',
+        evolution: true,
+        description: 'Evolved Garlic. A vast draining aura that restores HP',
+        baseDamage: 8,
+        baseCooldown: 200,
+        baseProjectiles: 1,
+        baseArea: 1,
+        baseDuration: 1,
+        baseSpeed: 0,
+        pierce: 999,
+        maxLevel: 1,
+        type: 'aura',
+        baseRadius: 90,
+        knockback: 2,
+        healPerHit: 0.1,
+        maxHealPerPulse: 1,
+        upgrades: [],
+    },
 };
 
 /**
@@ -869,10 +1139,92 @@ export const PASSIVES = {
         maxLevel: 3,
         effect: { revival: 1 },
     },
+    luckyCoin: {
+        id: 'luckyCoin',
+        name: 'Lucky Coin',
+        icon: '🪙',
+        description: '+4% Critical Chance',
+        maxLevel: 5,
+        effect: { critChance: 0.04 },
+    },
+    whetstone: {
+        id: 'whetstone',
+        name: 'Whetstone',
+        icon: '🪨',
+        description: '+20% Critical Damage',
+        maxLevel: 5,
+        effect: { critDamage: 0.2 },
+    },
+};
+
+/**
+ * Weapon evolution recipes
+ * A max-level weapon plus the listed passive evolves into the keyed weapon
+ * the next time a chest is opened
+ */
+export const EVOLUTIONS = {
+    holyWand: { id: 'holyWand', weapon: 'magicWand', passive: 'emptyTome' },
+    thousandEdge: { id: 'thousandEdge', weapon: 'knife', passive: 'bracer' },
+    bloodyTear: { id: 'bloodyTear', weapon: 'whip', passive: 'hollowHeart' },
+    crimsonShroud: { id: 'crimsonShroud', weapon: 'garlic', passive: 'pummarola' },
+};
+
+/**
+ * Treasure chest tiers, best first - an opened chest rolls for each tier in turn
+ * (chance × luck, plus the source's bonus) and falls back to the last one
+ */
+export const CHEST_TIERS = {
+    gold: { id: 'gold', name: 'Golden Chest', rewards: 5, chance: 0.03, color: '#fbbf24' },
+    silver: { id: 'silver', name: 'Silver Chest', rewards: 3, chance: 0.12, color: '#cbd5e1' },
+    bronze: { id: 'bronze', name: 'Treasure Chest', rewards: 1, color: '#d97706' },
+};
+
+/**
+ * Where a chest dropped from: bonus odds for the better tiers, and the lowest tier it can roll
+ */
+export const CHEST_SOURCES = {
+    elite: { bonus: 0.05, minTier: 'bronze' },
+    miniBoss: { bonus: 0.15, minTier: 'silver' },
+    boss: { bonus: 0.35, minTier: 'silver' },
+};
+
+/**
+ * Destructible map props (see PropManager) - any weapon hit breaks one for a PROP_DROPS pickup
+ * light: glow drawn around the prop while it stands
+ */
+export const PROPS = {
+    brazier: { id: 'brazier', name: 'Brazier', radius: 12, weight: 3, light: { radius: 80, color: '249, 115, 22' } },
+    candelabra: { id: 'candelabra', name: 'Candelabra', radius: 10, weight: 2, light: { radius: 60, color: '253, 224, 71' } },
+    crate: { id: 'crate', name: 'Crate', radius: 14, weight: 3 },
+};
+
+/**
+ * What a broken prop drops, by weight - luck: true weights are multiplied by the player's Luck
+ */
+export const PROP_DROPS = [
+    { type: 'coin', value: 5, weight: 40 },
+    { type: 'coin', value: 25, weight: 8, luck: true },
+    { type: 'chicken', value: 30, weight: 20 },
+    { type: 'magnet', weight: 4, luck: true },
+    { type: 'clock', weight: 3, luck: true },
+    { type: 'rosary', weight: 1, luck: true },
+];
+
+/**
+ * Damage elements - every weapon deals one, and enemy resistances are multipliers per element
+ */
+export const ELEMENTS = {
+    physical: { id: 'physical', name: 'Physical', icon: '🗡️', color: '#ffffff' },
+    fire: { id: 'fire', name: 'Fire', icon: '🔥', color: '#f97316' },
+    ice: { id: 'ice', name: 'Ice', icon: '❄️', color: '#67e8f9' },
+    lightning: { id: 'lightning', name: 'Lightning', icon: '⚡', color: '#facc15' },
+    holy: { id: 'holy', name: 'Holy', icon: '✝️', color: '#fef3c7' },
+    void: { id: 'void', name: 'Void', icon: '🌀', color: '#a855f7' },
 };
 
 /**
  * Enemy definitions
+ * resistances: damage taken multiplier per element (below 1 resists, above 1 is a weakness)
  */
 export const ENEMIES = {
     zombie: {
@@ -885,6 +1237,7 @@ export const ENEMIES = {
         xp: 1,
         radius: 12,
         knockbackResist: 0,
+        resistances: { fire: 1.5, holy: 1.25 },
     },
     bat: {
         id: 'bat',
@@ -896,6 +1249,7 @@ export const ENEMIES = {
         xp: 2,
         radius: 10,
         knockbackResist: 0,
+        resistances: { lightning: 1.5 },
         erratic: true,
     },
     skeleton: {
@@ -908,6 +1262,7 @@ export const ENEMIES = {
         xp: 3,
         radius: 12,
         knockbackResist: 0.3,
+        resistances: { physical: 0.8, holy: 1.5 },
         resurrect: true,
     },
     ghost: {
@@ -920,6 +1275,7 @@ export const ENEMIES = {
         xp: 4,
         radius: 14,
         knockbackResist: 0.5,
+        resistances: { physical: 0.5, void: 0.5, holy: 2 },
         phase: true,
     },
     golem: {
@@ -932,6 +1288,92 @@ export const ENEMIES = {
         xp: 10,
         radius: 18,
         knockbackResist: 0.9,
+        resistances: { physical: 0.6, fire: 0.75, lightning: 1.5 },
+    },
+    
+    // Ranged: keep their distance and shoot (damage is the enemy's own)
+    archer: {
+        id: 'archer',
+        name: 'Skeleton Archer',
+        sprite: 'archer',
+        hp: 14,
+        damage: 6,
+        speed: 45,
+        xp: 3,
+        radius: 12,
+        knockbackResist: 0.2,
+        resistances: { physical: 0.75, holy: 1.5 },
+        ranged: { range: 380, keepDistance: 240, cooldown: 3000, projectileSpeed: 240, projectileRadius: 5, color: '#e5e7eb' },
+    },
+    mage: {
+        id: 'mage',
+        name: 'Dark Mage',
+        sprite: 'mage',
+        hp: 22,
+        damage: 9,
+        speed: 35,
+        xp: 5,
+        radius: 13,
+        knockbackResist: 0.3,
+        resistances: { void: 0.5, physical: 1.25 },
+        ranged: { range: 420, keepDistance: 300, cooldown: 3200, projectileSpeed: 160, projectileRadius: 8, spread: 3, color: '#c084fc' },
+    },
+    
+    // Charger: stops, telegraphs, then dashes in a straight line
+    charger: {
+        id: 'charger',
+        name: 'Bull Demon',
+        sprite: 'charger',
+        hp: 45,
+        damage: 14,
+        speed: 40,
+        xp: 6,
+        radius: 15,
+        knockbackResist: 0.6,
+        resistances: { fire: 0.5, ice: 1.5 },
+        charge: { range: 320, windup: 700, speed: 480, duration: 550, cooldown: 3000 },
+    },
+    
+    // Splitter: breaks into smaller enemies when killed
+    splitter: {
+        id: 'splitter',
+        name: 'Blob',
+        sprite: 'splitter',
+        hp: 30,
+        damage: 8,
+        speed: 38,
+        xp: 3,
+        radius: 16,
+        knockbackResist: 0.2,
+        resistances: { physical: 0.75, fire: 1.5 },
+        split: { into: 'splitling', count: 3 },
+    },
+    splitling: {
+        id: 'splitling',
+        name: 'Blobling',
+        sprite: 'splitling',
+        hp: 8,
+        damage: 4,
+        speed: 65,
+        xp: 1,
+        radius: 8,
+        knockbackResist: 0,
+        resistances: { fire: 1.5 },
+    },
+    
+    // Healer: periodically heals and hastens allies nearby
+    healer: {
+        id: 'healer',
+        name: 'Cultist',
+        sprite: 'healer',
+        hp: 25,
+        damage: 5,
+        speed: 42,
+        xp: 5,
+        radius: 13,
+        knockbackResist: 0.2,
+        resistances: { holy: 0.5, void: 1.5 },
+        aura: { radius: 180, interval: 2500, heal: 0.15, speedBuff: 0.3, buffDuration: 3000 },
     },
     boss: {
         id: 'boss',
@@ -943,10 +1385,108 @@ export const ENEMIES = {
         xp: 100,
         radius: 24,
         knockbackResist: 1,
+        resistances: { void: 0.5, holy: 1.25 },
         isBoss: true,
     },
 };
 
+/**
+ * Elite affixes - rolled onto regular enemies as difficulty climbs
+ */
+export const ELITE_AFFIXES = {
+    shielded: {
+        id: 'shielded',
+        name: 'Shielded',
+        color: '#38bdf8',
+        shieldHits: 3, // Hits absorbed before it takes damage
+    },
+    hasted: {
+        id: 'hasted',
+        name: 'Hasted',
+        color: '#facc15',
+        speedMult: 1.6,
+    },
+    vampiric: {
+        id: 'vampiric',
+        name: 'Vampiric',
+        color: '#be123c',
+        healOnHit: 0.25, // Fraction of max HP healed when it hits the player
+    },
+    explosive: {
+        id: 'explosive',
+        name: 'Explosive',
+        color: '#f97316',
+        radius: 90,
+        damageMult: 1.5, // Of the enemy's contact damage
+    },
+    frenzied: {
+        id: 'frenzied',
+        name: 'Frenzied',
+        color: '#ef4444',
+        threshold: 0.5, // Enrages below this fraction of max HP
+        speedMult: 1.5,
+        damageMult: 1.5,
+    },
+};
+
+/**
+ * Enemy status effects, applied by weapons as { type, duration, dps?, factor?, chance? }
+ *   element: element of its damage ticks (default: the applying weapon's)
+ *   stacking: 'refresh' keeps one instance (longest duration, strongest dps/factor),
+ *             'stack' adds a stack per application up to maxStacks (damage is dps per stack)
+ *   holds: stops movement and attacks while active
+ *   bossImmune: bosses and mini-bosses ignore it
+ */
+export const STATUS_EFFECTS = {
+    burn: {
+        id: 'burn',
+        name: 'Burn',
+        color: '#f97316',
+        element: 'fire',
+        stacking: 'refresh',
+        tickRate: 500,
+    },
+    poison: {
+        id: 'poison',
+        name: 'Poison',
+        color: '#84cc16',
+        stacking: 'stack',
+        maxStacks: 10,
+        tickRate: 1000,
+    },
+    bleed: {
+        id: 'bleed',
+        name: 'Bleed',
+        color: '#b91c1c',
+        element: 'physical',
+        stacking: 'stack',
+        maxStacks: 5,
+        tickRate: 500,
+    },
+    slow: {
+        id: 'slow',
+        name: 'Slow',
+        color: '#06b6d4',
+        stacking: 'refresh',
+    },
+    freeze: {
+        id: 'freeze',
+        name: 'Freeze',
+        color: '#67e8f9',
+        stacking: 'refresh',
+        holds: true,
+        bossImmune: true,
+    },
+    stun: {
+        id: 'stun',
+        name: 'Stun',
+        color: '#fde047',
+        stacking: 'refresh',
+        holds: true,
+        bossImmune: true,
+    },
+};
+
 /**
  * Shop power-up definitions (meta progression)
  */
@@ -1071,11 +1611,69 @@ export const POWERUPS = {
         costMultiplier: 3,
         effect: { revival: 1 },
     },
+    critChance: {
+        id: 'critChance',
+        name: 'Precision',
+        icon: '🎯',
+        description: '+2% Critical Chance',
+        maxLevel: 5,
+        baseCost: 250,
+        costMultiplier: 1.7,
+        effect: { critChance: 0.02 },
+    },
+    critDamage: {
+        id: 'critDamage',
+        name: 'Ferocity',
+        icon: '💥',
+        description: '+10% Critical Damage',
+        maxLevel: 5,
+        baseCost: 250,
+        costMultiplier: 1.7,
+        effect: { critDamage: 0.1 },
+    },
+    reroll: {
+        id: 'reroll',
+        name: 'Reroll',
+        icon: '🎲',
+        description: '+1 level-up Reroll per run',
+        maxLevel: 5,
+        baseCost: 300,
+        costMultiplier: 1.6,
+        effect: { rerolls: 1 },
+    },
+    skip: {
+        id: 'skip',
+        name: 'Skip',
+        icon: '⏭️',
+        description: '+1 level-up Skip per run',
+        maxLevel: 3,
+        baseCost: 200,
+        costMultiplier: 1.6,
+        effect: { skips: 1 },
+    },
+    banish: {
+        id: 'banish',
+        name: 'Banish',
+        icon: '🚫',
+        description: '+1 level-up Banish per run',
+        maxLevel: 3,
+        baseCost: 400,
+        costMultiplier: 1.8,
+        effect: { banishes: 1 },
+    },
 };
 
 /**
  * Boss definitions
  */
+// Bosses and mini-bosses fight in phases: each phase starts once HP drops to hpBelow (fraction
+// of max) and brings its own name, color, speed multiplier and attacks. Every attack stops the
+// boss for its windup while it telegraphs, then fires and goes on cooldown:
+//   radial - rings of `count` shots, `waves` times `waveDelay` apart, each turned by `spin` radians
+//   dash   - charge along the telegraphed line at `speed` for `duration`
+//   summon - call `count` of `enemy` around itself
+//   zone   - close a ring around the player from `radius` down to `minRadius` (px/s `shrinkSpeed`);
+//            standing outside it deals `damage` every `interval` until the boss dies
 export const BOSSES = {
     // 15-minute main boss
     deathReaper: {
@@ -1089,6 +1687,129 @@ export const BOSSES = {
         color: '#dc2626',
         xpReward: 500,
         coinReward: 100,
+        resistances: { void: 0.5, holy: 1.25 },
+        phases: [
+            {
+                name: 'The Harvest',
+                hpBelow: 1,
+                color: '#dc2626',
+                speed: 1,
+                attacks: [
+                    { type: 'radial', cooldown: 3500, windup: 800, count: 16, projectileSpeed: 200, damage: 15 },
+                    { type: 'summon', cooldown: 10000, windup: 1000, enemy: 'ghost', count: 6 },
+                ],
+            },
+            {
+                name: 'Scythe Dance',
+                hpBelow: 0.66,
+                color: '#a855f7',
+                speed: 1.15,
+                attacks: [
+                    { type: 'dash', cooldown: 5000, windup: 900, speed: 650, duration: 600 },
+                    { type: 'radial', cooldown: 3200, windup: 600, count: 20, waves: 3, waveDelay: 300, spin: 0.15, projectileSpeed: 220, damage: 15 },
+                    { type: 'summon', cooldown: 12000, windup: 1000, enemy: 'skeleton', count: 8 },
+                ],
+            },
+            {
+                name: 'Final Judgment',
+                hpBelow: 0.33,
+                color: '#f8fafc',
+                speed: 1.3,
+                attacks: [
+                    { type: 'zone', cooldown: 60000, windup: 1500, radius: 650, minRadius: 280, shrinkSpeed: 20, damage: 12, interval: 500 },
+                    { type: 'radial', cooldown: 2800, windup: 500, count: 24, waves: 4, waveDelay: 250, spin: 0.2, projectileSpeed: 240, damage: 18 },
+                    { type: 'dash', cooldown: 4000, windup: 700, speed: 750, duration: 600 },
+                    { type: 'summon', cooldown: 10000, windup: 800, enemy: 'ghost', count: 8 },
+                ],
+            },
+        ],
+    },
+    
+    // Frozen Crypt boss
+    frostLich: {
+        id: 'frostLich',
+        name: 'THE FROST LICH',
+        emoji: '🧊',
+        hp: 14000,
+        damage: 35,
+        speed: 70,
+        size: 60,
+        color: '#38bdf8',
+        xpReward: 700,
+        coinReward: 150,
+        resistances: { ice: 0.25, fire: 1.5, holy: 1.25 },
+        phases: [
+            {
+                name: 'Cold Vigil',
+                hpBelow: 1,
+                color: '#38bdf8',
+                speed: 1,
+                attacks: [
+                    { type: 'radial', cooldown: 3000, windup: 700, count: 12, waves: 2, waveDelay: 400, spin: 0.26, projectileSpeed: 180, damage: 16 },
+                    { type: 'summon', cooldown: 9000, windup: 1000, enemy: 'skeleton', count: 8 },
+                ],
+            },
+            {
+                name: 'Blizzard',
+                hpBelow: 0.5,
+                color: '#818cf8',
+                speed: 1.2,
+                attacks: [
+                    { type: 'zone', cooldown: 60000, windup: 1500, radius: 700, minRadius: 320, shrinkSpeed: 18, damage: 12, interval: 500 },
+                    { type: 'radial', cooldown: 2500, windup: 500, count: 14, waves: 6, waveDelay: 200, spin: 0.12, projectileSpeed: 200, damage: 16 },
+                    { type: 'summon', cooldown: 9000, windup: 800, enemy: 'mage', count: 3 },
+                ],
+            },
+        ],
+    },
+    
+    // Infernal Pit boss
+    infernalTitan: {
+        id: 'infernalTitan',
+        name: 'THE INFERNAL TITAN',
+        emoji: '👹',
+        hp: 20000,
+        damage: 45,
+        speed: 65,
+        size: 70,
+        color: '#ea580c',
+        xpReward: 1000,
+        coinReward: 200,
+        resistances: { fire: 0.25, ice: 1.5 },
+        phases: [
+            {
+                name: 'Smolder',
+                hpBelow: 1,
+                color: '#ea580c',
+                speed: 1,
+                attacks: [
+                    { type: 'dash', cooldown: 4500, windup: 1000, speed: 600, duration: 700 },
+                    { type: 'radial', cooldown: 4000, windup: 800, count: 18, projectileSpeed: 200, damage: 20 },
+                ],
+            },
+            {
+                name: 'Eruption',
+                hpBelow: 0.6,
+                color: '#facc15',
+                speed: 1.15,
+                attacks: [
+                    { type: 'radial', cooldown: 3000, windup: 600, count: 18, waves: 3, waveDelay: 300, spin: 0.17, projectileSpeed: 220, damage: 20 },
+                    { type: 'dash', cooldown: 4000, windup: 800, speed: 650, duration: 700 },
+                    { type: 'summon', cooldown: 10000, windup: 1000, enemy: 'charger', count: 4 },
+                ],
+            },
+            {
+                name: 'Meltdown',
+                hpBelow: 0.3,
+                color: '#ef4444',
+                speed: 1.3,
+                attacks: [
+                    { type: 'zone', cooldown: 60000, windup: 1500, radius: 600, minRadius: 260, shrinkSpeed: 22, damage: 15, interval: 500 },
+                    { type: 'radial', cooldown: 2500, windup: 500, count: 24, waves: 4, waveDelay: 250, spin: 0.13, projectileSpeed: 250, damage: 22 },
+                    { type: 'dash', cooldown: 3500, windup: 700, speed: 750, duration: 700 },
+                ],
+            },
+        ],
     },
 };
 
@@ -1107,6 +1828,28 @@ export const MINI_BOSSES = {
         color: '#6b21a8',
         xpReward: 100,
         coinReward: 25,
+        resistances: { physical: 0.8, lightning: 1.5 },
+        phases: [
+            {
+                name: 'Swoop',
+                hpBelow: 1,
+                color: '#6b21a8',
+                speed: 1,
+                attacks: [
+                    { type: 'dash', cooldown: 4000, windup: 700, speed: 500, duration: 600 },
+                ],
+            },
+            {
+                name: 'Frenzy',
+                hpBelow: 0.5,
+                color: '#a21caf',
+                speed: 1.3,
+                attacks: [
+                    { type: 'dash', cooldown: 2500, windup: 500, speed: 550, duration: 600 },
+                    { type: 'summon', cooldown: 8000, windup: 600, enemy: 'bat', count: 6 },
+                ],
+            },
+        ],
     },
     skeletonKing: {
         id: 'skeletonKing',
@@ -1119,6 +1862,29 @@ export const MINI_BOSSES = {
         color: '#f5f5dc',
         xpReward: 150,
         coinReward: 35,
+        resistances: { physical: 0.7, holy: 1.5 },
+        phases: [
+            {
+                name: 'Royal Guard',
+                hpBelow: 1,
+                color: '#f5f5dc',
+                speed: 1,
+                attacks: [
+                    { type: 'summon', cooldown: 8000, windup: 1000, enemy: 'skeleton', count: 6 },
+                    { type: 'radial', cooldown: 4500, windup: 800, count: 10, projectileSpeed: 180, damage: 10 },
+                ],
+            },
+            {
+                name: 'Last Stand',
+                hpBelow: 0.4,
+                color: '#fde68a',
+                speed: 1.2,
+                attacks: [
+                    { type: 'radial', cooldown: 3000, windup: 600, count: 12, waves: 2, waveDelay: 300, spin: 0.26, projectileSpeed: 200, damage: 12 },
+                    { type: 'summon', cooldown: 8000, windup: 800, enemy: 'archer', count: 3 },
+                ],
+            },
+        ],
     },
     demonLord: {
         id: 'demonLord',
@@ -1131,5 +1897,202 @@ export const MINI_BOSSES = {
         color: '#7f1d1d',
         xpReward: 200,
         coinReward: 50,
+        resistances: { fire: 0.5, holy: 1.5, ice: 1.25 },
+        phases: [
+            {
+                name: 'Brimstone',
+                hpBelow: 1,
+                color: '#7f1d1d',
+                speed: 1,
+                attacks: [
+                    { type: 'radial', cooldown: 4000, windup: 800, count: 12, projectileSpeed: 200, damage: 14 },
+                    { type: 'dash', cooldown: 5000, windup: 800, speed: 550, duration: 600 },
+                ],
+            },
+            {
+                name: 'Hellfire',
+                hpBelow: 0.5,
+                color: '#b91c1c',
+                speed: 1.2,
+                attacks: [
+                    { type: 'radial', cooldown: 3000, windup: 600, count: 14, waves: 3, waveDelay: 250, spin: 0.22, projectileSpeed: 220, damage: 14 },
+                    { type: 'dash', cooldown: 3500, windup: 600, speed: 600, duration: 600 },
+                ],
+            },
+        ],
+    },
+};
+
+/**
+ * Stage definitions (played in order - each is unlocked by clearing the one before)
+ */
+export const STAGES = {
+    madForest: {
+        id: 'madForest',
+        name: 'Mad Forest',
+        icon: '🌲',
+        description: 'Where it all begins. The dead wander the woods.',
+        mapWidth: 4000,
+        mapHeight: 4000,
+        ground: {
+            background: '#1a1a2e',
+            grid: 'rgba(255, 255, 255, 0.05)',
+            border: 'rgba(255, 0, 0, 0.3)',
+        },
+        // Wave timeline: each entry holds from its minute until the next one starts.
+        // interval/count are per regular wave (both scale with difficulty), enemies are
+        // relative spawn weights, minimum is topped up whenever fewer are alive
+        waves: [
+            { from: 0, interval: 1000, count: 4, minimum: 10, enemies: { zombie: 1 } },
+            { from: 1, interval: 1000, count: 4, minimum: 20, enemies: { zombie: 2, bat: 1 } },
+            { from: 3, interval: 1000, count: 4, minimum: 30, enemies: { zombie: 2, bat: 1, skeleton: 1 } },
+            { from: 5, interval: 1000, count: 4, minimum: 40, enemies: { zombie: 1, bat: 1, skeleton: 1, ghost: 1 } },
+            { from: 6, interval: 1000, count: 4, minimum: 45, enemies: { zombie: 1, bat: 1, skeleton: 1, ghost: 1, archer: 1 } },
+            { from: 8, interval: 1000, count: 4, minimum: 50, enemies: { zombie: 1, bat: 1, skeleton: 1, ghost: 1, golem: 1, archer: 1, splitter: 1 } },
+            { from: 12, interval: 800, count: 4, minimum: 60, enemies: { zombie: 1, bat: 1, skeleton: 2, ghost: 2, golem: 2, archer: 1, charger: 1, healer: 1 } },
+        ],
+        // Scripted events, in time order:
+        //   swarm - dense pack flying straight across the map through the player's spot
+        //   encircle - ring around the player that closes in, then chases
+        //   stream - flies straight across the screen, spread over duration ms
+        //   wall - line of enemies side by side sweeping across the screen
+        // Swarms, streams and walls ignore the player and leave once they're off the map
+        events: [
+            { at: 2, type: 'swarm', enemy: 'bat', count: 25, speed: 200 },
+            { at: 4, type: 'encircle', enemy: 'zombie', count: 30 },
+            { at: 6, type: 'stream', enemy: 'bat', count: 40, duration: 6000, speed: 220 },
+            { at: 7.5, type: 'wall', enemy: 'golem', count: 20, spacing: 40, speed: 70 },
+            { at: 9, type: 'encircle', enemy: 'skeleton', count: 40 },
+            { at: 11, type: 'stream', enemy: 'bat', count: 60, duration: 8000, speed: 240 },
+            { at: 13, type: 'swarm', enemy: 'bat', count: 50, spread: 120, speed: 220 },
+        ],
+        miniBosses: ['giantBat', 'skeletonKing', 'demonLord'],
+        boss: 'deathReaper',
+        music: 'gameplay',
+        unlockCondition: null,
+    },
+    frozenCrypt: {
+        id: 'frozenCrypt',
+        name: 'Frozen Crypt',
+        icon: '❄️',
+        description: 'Tight halls packed with the restless dead.',
+        mapWidth: 3000,
+        mapHeight: 3000,
+        ground: {
+            background: '#0f1c2e',
+            grid: 'rgba(147, 197, 253, 0.08)',
+            border: 'rgba(56, 189, 248, 0.4)',
+        },
+        waves: [
+            { from: 0, interval: 1000, count: 4, minimum: 15, enemies: { skeleton: 2, bat: 1 } },
+            { from: 2, interval: 900, count: 4, minimum: 30, enemies: { skeleton: 2, bat: 1, ghost: 1 } },
+            { from: 4, interval: 900, count: 4, minimum: 35, enemies: { skeleton: 3, bat: 1, ghost: 1, archer: 1 } },
+            { from: 5, interval: 900, count: 5, minimum: 45, enemies: { skeleton: 2, bat: 1, ghost: 2, golem: 1, archer: 1, mage: 1 } },
+            { from: 10, interval: 800, count: 5, minimum: 60, enemies: { skeleton: 2, ghost: 2, golem: 2, archer: 2, mage: 1, healer: 1 } },
+        ],
+        events: [
+            { at: 1.5, type: 'stream', enemy: 'bat', count: 30, duration: 5000, speed: 220 },
+            { at: 3, type: 'encircle', enemy: 'skeleton', count: 30, radius: 400 },
+            { at: 6, type: 'wall', enemy: 'skeleton', count: 25, spacing: 36, speed: 90 },
+            { at: 8, type: 'encircle', enemy: 'skeleton', count: 45, radius: 400 },
+            { at: 10, type: 'wall', enemy: 'golem', count: 25, spacing: 40, speed: 70 },
+            { at: 12, type: 'stream', enemy: 'bat', count: 80, duration: 8000, speed: 260 },
+        ],
+        miniBosses: ['skeletonKing', 'giantBat', 'demonLord'],
+        boss: 'frostLich',
+        music: 'crypt',
+        unlockCondition: { type: 'stageClear', stage: 'madForest' },
+        unlockText: 'Clear the Mad Forest',
+    },
+    infernalPit: {
+        id: 'infernalPit',
+        name: 'Infernal Pit',
+        icon: '🌋',
+        description: 'A wide scorched plain. Nothing here stays down.',
+        mapWidth: 5000,
+        mapHeight: 3000,
+        ground: {
+            background: '#2a1212',
+            grid: 'rgba(251, 146, 60, 0.07)',
+            border: 'rgba(234, 88, 12, 0.5)',
+        },
+        waves: [
+            { from: 0, interval: 900, count: 4, minimum: 15, enemies: { zombie: 2, ghost: 1 } },
+            { from: 2, interval: 900, count: 5, minimum: 30, enemies: { zombie: 2, ghost: 1, skeleton: 1 } },
+            { from: 4, interval: 800, count: 5, minimum: 45, enemies: { zombie: 1, ghost: 1, skeleton: 1, golem: 1, splitter: 1 } },
+            { from: 6, interval: 800, count: 5, minimum: 60, enemies: { ghost: 2, skeleton: 1, golem: 2, bat: 1, splitter: 1, charger: 1 } },
+            { from: 10, interval: 700, count: 6, minimum: 80, enemies: { ghost: 2, skeleton: 1, golem: 3, bat: 1, charger: 2, mage: 1, healer: 1 } },
+        ],
+        events: [
+            { at: 1, type: 'swarm', enemy: 'zombie', count: 30, speed: 120 },
+            { at: 3, type: 'encircle', enemy: 'ghost', count: 30 },
+            { at: 5, type: 'wall', enemy: 'golem', count: 30, spacing: 40, speed: 80 },
+            { at: 7, type: 'stream', enemy: 'bat', count: 60, duration: 6000, speed: 260 },
+            { at: 10, type: 'encircle', enemy: 'golem', count: 30, radius: 600 },
+            { at: 13, type: 'stream', enemy: 'bat', count: 100, duration: 10000, speed: 280 },
+        ],
+        miniBosses: ['demonLord', 'skeletonKing', 'demonLord'],
+        boss: 'infernalTitan',
+        music: 'inferno',
+        unlockCondition: { type: 'stageClear', stage: 'frozenCrypt' },
+        unlockText: 'Clear the Frozen Crypt',
     },
 };
+
+export const DEFAULT_STAGE = 'madForest';
+
+/**
+ * Input actions - everything the player can bind a key to
+ * Actions in the same context can't share a key (menu keys only act on menus, so they
+ * may reuse gameplay keys). Trigger actions fire once per press, on the next game tick
+ */
+export const INPUT_ACTIONS = {
+    moveUp: { id: 'moveUp', name: 'Move Up', context: 'game' },
+    moveDown: { id: 'moveDown', name: 'Move Down', context: 'game' },
+    moveLeft: { id: 'moveLeft', name: 'Move Left', context: 'game' },
+    moveRight: { id: 'moveRight', name: 'Move Right', context: 'game' },
+    pause: { id: 'pause', name: 'Pause', context: 'game' },
+    dash: { id: 'dash', name: 'Dash', context: 'game', trigger: true },
+    ultimate: { id: 'ultimate', name: 'Ultimate', context: 'game', trigger: true },
+    confirm: { id: 'confirm', name: 'Confirm', context: 'menu' },
+    cancel: { id: 'cancel', name: 'Cancel / Back', context: 'menu' },
+};
+
+/**
+ * Control schemes - default key bindings per action, as KeyboardEvent.code values
+ * (physical key positions, so WASD stays in place on AZERTY and other layouts)
+ */
+export const CONTROL_SCHEMES = {
+    standard: {
+        id: 'standard',
+        name: 'Standard (WASD + Arrows)',
+        bindings: {
+            moveUp: ['KeyW', 'ArrowUp'],
+            moveDown: ['KeyS', 'ArrowDown'],
+            moveLeft: ['KeyA', 'ArrowLeft'],
+            moveRight: ['KeyD', 'ArrowRight'],
+            pause: ['Escape', 'KeyP'],
+            dash: ['Space', 'ShiftLeft'],
+            ultimate: ['KeyQ', 'KeyE'],
+            confirm: ['Enter', 'Space'],
+            cancel: ['Escape', 'Backspace'],
+        },
+    },
+    leftHanded: {
+        id: 'leftHanded',
+        name: 'Left-Handed (IJKL + Numpad)',
+        bindings: {
+            moveUp: ['KeyI', 'Numpad8'],
+            moveDown: ['KeyK', 'Numpad5'],
+            moveLeft: ['KeyJ', 'Numpad4'],
+            moveRight: ['KeyL', 'Numpad6'],
+            pause: ['Escape', 'KeyP'],
+            dash: ['ShiftRight', 'Numpad0'],
+            ultimate: ['KeyU', 'KeyO'],
+            confirm: ['Enter', 'NumpadEnter'],
+            cancel: ['Escape', 'Backspace'],
+        },
+    },
+};
+
+export const DEFAULT_CONTROL_SCHEME = 'standard';
@@ -3,28 +3,33 @@
  * Shows floating damage numbers for combat feedback
  */
 
+import { Random } from '../engine/random.js';
+
 export class DamageNumbers {
-    constructor() {
+    constructor(rng = new Random()) {
+        this.rng = rng;
         this.numbers = [];
         this.maxNumbers = 200;
     }
     
     /**
      * Add a new damage number
+     * @param options.crit show it as a critical hit (larger, lingers longer)
      */
-    add(x, y, value, color = '#ffffff') {
+    add(x, y, value, color = '#ffffff', options = {}) {
         if (this.numbers.length >= this.maxNumbers) {
             this.numbers.shift();
         }
         
         this.numbers.push({
-            x: x + (Math.random() - 0.5) * 10,
+            x: x + (this.rng.next() - 0.5) * 10,
             y: y,
             value: typeof value === 'number' ? Math.floor(value) : value,
             color: color,
+            crit: !!options.crit,
             age: 0,
-            duration: 800,
-            velocityY: -80,
+            duration: options.crit ? 1100 : 800,
+            velocityY: options.crit ? -110 : -80,
             scale: 1,
         });
     }
@@ -52,7 +57,7 @@ export class DamageNumbers {
             // Scale animation
             const progress = num.age / num.duration;
             if (progress < 0.1) {
-                num.scale = 1 + (1 - progress / 0.1) * 0.3;
+                num.scale = 1 + (1 - progress / 0.1) * (num.crit ? 0.8 : 0.3);
             } else if (progress > 0.7) {
                 num.scale = 1 - ((progress - 0.7) / 0.3) * 0.5;
             }
@@ -69,27 +74,37 @@ export class DamageNumbers {
      */
     render(ctx) {
         ctx.save();
-        ctx.font = 'bold 14px "Press Start 2P", monospace';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         
         for (const num of this.numbers) {
             const progress = num.age / num.duration;
             const alpha = progress > 0.5 ? 1 - (progress - 0.5) * 2 : 1;
+            const text = num.crit ? `${num.value}!` : String(num.value);
             
             ctx.save();
             ctx.translate(num.x, num.y);
             ctx.scale(num.scale, num.scale);
+            ctx.font = num.crit
+                ? 'bold 22px "Press Start 2P", monospace'
+                : 'bold 14px "Press Start 2P", monospace';
             
             // Shadow
             ctx.globalAlpha = alpha * 0.5;
             ctx.fillStyle = '#000000';
-            ctx.fillText(String(num.value), 2, 2);
+            ctx.fillText(text, 2, 2);
             
-            // Text
+            // Crits get a dark outline so they read over everything else
             ctx.globalAlpha = alpha;
+            if (num.crit) {
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 4;
+                ctx.strokeText(text, 0, 0);
+            }
+            
+            // Text
             ctx.fillStyle = num.color;
-            ctx.fillText(String(num.value), 0, 0);
+            ctx.fillText(text, 0, 0);
             
             ctx.restore();
         }
@@ -3,10 +3,14 @@
  * Visual effects for combat and events
  */
 
+import { Random } from '../engine/random.js';
+
 export class Particles {
-    constructor() {
+    constructor(rng = new Random()) {
+        this.rng = rng;
         this.particles = [];
         this.maxParticles = 500;
+        this.spawnCount = 0; // Numbers circle particles so density can thin them out evenly
     }
     
     /**
@@ -18,8 +22,8 @@ export class Particles {
                 this.particles.shift();
             }
             
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 50 + Math.random() * 100;
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = 50 + this.rng.next() * 100;
             
             this.particles.push({
                 x: x,
@@ -27,10 +31,11 @@ export class Particles {
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
                 color: color,
-                size: 3 + Math.random() * 3,
+                size: 3 + this.rng.next() * 3,
                 age: 0,
-                duration: 300 + Math.random() * 300,
+                duration: 300 + this.rng.next() * 300,
                 type: 'circle',
+                seq: this.spawnCount++,
             });
         }
     }
@@ -44,8 +49,8 @@ export class Particles {
                 this.particles.shift();
             }
             
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 100 + Math.random() * 200;
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = 100 + this.rng.next() * 200;
             
             this.particles.push({
                 x: x,
@@ -53,10 +58,11 @@ export class Particles {
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
                 color: color,
-                size: 2 + Math.random() * 4,
+                size: 2 + this.rng.next() * 4,
                 age: 0,
-                duration: 400 + Math.random() * 400,
+                duration: 400 + this.rng.next() * 400,
                 type: 'circle',
+                seq: this.spawnCount++,
                 gravity: 200,
             });
         }
@@ -110,8 +116,8 @@ export class Particles {
             
             // Add randomness (except start and end)
             if (i > 0 && i < numPoints) {
-                x += (Math.random() - 0.5) * 30;
-                y += (Math.random() - 0.5) * 30;
+                x += (this.rng.next() - 0.5) * 30;
+                y += (this.rng.next() - 0.5) * 30;
             }
             
             segments.push({ x, y });
@@ -161,8 +167,13 @@ export class Particles {
     /**
      * Render all particles
      */
-    render(ctx) {
+    render(ctx, density = 1) {
+        // Lower density draws every 2nd or 4th circle (rings and bolts always show)
+        const stride = Math.max(1, Math.round(1 / density));
+        
         for (const p of this.particles) {
+            if (p.type === 'circle' && p.seq % stride !== 0) continue;
+            
             const progress = p.age / p.duration;
             const alpha = 1 - progress;
             
@@ -3,11 +3,19 @@
  * Handles enemy spawning, updating, and spatial queries
  */
 
-import { ENEMIES, GAME_CONFIG } from '../data/config.js';
+import { ENEMIES, ELITE_AFFIXES, STATUS_EFFECTS, ELEMENTS, WEAPONS, GAME_CONFIG } from '../data/config.js';
 import { AssetLoader } from '../engine/assets.js';
 
 let enemyIdCounter = 0;
 
+// Directions formations travel in
+const CARDINALS = [
+    { x: 1, y: 0 },
+    { x: -1, y: 0 },
+    { x: 0, y: 1 },
+    { x: 0, y: -1 },
+];
+
 export class EnemyManager {
     constructor(game) {
         this.game = game;
@@ -15,9 +23,13 @@ export class EnemyManager {
         this.spawnTimer = 0;
         this.waveTimer = 0;
         this.bossSpawnIndex = 0;
+        this.nextEventIndex = 0;
+        
+        // Scripted events, sorted once so a misordered stage timeline can't hold events back
+        this.events = [...(game.stage.events || [])].sort((a, b) => a.at - b.at);
+        this.streams = []; // Streams still trickling in (see spawnStream)
         
         // Spawn settings
-        this.baseSpawnInterval = GAME_CONFIG.spawning.baseSpawnInterval;
         this.spawnDistance = GAME_CONFIG.spawning.spawnDistance;
         this.maxEnemies = GAME_CONFIG.spawning.maxEnemies;
         
@@ -31,20 +43,26 @@ export class EnemyManager {
      */
     update(dt) {
         const difficulty = this.game.getDifficultyMultiplier();
+        const wave = this.getCurrentWave(this.game.gameTime / 60000);
         
         // Spawn enemies
         this.spawnTimer -= dt;
         if (this.spawnTimer <= 0 && this.enemies.length < this.maxEnemies) {
-            this.spawnWave(difficulty);
+            this.spawnWave(wave, difficulty);
             
             // Dynamic spawn rate
             const spawnInterval = Math.max(
                 GAME_CONFIG.spawning.minSpawnInterval,
-                this.baseSpawnInterval / difficulty
+                wave.interval / difficulty
             );
             this.spawnTimer = spawnInterval;
         }
         
+        // Top up to the wave's minimum, then run any scripted events that came due
+        this.fillMinimum(wave, difficulty);
+        this.checkEvents(difficulty);
+        this.updateStreams(dt);
+        
         // Check boss spawns
         this.checkBossSpawn();
         
@@ -71,58 +89,245 @@ export class EnemyManager {
     }
     
     /**
-     * Spawn a wave of enemies
+     * Spawn a wave of enemies from the current timeline entry
      */
-    spawnWave(difficulty) {
+    spawnWave(wave, difficulty) {
+        // Spawn count increases with difficulty
+        const count = Math.floor(wave.count * difficulty);
+        
+        for (let i = 0; i < count; i++) {
+            this.spawnEnemy(this.game.rng.weighted(wave.enemies), difficulty);
+        }
+    }
+    
+    /**
+     * Get the stage timeline entry for the current minute (the last one holds after it ends)
+     */
+    getCurrentWave(minutes) {
+        const timeline = this.game.stage.waves;
+        
+        let current = timeline[0];
+        for (const wave of timeline) {
+            if (minutes >= wave.from) current = wave;
+        }
+        return current;
+    }
+    
+    /**
+     * Spawn straight away whenever fewer than the wave's minimum are alive
+     */
+    fillMinimum(wave, difficulty) {
+        if (!wave.minimum) return;
+        
+        // Bosses and enemies passing through don't count toward the minimum
+        let alive = 0;
+        for (const enemy of this.enemies) {
+            if (!enemy.dead && !enemy.isBoss && !enemy.isMiniBoss && enemy.movement !== 'straight') alive++;
+        }
+        
+        // spawnEnemy stops at maxEnemies
+        for (let i = alive; i < wave.minimum; i++) {
+            this.spawnEnemy(this.game.rng.weighted(wave.enemies), difficulty);
+        }
+    }
+    
+    /**
+     * Run scripted stage events whose time has come (in time order, see the constructor)
+     */
+    checkEvents(difficulty) {
+        const events = this.events;
         const minutes = this.game.gameTime / 60000;
         
-        // Determine enemy types based on time
-        const availableTypes = this.getAvailableEnemyTypes(minutes);
+        while (this.nextEventIndex < events.length && minutes >= events[this.nextEventIndex].at) {
+            this.runEvent(events[this.nextEventIndex], difficulty);
+            this.nextEventIndex++;
+        }
+    }
+    
+    /**
+     * Spawn a scripted event
+     */
+    runEvent(event, difficulty) {
+        switch (event.type) {
+            case 'swarm':
+                this.spawnSwarm(event, difficulty);
+                break;
+            case 'encircle':
+                this.spawnEncirclement(event, difficulty);
+                break;
+            case 'stream':
+                this.spawnStream(event, difficulty);
+                break;
+            case 'wall':
+                this.spawnWall(event, difficulty);
+                break;
+            default:
+                console.warn(`Unknown wave event: ${event.type}`);
+        }
+    }
+    
+    /**
+     * A dense pack that flies straight across the map through where the player stands
+     */
+    spawnSwarm(event, difficulty) {
+        const player = this.game.player;
+        if (!player) return;
+        
+        const angle = this.game.rng.next() * Math.PI * 2;
+        const distance = this.spawnDistance + 150;
+        const centerX = player.x + Math.cos(angle) * distance;
+        const centerY = player.y + Math.sin(angle) * distance;
+        const heading = { x: -Math.cos(angle), y: -Math.sin(angle) };
+        const spread = event.spread || 80;
         
-        // Spawn count increases with difficulty
-        const baseCount = 3;
-        const count = Math.floor(baseCount + difficulty * 2);
+        for (let i = 0; i < event.count; i++) {
+            this.spawnFormationEnemy(event, difficulty, {
+                x: centerX + (this.game.rng.next() - 0.5) * spread * 2,
+                y: centerY + (this.game.rng.next() - 0.5) * spread * 2,
+            }, { movement: 'straight', heading });
+        }
+    }
+    
+    /**
+     * A ring around the player that closes in on the spot they were standing
+     */
+    spawnEncirclement(event, difficulty) {
+        const player = this.game.player;
+        if (!player) return;
         
-        for (let i = 0; i < count; i++) {
-            const type = availableTypes[Math.floor(Math.random() * availableTypes.length)];
-            this.spawnEnemy(type, difficulty);
+        const radius = event.radius || this.spawnDistance;
+        const target = { x: player.x, y: player.y };
+        
+        for (let i = 0; i < event.count; i++) {
+            const angle = (Math.PI * 2 / event.count) * i;
+            const position = {
+                x: player.x + Math.cos(angle) * radius,
+                y: player.y + Math.sin(angle) * radius,
+            };
+            
+            // Near the edge the ring is left open rather than bunched up against it
+            if (this.isOutsideMap(position, 0)) continue;
+            
+            this.spawnFormationEnemy(event, difficulty, position, { movement: 'ring', target });
         }
     }
     
     /**
-     * Get enemy types available at current time
+     * A line of enemies sweeping across the screen side by side
      */
-    getAvailableEnemyTypes(minutes) {
-        const types = ['zombie'];
+    spawnWall(event, difficulty) {
+        const player = this.game.player;
+        if (!player) return;
+        
+        const heading = this.game.rng.pick(CARDINALS);
+        const spacing = event.spacing || 40;
+        const start = this.getOffscreenPoint(player, heading);
         
-        if (minutes >= 1) types.push('bat');
-        if (minutes >= 3) types.push('skeleton');
-        if (minutes >= 5) types.push('ghost');
-        if (minutes >= 8) types.push('golem');
+        for (let i = 0; i < event.count; i++) {
+            // Spread along the axis perpendicular to travel
+            const offset = (i - (event.count - 1) / 2) * spacing;
+            this.spawnFormationEnemy(event, difficulty, {
+                x: start.x + heading.y * offset,
+                y: start.y + heading.x * offset,
+            }, { movement: 'straight', heading });
+        }
+    }
+    
+    /**
+     * Enemies trickling in from one side of the screen and flying straight across it
+     */
+    spawnStream(event, difficulty) {
+        const interval = (event.duration || 5000) / event.count;
         
-        return types;
+        // Kept as manager state rather than a scheduled task so a saved run picks it back up
+        this.streams.push({
+            event: event,
+            difficulty: difficulty,
+            heading: this.game.rng.pick(CARDINALS),
+            interval: interval,
+            timer: interval,
+            remaining: event.count,
+        });
+    }
+    
+    /**
+     * Let each active stream in its next enemies, dropping streams that have finished
+     */
+    updateStreams(dt) {
+        const player = this.game.player;
+        
+        for (const stream of this.streams) {
+            stream.timer -= dt;
+            while (stream.timer <= 0 && stream.remaining > 0) {
+                stream.timer += stream.interval;
+                stream.remaining--;
+                if (!player) continue;
+                
+                // Start just off-screen, spread along the edge
+                const heading = stream.heading;
+                const start = this.getOffscreenPoint(player, heading);
+                const offset = this.game.rng.next() - 0.5;
+                this.spawnFormationEnemy(stream.event, stream.difficulty, {
+                    x: start.x + (heading.x === 0 ? offset * this.game.width : 0),
+                    y: start.y + (heading.y === 0 ? offset * this.game.height : 0),
+                }, { movement: 'straight', heading });
+            }
+        }
+        
+        this.streams = this.streams.filter(stream => stream.remaining > 0);
+    }
+    
+    /**
+     * Point just off-screen behind the player for something travelling along heading
+     */
+    getOffscreenPoint(player, heading) {
+        return {
+            x: player.x - heading.x * (this.game.width / 2 + 50),
+            y: player.y - heading.y * (this.game.height / 2 + 50),
+        };
+    }
+    
+    /**
+     * Spawn one member of a formation with its movement mode
+     */
+    spawnFormationEnemy(event, difficulty, position, movement) {
+        const enemy = this.spawnEnemy(event.enemy, difficulty, position);
+        if (!enemy) return null;
+        
+        Object.assign(enemy, movement);
+        if (event.speed) enemy.speed = event.speed;
+        return enemy;
     }
     
     /**
      * Spawn a single enemy
+     * @param position where to spawn, as given (default: random point around the player)
      */
-    spawnEnemy(type, difficulty = 1) {
+    spawnEnemy(type, difficulty = 1, position = null) {
         const data = ENEMIES[type];
         if (!data) return null;
         
         const player = this.game.player;
         if (!player) return null;
+        if (this.enemies.length >= this.maxEnemies) return null;
         
-        // Spawn at random position around player
-        const angle = Math.random() * Math.PI * 2;
-        const distance = this.spawnDistance + Math.random() * 100;
-        
-        let x = player.x + Math.cos(angle) * distance;
-        let y = player.y + Math.sin(angle) * distance;
-        
-        // Clamp to map bounds
-        x = Math.max(50, Math.min(this.game.mapWidth - 50, x));
-        y = Math.max(50, Math.min(this.game.mapHeight - 50, y));
+        let x;
+        let y;
+        if (position) {
+            x = position.x;
+            y = position.y;
+        } else {
+            // Spawn at random position around player
+            const angle = this.game.rng.next() * Math.PI * 2;
+            const distance = this.spawnDistance + this.game.rng.next() * 100;
+            
+            x = player.x + Math.cos(angle) * distance;
+            y = player.y + Math.sin(angle) * distance;
+            
+            // Clamp to map bounds
+            x = Math.max(50, Math.min(this.game.mapWidth - 50, x));
+            y = Math.max(50, Math.min(this.game.mapHeight - 50, y));
+        }
         
         const enemy = {
             id: ++enemyIdCounter,
@@ -139,43 +344,157 @@ export class EnemyManager {
             xp: data.xp,
             
             // Behavior
+            movement: 'chase', // chase, ring (closing on a point) or straight (along heading)
             knockbackResist: data.knockbackResist || 0,
+            resistances: data.resistances || {},
             erratic: data.erratic || false,
             phase: data.phase || false,
             resurrect: data.resurrect || false,
             resurrected: false,
             isBoss: data.isBoss || false,
+            difficulty: difficulty, // Kept for enemies spawned on death
+            
+            // Special behaviours (see ENEMIES)
+            ranged: data.ranged || null,
+            charge: data.charge || null,
+            split: data.split || null,
+            aura: data.aura || null,
+            attackTimer: data.ranged?.cooldown || data.aura?.interval || 0,
+            chargeState: 'idle', // idle, windup or dashing
+            chargeTimer: 0,
+            chargeDir: null,
+            buffTimer: 0,
+            buffSpeed: 0,
+            
+            // Elite affixes (see ELITE_AFFIXES)
+            elite: false,
+            affixes: [],
+            eliteName: null,
+            shieldHits: 0,
+            enraged: false,
             
             // State
             dead: false,
             knockbackX: 0,
             knockbackY: 0,
-            slowFactor: 0,
-            slowTimer: 0,
+            statuses: {}, // Active status effects by type (see STATUS_EFFECTS)
             
             // Animation
-            animTime: Math.random() * 1000,
+            animTime: this.game.rng.next() * 1000,
             sprite: AssetLoader.getImage(data.sprite),
         };
         
-        // Add methods
-        enemy.update = (dt, player) => this.updateEnemy(enemy, dt, player);
-        enemy.takeDamage = (amount) => this.damageEnemy(enemy, amount);
-        enemy.applyKnockback = (kx, ky) => {
-            enemy.knockbackX += kx;
-            enemy.knockbackY += ky;
-        };
-        enemy.applySlow = (factor, duration) => {
-            enemy.slowFactor = Math.max(enemy.slowFactor, factor);
-            enemy.slowTimer = Math.max(enemy.slowTimer, duration);
-        };
-        
+        this.rollElite(enemy, difficulty);
+        this.attachMethods(enemy);
         this.enemies.push(enemy);
         this.addToSpatialHash(enemy);
         
         return enemy;
     }
     
+    /**
+     * Maybe turn a freshly spawned enemy into an elite (more likely as difficulty climbs)
+     */
+    rollElite(enemy, difficulty) {
+        const elites = GAME_CONFIG.elites;
+        const tier = this.game.difficultyTier;
+        const chance = Math.min(
+            elites.maxChance,
+            elites.baseChance + (difficulty - 1) * elites.chancePerDifficulty + tier * elites.chancePerTier
+        );
+        if (!this.game.rng.chance(chance)) return;
+        
+        const count = this.game.rng.chance(tier * elites.secondAffixChancePerTier) ? 2 : 1;
+        const affixes = this.game.rng.shuffle(Object.keys(ELITE_AFFIXES)).slice(0, count);
+        this.makeElite(enemy, affixes);
+    }
+    
+    /**
+     * Apply elite stats and affixes to an enemy
+     */
+    makeElite(enemy, affixes) {
+        const elites = GAME_CONFIG.elites;
+        
+        enemy.elite = true;
+        enemy.affixes = affixes;
+        enemy.eliteName = [...affixes.map(id => ELITE_AFFIXES[id].name), ENEMIES[enemy.type].name].join(' ');
+        enemy.maxHp *= elites.hpMult;
+        enemy.hp = enemy.maxHp;
+        enemy.xp *= elites.xpMult;
+        
+        if (affixes.includes('shielded')) {
+            enemy.shieldHits = ELITE_AFFIXES.shielded.shieldHits;
+        }
+        if (affixes.includes('hasted')) {
+            enemy.speed *= ELITE_AFFIXES.hasted.speedMult;
+        }
+    }
+    
+    /**
+     * Whether an enemy has an elite affix
+     */
+    hasAffix(enemy, id) {
+        return enemy.elite && enemy.affixes.includes(id);
+    }
+    
+    /**
+     * Frenzied elites speed up and hit harder once badly hurt
+     */
+    enrage(enemy) {
+        const frenzied = ELITE_AFFIXES.frenzied;
+        enemy.enraged = true;
+        enemy.speed *= frenzied.speedMult;
+        enemy.damage *= frenzied.damageMult;
+        this.game.particles.burst(enemy.x, enemy.y, frenzied.color, 15);
+    }
+    
+    /**
+     * Explosive elites burst on death, hurting the player if close
+     */
+    explode(enemy) {
+        const explosive = ELITE_AFFIXES.explosive;
+        this.game.particles.burst(enemy.x, enemy.y, explosive.color, 30);
+        this.game.camera.shake(5, 150);
+        
+        const player = this.game.player;
+        if (!player) return;
+        
+        const dx = player.x - enemy.x;
+        const dy = player.y - enemy.y;
+        const reach = explosive.radius + player.radius;
+        if (dx * dx + dy * dy <= reach * reach) {
+            player.takeDamage(enemy.damage * explosive.damageMult);
+        }
+    }
+    
+    /**
+     * An enemy's contact hit landed on the player
+     */
+    onEnemyHitPlayer(enemy) {
+        if (this.hasAffix(enemy, 'vampiric')) {
+            const heal = enemy.maxHp * ELITE_AFFIXES.vampiric.healOnHit;
+            enemy.hp = Math.min(enemy.maxHp, enemy.hp + heal);
+            enemy.currentHp = enemy.hp;
+            this.game.particles.burst(enemy.x, enemy.y, ELITE_AFFIXES.vampiric.color, 8);
+        }
+    }
+    
+    /**
+     * Add behaviour methods to an enemy object
+     */
+    attachMethods(enemy) {
+        const knockbackScale = enemy.knockbackScale ?? 1;
+        
+        enemy.update = (dt, player) => this.updateEnemy(enemy, dt, player);
+        enemy.takeDamage = (amount, source) => this.damageEnemy(enemy, amount, source);
+        enemy.applyStatus = (effect) => this.applyStatus(enemy, effect);
+        enemy.applyKnockback = (kx, ky) => {
+            enemy.knockbackX += kx * knockbackScale;
+            enemy.knockbackY += ky * knockbackScale;
+        };
+        enemy.applySlow = (factor, duration) => this.applyStatus(enemy, { type: 'slow', factor, duration });
+    }
+    
     /**
      * Check and spawn bosses - now handled by game.js
      */
@@ -207,6 +526,7 @@ export class EnemyManager {
             
             isBoss: true,
             isMiniBoss: false, // Explicitly not mini-boss
+            movement: 'chase',
             name: bossData.name || 'BOSS',
             emoji: bossData.emoji || '💀',
             color: bossData.color || '#dc2626',
@@ -214,26 +534,17 @@ export class EnemyManager {
             dead: false,
             knockbackX: 0,
             knockbackY: 0,
-            slowFactor: 0,
-            slowTimer: 0,
+            statuses: {}, // Active status effects by type (see STATUS_EFFECTS)
             animTime: 0,
             sprite: null,
             knockbackResist: 1, // Prevent NaN position from knockback math
+            knockbackScale: 0.1, // Bosses have high knockback resistance
+            resistances: bossData.resistances || {},
+            ...this.createPhaseState(bossData),
         };
         
-        // Add methods
-        enemy.update = (dt, player) => this.updateEnemy(enemy, dt, player);
-        enemy.takeDamage = (amount) => this.damageEnemy(enemy, amount);
-        enemy.applyKnockback = (kx, ky) => {
-            // Bosses have high knockback resistance
-            enemy.knockbackX += kx * 0.1;
-            enemy.knockbackY += ky * 0.1;
-        };
-        enemy.applySlow = (factor, duration) => {
-            enemy.slowFactor = Math.max(enemy.slowFactor, factor);
-            enemy.slowTimer = Math.max(enemy.slowTimer, duration);
-        };
-        
+        this.attachMethods(enemy);
+        this.enterBossPhase(enemy, 0);
         this.enemies.push(enemy);
         this.addToSpatialHash(enemy);
 
@@ -269,6 +580,7 @@ export class EnemyManager {
             coinReward: miniBossData.coinReward,
             
             isMiniBoss: true,
+            movement: 'chase',
             name: miniBossData.name,
             emoji: miniBossData.emoji,
             color: miniBossData.color,
@@ -277,24 +589,16 @@ export class EnemyManager {
             knockbackX: 0,
             knockbackY: 0,
             knockbackResist: 0.5, // Mini-boss has some knockback resistance
-            slowFactor: 0,
-            slowTimer: 0,
+            knockbackScale: 0.5,
+            resistances: miniBossData.resistances || {},
+            statuses: {}, // Active status effects by type (see STATUS_EFFECTS)
             animTime: 0,
             sprite: null,
+            ...this.createPhaseState(miniBossData),
         };
         
-        // Add methods
-        enemy.update = (dt, player) => this.updateEnemy(enemy, dt, player);
-        enemy.takeDamage = (amount) => this.damageEnemy(enemy, amount);
-        enemy.applyKnockback = (kx, ky) => {
-            enemy.knockbackX += kx * 0.5;
-            enemy.knockbackY += ky * 0.5;
-        };
-        enemy.applySlow = (factor, duration) => {
-            enemy.slowFactor = Math.max(enemy.slowFactor, factor);
-            enemy.slowTimer = Math.max(enemy.slowTimer, duration);
-        };
-        
+        this.attachMethods(enemy);
+        this.enterBossPhase(enemy, 0);
         this.enemies.push(enemy);
         this.addToSpatialHash(enemy);
         
@@ -307,6 +611,49 @@ export class EnemyManager {
         return enemy;
     }
     
+    /**
+     * Phase and attack fields for a boss or mini-boss (see BOSSES)
+     */
+    createPhaseState(data) {
+        return {
+            phases: data.phases || null,
+            phaseIndex: 0,
+            phaseSpeed: 1,
+            attackCooldowns: [],
+            bossAttack: null, // Attack being telegraphed: { index, timer, dir, center }
+            dashTimer: 0,
+            dashSpeed: 0,
+            chargeDir: null,
+        };
+    }
+    
+    /**
+     * Switch a boss to a phase: new color, speed and attacks
+     */
+    enterBossPhase(enemy, index) {
+        if (!enemy.phases) return;
+        
+        const phase = enemy.phases[index];
+        enemy.phaseIndex = index;
+        enemy.color = phase.color;
+        enemy.phaseSpeed = phase.speed || 1;
+        enemy.bossAttack = null;
+        enemy.dashTimer = 0;
+        
+        // Stagger openers so a new phase doesn't fire everything at once
+        enemy.attackCooldowns = phase.attacks.map((attack, i) => 1000 + i * 1500);
+        
+        if (index > 0) {
+            this.game.camera.shake(12, 400);
+            this.game.particles.burst(enemy.x, enemy.y, phase.color, 40);
+            this.game.soundManager?.play('bossSpawn', 0.4);
+        }
+        
+        if (enemy === this.game.currentBoss) {
+            this.game.updateBossPhase(enemy);
+        }
+    }
+    
     /**
      * Update a single enemy
      */
@@ -316,9 +663,23 @@ export class EnemyManager {
         const dtSeconds = dt / 1000;
         enemy.animTime += dt;
         
-        // Calculate direction to player
-        let dx = player.x - enemy.x;
-        let dy = player.y - enemy.y;
+        // Damage over time can finish it off; frozen or stunned enemies stay put
+        const held = this.updateStatuses(enemy, dt);
+        if (enemy.dead) return;
+        
+        // Ring members converge on their target, then go back to chasing
+        if (enemy.movement === 'ring') {
+            const tx = enemy.target.x - enemy.x;
+            const ty = enemy.target.y - enemy.y;
+            if (tx * tx + ty * ty < 50 * 50) {
+                enemy.movement = 'chase';
+            }
+        }
+        
+        // Direction of travel
+        const target = enemy.movement === 'ring' ? enemy.target : player;
+        let dx = enemy.movement === 'straight' ? enemy.heading.x : target.x - enemy.x;
+        let dy = enemy.movement === 'straight' ? enemy.heading.y : target.y - enemy.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
         
         if (dist > 0) {
@@ -326,10 +687,10 @@ export class EnemyManager {
             dy /= dist;
         }
         
-        // Erratic movement (bats)
-        if (enemy.erratic) {
-            dx += (Math.random() - 0.5) * 0.5;
-            dy += (Math.random() - 0.5) * 0.5;
+        // Erratic movement (bats) - formations hold their line
+        if (enemy.erratic && enemy.movement === 'chase') {
+            dx += (this.game.rng.next() - 0.5) * 0.5;
+            dy += (this.game.rng.next() - 0.5) * 0.5;
             const len = Math.sqrt(dx * dx + dy * dy);
             if (len > 0) {
                 dx /= len;
@@ -337,16 +698,20 @@ export class EnemyManager {
             }
         }
         
-        // Apply slow (decay)
-        if (enemy.slowTimer > 0) {
-            enemy.slowTimer -= dt;
-            if (enemy.slowTimer <= 0) {
-                enemy.slowFactor = 0;
-            }
+        // Ranged, charging and healing enemies can hold, back off or dash instead
+        let speedFactor = 1;
+        if (held) {
+            speedFactor = 0;
+        } else if (enemy.movement === 'chase') {
+            const move = this.updateBehavior(enemy, dt, dx, dy, dist);
+            dx = move.x;
+            dy = move.y;
+            speedFactor = move.speed;
         }
         
         // Apply movement (with slow)
-        const currentSpeed = enemy.speed * (1 - enemy.slowFactor);
+        const slowFactor = enemy.statuses.slow?.factor || 0;
+        const currentSpeed = enemy.speed * speedFactor * (1 - slowFactor);
         enemy.x += dx * currentSpeed * dtSeconds;
         enemy.y += dy * currentSpeed * dtSeconds;
         
@@ -363,6 +728,15 @@ export class EnemyManager {
             if (Math.abs(enemy.knockbackY) < 0.1) enemy.knockbackY = 0;
         }
         
+        // Straight movers can start off the map and leave quietly once they've crossed it
+        // (no kill, no drops)
+        if (enemy.movement === 'straight') {
+            if (this.isLeavingMap(enemy)) {
+                enemy.dead = true;
+            }
+            return;
+        }
+        
         // Clamp to map bounds
         enemy.x = Math.max(enemy.radius, Math.min(this.game.mapWidth - enemy.radius, enemy.x));
         enemy.y = Math.max(enemy.radius, Math.min(this.game.mapHeight - enemy.radius, enemy.y));
@@ -394,44 +768,448 @@ export class EnemyManager {
         }
     }
     
+    /**
+     * Apply a status effect to an enemy, following the effect's stacking rule
+     * @param effect { type, duration, dps?, factor?, chance?, source? }
+     */
+    applyStatus(enemy, effect) {
+        const data = STATUS_EFFECTS[effect.type];
+        if (!data || enemy.dead) return;
+        if (data.bossImmune && (enemy.isBoss || enemy.isMiniBoss)) return;
+        if (effect.chance !== undefined && !this.game.rng.chance(effect.chance)) return;
+        
+        const current = enemy.statuses[effect.type];
+        if (!current) {
+            enemy.statuses[effect.type] = {
+                duration: effect.duration,
+                dps: effect.dps || 0,
+                factor: effect.factor || 0,
+                stacks: 1,
+                tickTimer: data.tickRate || 0,
+                source: effect.source || null,
+            };
+            return;
+        }
+        
+        // Reapplied: stacking effects gain a stack, and every effect keeps the stronger values
+        if (data.stacking === 'stack') {
+            current.stacks = Math.min(data.maxStacks, current.stacks + 1);
+        }
+        current.duration = Math.max(current.duration, effect.duration);
+        current.dps = Math.max(current.dps, effect.dps || 0);
+        current.factor = Math.max(current.factor, effect.factor || 0);
+        current.source = effect.source || current.source;
+    }
+    
+    /**
+     * Tick damage over time and expire finished effects
+     * @returns whether an effect is holding the enemy in place
+     */
+    updateStatuses(enemy, dt) {
+        let held = false;
+        
+        for (const [type, status] of Object.entries(enemy.statuses)) {
+            const data = STATUS_EFFECTS[type];
+            
+            if (status.dps > 0) {
+                status.tickTimer -= dt;
+                while (status.tickTimer <= 0 && !enemy.dead) {
+                    status.tickTimer += data.tickRate;
+                    const damage = status.dps * status.stacks * data.tickRate / 1000;
+                    this.damageEnemy(enemy, damage, status.source, { status: type });
+                }
+            }
+            
+            status.duration -= dt;
+            if (status.duration <= 0) {
+                delete enemy.statuses[type];
+            } else if (data.holds) {
+                held = true;
+            }
+        }
+        
+        return held;
+    }
+    
+    /**
+     * Whether a freeze, stun or other holding effect is active on an enemy
+     */
+    isHeld(enemy) {
+        return Object.keys(enemy.statuses).some(type => STATUS_EFFECTS[type].holds);
+    }
+    
+    /**
+     * Run an enemy's special behaviour for this tick
+     * @param dx, dy normalized direction to the player
+     * @returns movement for this tick: direction and speed factor
+     */
+    updateBehavior(enemy, dt, dx, dy, dist) {
+        // Bosses follow their phase script instead
+        if (enemy.phases) {
+            return this.updateBoss(enemy, dt, dx, dy);
+        }
+        
+        const move = { x: dx, y: dy, speed: 1 };
+        
+        // Ranged: back off when too close, hold position in range and shoot
+        if (enemy.ranged) {
+            const ranged = enemy.ranged;
+            if (dist < ranged.keepDistance) {
+                move.x = -dx;
+                move.y = -dy;
+                move.speed = 0.6;
+            } else if (dist <= ranged.range) {
+                move.speed = 0;
+            }
+            
+            enemy.attackTimer -= dt;
+            if (enemy.attackTimer <= 0 && dist <= ranged.range) {
+                this.fireAtPlayer(enemy, dx, dy);
+                enemy.attackTimer = ranged.cooldown;
+            }
+        }
+        
+        // Charger: stop and telegraph, then dash along the locked direction
+        if (enemy.charge) {
+            const charge = enemy.charge;
+            enemy.chargeTimer -= dt;
+            
+            if (enemy.chargeState === 'windup') {
+                move.speed = 0;
+                if (enemy.chargeTimer <= 0) {
+                    enemy.chargeState = 'dashing';
+                    enemy.chargeTimer = charge.duration;
+                }
+            } else if (enemy.chargeState === 'dashing') {
+                move.x = enemy.chargeDir.x;
+                move.y = enemy.chargeDir.y;
+                move.speed = charge.speed / enemy.speed;
+                if (enemy.chargeTimer <= 0) {
+                    enemy.chargeState = 'idle';
+                    enemy.chargeTimer = charge.cooldown;
+                }
+            } else if (enemy.chargeTimer <= 0 && dist <= charge.range) {
+                enemy.chargeState = 'windup';
+                enemy.chargeTimer = charge.windup;
+                enemy.chargeDir = { x: dx, y: dy };
+                move.speed = 0;
+            }
+        }
+        
+        // Healer: pulse heals and haste onto nearby allies
+        if (enemy.aura) {
+            enemy.attackTimer -= dt;
+            if (enemy.attackTimer <= 0) {
+                this.pulseAura(enemy);
+                enemy.attackTimer = enemy.aura.interval;
+            }
+        }
+        
+        // Hastened by a healer
+        if (enemy.buffTimer > 0) {
+            enemy.buffTimer -= dt;
+            move.speed *= 1 + enemy.buffSpeed;
+        }
+        
+        return move;
+    }
+    
+    /**
+     * Boss AI: change phase at HP thresholds, then dash, telegraph or start the next ready attack
+     * @returns movement for this tick, as updateBehavior
+     */
+    updateBoss(enemy, dt, dx, dy) {
+        // Deepest phase whose threshold the boss's HP has reached
+        const fraction = enemy.hp / enemy.maxHp;
+        let phaseIndex = enemy.phaseIndex;
+        while (phaseIndex + 1 < enemy.phases.length && fraction <= enemy.phases[phaseIndex + 1].hpBelow) {
+            phaseIndex++;
+        }
+        if (phaseIndex !== enemy.phaseIndex) {
+            this.enterBossPhase(enemy, phaseIndex);
+        }
+        
+        const phase = enemy.phases[enemy.phaseIndex];
+        const move = { x: dx, y: dy, speed: enemy.phaseSpeed };
+        
+        // Mid-dash: keep going along the telegraphed line
+        if (enemy.dashTimer > 0) {
+            enemy.dashTimer -= dt;
+            move.x = enemy.chargeDir.x;
+            move.y = enemy.chargeDir.y;
+            move.speed = enemy.dashSpeed / enemy.speed;
+            return move;
+        }
+        
+        // Telegraphing: stand still until the windup ends, then attack
+        if (enemy.bossAttack) {
+            move.speed = 0;
+            enemy.bossAttack.timer -= dt;
+            if (enemy.bossAttack.timer <= 0) {
+                const attack = phase.attacks[enemy.bossAttack.index];
+                this.performBossAttack(enemy, attack);
+                enemy.bossAttack = null;
+            }
+            return move;
+        }
+        
+        // Start the first attack off cooldown
+        for (let i = 0; i < phase.attacks.length; i++) {
+            enemy.attackCooldowns[i] -= dt;
+        }
+        for (let i = 0; i < phase.attacks.length; i++) {
+            if (enemy.attackCooldowns[i] > 0) continue;
+            
+            const attack = phase.attacks[i];
+            const player = this.game.player;
+            enemy.attackCooldowns[i] = attack.cooldown;
+            enemy.bossAttack = {
+                index: i,
+                timer: attack.windup || 0,
+                dir: { x: dx, y: dy },
+                center: { x: player.x, y: player.y },
+            };
+            enemy.chargeDir = enemy.bossAttack.dir;
+            move.speed = 0;
+            break;
+        }
+        
+        return move;
+    }
+    
+    /**
+     * Carry out a boss attack once its telegraph ends
+     */
+    performBossAttack(enemy, attack) {
+        switch (attack.type) {
+            case 'radial': {
+                const waves = attack.waves || 1;
+                this.fireRadial(enemy, attack, 0);
+                for (let wave = 1; wave < waves; wave++) {
+                    this.game.scheduler.after(wave * attack.waveDelay, () => {
+                        if (!enemy.dead) this.fireRadial(enemy, attack, wave);
+                    });
+                }
+                break;
+            }
+            case 'dash':
+                enemy.dashTimer = attack.duration;
+                enemy.dashSpeed = attack.speed;
+                break;
+            case 'summon': {
+                const difficulty = this.game.getDifficultyMultiplier();
+                for (const position of this.getSummonPoints(enemy, attack)) {
+                    this.spawnEnemy(attack.enemy, difficulty, position);
+                }
+                this.game.particles.burst(enemy.x, enemy.y, enemy.color, 20);
+                break;
+            }
+            case 'zone':
+                this.game.startBossArena(enemy.bossAttack.center.x, enemy.bossAttack.center.y, {
+                    ...attack,
+                    color: enemy.color,
+                });
+                break;
+        }
+    }
+    
+    /**
+     * One ring of boss shots, turned a little further each wave
+     */
+    fireRadial(enemy, attack, wave) {
+        const offset = (attack.spin || 0) * wave;
+        
+        for (let i = 0; i < attack.count; i++) {
+            const angle = (Math.PI * 2 / attack.count) * i + offset;
+            this.game.enemyProjectileManager?.spawn({
+                x: enemy.x,
+                y: enemy.y,
+                dx: Math.cos(angle),
+                dy: Math.sin(angle),
+                speed: attack.projectileSpeed,
+                damage: attack.damage,
+                radius: 7,
+                color: enemy.color,
+            });
+        }
+    }
+    
+    /**
+     * Where a summon attack's adds appear (evenly around the boss)
+     */
+    getSummonPoints(enemy, attack) {
+        const points = [];
+        for (let i = 0; i < attack.count; i++) {
+            const angle = (Math.PI * 2 / attack.count) * i;
+            points.push({
+                x: enemy.x + Math.cos(angle) * (enemy.radius + 50),
+                y: enemy.y + Math.sin(angle) * (enemy.radius + 50),
+            });
+        }
+        return points;
+    }
+    
+    /**
+     * Shoot at the player (a fan of shots if the enemy has spread)
+     */
+    fireAtPlayer(enemy, dx, dy) {
+        const ranged = enemy.ranged;
+        const shots = ranged.spread || 1;
+        const baseAngle = Math.atan2(dy, dx);
+        
+        for (let i = 0; i < shots; i++) {
+            const angle = baseAngle + (i - (shots - 1) / 2) * 0.25;
+            this.game.enemyProjectileManager?.spawn({
+                x: enemy.x,
+                y: enemy.y,
+                dx: Math.cos(angle),
+                dy: Math.sin(angle),
+                speed: ranged.projectileSpeed,
+                damage: enemy.damage,
+                radius: ranged.projectileRadius,
+                color: ranged.color,
+            });
+        }
+    }
+    
+    /**
+     * Heal and hasten allies around a healer (bosses and mini-bosses are left alone)
+     */
+    pulseAura(enemy) {
+        const aura = enemy.aura;
+        
+        for (const ally of this.getEnemiesNear(enemy.x, enemy.y, aura.radius)) {
+            if (ally === enemy || ally.dead || ally.isBoss || ally.isMiniBoss) continue;
+            
+            ally.hp = Math.min(ally.maxHp, ally.hp + ally.maxHp * aura.heal);
+            ally.buffTimer = aura.buffDuration;
+            ally.buffSpeed = aura.speedBuff;
+        }
+        
+        this.game.particles.burst(enemy.x, enemy.y, '#10b981', 12);
+    }
+    
+    /**
+     * Break a splitter into smaller enemies around where it died
+     */
+    splitEnemy(enemy) {
+        const split = enemy.split;
+        
+        for (let i = 0; i < split.count; i++) {
+            const angle = (Math.PI * 2 / split.count) * i;
+            this.spawnEnemy(split.into, enemy.difficulty, {
+                x: enemy.x + Math.cos(angle) * enemy.radius,
+                y: enemy.y + Math.sin(angle) * enemy.radius,
+            });
+        }
+    }
+    
+    /**
+     * Whether a point is off the map by more than margin
+     */
+    isOutsideMap(point, margin) {
+        return point.x < -margin || point.y < -margin ||
+            point.x > this.game.mapWidth + margin || point.y > this.game.mapHeight + margin;
+    }
+    
+    /**
+     * Whether a straight mover is off the map and heading further away
+     */
+    isLeavingMap(enemy) {
+        const r = enemy.radius;
+        const heading = enemy.heading;
+        return (enemy.x < -r && heading.x <= 0) || (enemy.x > this.game.mapWidth + r && heading.x >= 0) ||
+            (enemy.y < -r && heading.y <= 0) || (enemy.y > this.game.mapHeight + r && heading.y >= 0);
+    }
+    
     /**
      * Damage an enemy
+     * @param source id of the weapon that dealt the damage (for stats)
+     * @param options.status status effect type when this is a damage-over-time tick
+     * @param options.element damage element (default: the status effect's, then the weapon's)
      */
-    damageEnemy(enemy, amount) {
+    damageEnemy(enemy, amount, source = null, options = {}) {
         if (enemy.dead) return;
         
+        // Shielded elites shrug off their first few hits (damage over time goes through)
+        if (enemy.shieldHits > 0 && !options.status) {
+            enemy.shieldHits--;
+            this.game.damageNumbers.add(enemy.x, enemy.y - 10, 'BLOCK', ELITE_AFFIXES.shielded.color);
+            return;
+        }
+        
         // Apply curse multiplier (from Skull O'Maniac passive)
         const curseMultiplier = this.game.player?.curse || 1;
-        const finalDamage = amount * curseMultiplier;
+        
+        // Elemental resistance or weakness
+        const element = this.getDamageElement(source, options);
+        const resistance = enemy.resistances?.[element] ?? 1;
+        
+        // Critical hit (damage over time ticks never crit)
+        const crit = !options.status && this.rollCrit(source);
+        const critMultiplier = crit ? this.game.player.critDamage : 1;
+        const finalDamage = amount * curseMultiplier * resistance * critMultiplier;
         
         enemy.hp -= finalDamage;
         enemy.currentHp = enemy.hp;
+        this.game.addDamageDealt(finalDamage, source, !options.status);
 
-        // Play hit sound based on enemy type
-        if (enemy.isBoss) {
-            this.game.soundManager?.play('bossHit', 0.8);
-        } else {
-            this.game.soundManager?.play('enemyHit', 0.5);
+        // Play hit sound based on enemy type (damage over time ticks are silent)
+        if (!options.status) {
+            if (enemy.isBoss) {
+                this.game.soundManager?.play('bossHit', 0.8);
+            } else {
+                this.game.soundManager?.play('enemyHit', 0.5);
+            }
         }
         
-        // Damage number
-        const color = enemy.isBoss ? '#fbbf24' : (enemy.isMiniBoss ? '#a855f7' : '#ffffff');
+        // Damage number in the element's color (crits get a bigger one)
+        const color = ELEMENTS[element].color;
         this.game.damageNumbers.add(
-            enemy.x + (Math.random() - 0.5) * 20,
+            enemy.x + (this.game.rng.next() - 0.5) * 20,
             enemy.y - 10,
             Math.floor(finalDamage),
-            color
+            color,
+            { crit }
         );
         
         if (enemy.hp <= 0) {
-            this.killEnemy(enemy);
+            this.killEnemy(enemy, source);
+        } else if (this.hasAffix(enemy, 'frenzied') && !enemy.enraged &&
+                   enemy.hp <= enemy.maxHp * ELITE_AFFIXES.frenzied.threshold) {
+            this.enrage(enemy);
         }
     }
     
+    /**
+     * Roll for a critical hit: the player's crit chance plus the weapon's own
+     */
+    rollCrit(source) {
+        const player = this.game.player;
+        if (!player) return false;
+        
+        const chance = player.critChance + (WEAPONS[source]?.critChance || 0);
+        if (!this.game.rng.chance(chance)) return false;
+        
+        this.game.addCrit();
+        return true;
+    }
+    
+    /**
+     * Element of a hit: explicit, else from its status effect, else from the weapon (physical if unknown)
+     */
+    getDamageElement(source, options) {
+        return options.element ||
+            (options.status && STATUS_EFFECTS[options.status].element) ||
+            WEAPONS[source]?.element ||
+            'physical';
+    }
+    
     /**
      * Kill an enemy
+     * @param source weapon id credited with the kill, if any
      */
-    killEnemy(enemy) {
+    killEnemy(enemy, source = null) {
         // Check resurrect
         if (enemy.resurrect && !enemy.resurrected) {
             enemy.hp = enemy.maxHp / 2;
@@ -441,7 +1219,7 @@ export class EnemyManager {
         }
         
         enemy.dead = true;
-        this.game.addKill();
+        this.game.addKill(source);
 
         if (enemy.isBoss) {
             this.game.soundManager?.play('bossDefeat');
@@ -459,6 +1237,19 @@ export class EnemyManager {
             this.game.onMiniBossDefeated(enemy);
         }
         
+        // Elites count toward run stats, and explosive ones go off
+        if (enemy.elite) {
+            this.game.addEliteKill();
+            if (this.hasAffix(enemy, 'explosive')) {
+                this.explode(enemy);
+            }
+        }
+        
+        // Splitters break apart
+        if (enemy.split) {
+            this.splitEnemy(enemy);
+        }
+        
         // Drop XP
         this.dropXp(enemy);
         
@@ -469,8 +1260,8 @@ export class EnemyManager {
                 this.game.pickupManager?.spawn({
                     type: 'coin',
                     value: 5,
-                    x: enemy.x + (Math.random() - 0.5) * 50,
-                    y: enemy.y + (Math.random() - 0.5) * 50,
+                    x: enemy.x + (this.game.rng.next() - 0.5) * 50,
+                    y: enemy.y + (this.game.rng.next() - 0.5) * 50,
                 });
             }
         }
@@ -511,8 +1302,8 @@ export class EnemyManager {
                 gemValue = 1;
             }
             
-            const offsetX = (Math.random() - 0.5) * 30;
-            const offsetY = (Math.random() - 0.5) * 30;
+            const offsetX = (this.game.rng.next() - 0.5) * 30;
+            const offsetY = (this.game.rng.next() - 0.5) * 30;
             
             this.game.pickupManager?.spawn({
                 type: 'xp',
@@ -532,18 +1323,33 @@ export class EnemyManager {
     checkDrops(enemy) {
         const luck = this.game.player?.luck || 1;
         
+        // Elites always drop something worthwhile: a chest, or failing that a pile of coins
+        if (enemy.elite) {
+            const elites = GAME_CONFIG.elites;
+            if (this.game.rng.next() < elites.chestChance * luck) {
+                this.game.pickupManager?.spawn({ type: 'chest', subType: 'elite', x: enemy.x, y: enemy.y });
+            } else {
+                this.game.pickupManager?.spawn({
+                    type: 'coin',
+                    value: elites.coinValue,
+                    x: enemy.x,
+                    y: enemy.y,
+                });
+            }
+        }
+        
         // Coin drop
-        if (Math.random() < GAME_CONFIG.pickups.coinDropChance * luck) {
+        if (this.game.rng.next() < GAME_CONFIG.pickups.coinDropChance * luck) {
             this.game.pickupManager?.spawn({
                 type: 'coin',
-                value: enemy.isBoss ? 50 : Math.ceil(Math.random() * 5),
+                value: enemy.isBoss ? 50 : Math.ceil(this.game.rng.next() * 5),
                 x: enemy.x,
                 y: enemy.y,
             });
         }
         
         // Chicken (heal) drop
-        if (Math.random() < GAME_CONFIG.pickups.chickenDropChance * luck) {
+        if (this.game.rng.next() < GAME_CONFIG.pickups.chickenDropChance * luck) {
             this.game.pickupManager?.spawn({
                 type: 'chicken',
                 value: 30,
@@ -552,17 +1358,18 @@ export class EnemyManager {
             });
         }
         
-        // Chest drop (bosses always, rare for others)
-        if (enemy.isBoss || Math.random() < GAME_CONFIG.pickups.chestDropChance * luck) {
+        // Chest drop (bosses and mini-bosses always, rare for others)
+        if (enemy.isBoss || enemy.isMiniBoss || this.game.rng.next() < GAME_CONFIG.pickups.chestDropChance * luck) {
             this.game.pickupManager?.spawn({
                 type: 'chest',
+                subType: enemy.isBoss ? 'boss' : (enemy.isMiniBoss ? 'miniBoss' : null),
                 x: enemy.x,
                 y: enemy.y,
             });
         }
         
         // Magnet drop (rare - collects all XP on map)
-        if (Math.random() < GAME_CONFIG.pickups.magnetDropChance * luck) {
+        if (this.game.rng.next() < GAME_CONFIG.pickups.magnetDropChance * luck) {
             this.game.pickupManager?.spawn({
                 type: 'magnet',
                 x: enemy.x,
@@ -645,7 +1452,7 @@ export class EnemyManager {
     getRandomEnemyInRange(x, y, range) {
         const nearby = this.getEnemiesNear(x, y, range);
         if (nearby.length === 0) return null;
-        return nearby[Math.floor(Math.random() * nearby.length)];
+        return this.game.rng.pick(nearby);
     }
     
     /**
@@ -686,9 +1493,39 @@ export class EnemyManager {
                 ctx.globalAlpha = 0.7;
             }
             
-            // Slow effect (Blue tint)
-            if (enemy.slowTimer > 0) {
-                ctx.shadowColor = '#06b6d4';
+            // Healer aura
+            if (enemy.aura) {
+                ctx.globalAlpha = 0.08;
+                ctx.fillStyle = '#10b981';
+                ctx.beginPath();
+                ctx.arc(0, 0, enemy.aura.radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = enemy.phase ? 0.7 : 1;
+            }
+            
+            // Charge telegraph: the line it's about to dash along
+            if (enemy.chargeState === 'windup') {
+                const length = enemy.charge.speed * enemy.charge.duration / 1000;
+                ctx.strokeStyle = 'rgba(239, 68, 68, 0.5)';
+                ctx.lineWidth = enemy.radius;
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.lineTo(enemy.chargeDir.x * length, enemy.chargeDir.y * length);
+                ctx.stroke();
+            }
+            
+            // Boss attack telegraph
+            if (enemy.bossAttack) {
+                this.renderBossTelegraph(ctx, enemy);
+            }
+            
+            // Status effect tint (first active effect's color), healer haste (green)
+            const statusTypes = Object.keys(enemy.statuses);
+            if (statusTypes.length > 0) {
+                ctx.shadowColor = STATUS_EFFECTS[statusTypes[0]].color;
+                ctx.shadowBlur = 10;
+            } else if (enemy.buffTimer > 0) {
+                ctx.shadowColor = '#10b981';
                 ctx.shadowBlur = 10;
             } else {
                 ctx.shadowBlur = 0;
@@ -721,6 +1558,11 @@ export class EnemyManager {
                 ctx.fill();
             }
             
+            // Status effect overlay and pips
+            if (statusTypes.length > 0) {
+                this.renderStatusIndicators(ctx, enemy, statusTypes);
+            }
+            
             // Health bar for damaged enemies, bosses, and mini-bosses
             // (Boss health is shown in the sticky UI instead)
             if (!enemy.isBoss && (enemy.hp < enemy.maxHp || enemy.isMiniBoss)) {
@@ -747,10 +1589,192 @@ export class EnemyManager {
                 ctx.fillRect(-barWidth / 2 + 1, barY + 1, (barWidth - 2) * healthPercent, barHeight - 2);
             }
             
+            // Elite outline and name tag
+            if (enemy.elite) {
+                this.renderEliteMarker(ctx, enemy);
+            }
+            
             ctx.restore();
         }
     }
     
+    /**
+     * Show an enemy's status effects: ice over frozen enemies, then a colored pip per effect
+     * (drawn relative to the enemy, below its health bar)
+     */
+    renderStatusIndicators(ctx, enemy, statusTypes) {
+        ctx.shadowBlur = 0;
+        
+        if (enemy.statuses.freeze) {
+            ctx.globalAlpha = 0.4;
+            ctx.fillStyle = STATUS_EFFECTS.freeze.color;
+            ctx.beginPath();
+            ctx.arc(0, 0, enemy.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        ctx.globalAlpha = 1;
+        const pipY = enemy.radius + 14;
+        const startX = -(statusTypes.length - 1) * 4;
+        for (let i = 0; i < statusTypes.length; i++) {
+            ctx.fillStyle = STATUS_EFFECTS[statusTypes[i]].color;
+            ctx.beginPath();
+            ctx.arc(startX + i * 8, pipY, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Outline an elite in its affix color and label it (drawn relative to the enemy)
+     */
+    renderEliteMarker(ctx, enemy) {
+        const color = ELITE_AFFIXES[enemy.affixes[0]].color;
+        
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = enemy.enraged ? 3 : 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, enemy.radius + 4, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        // Remaining shield
+        if (enemy.shieldHits > 0) {
+            ctx.strokeStyle = ELITE_AFFIXES.shielded.color;
+            ctx.globalAlpha = 0.4 + 0.2 * enemy.shieldHits;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, enemy.radius + 8, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+        
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = color;
+        ctx.fillText(enemy.eliteName, 0, -enemy.radius - 8);
+    }
+    
+    /**
+     * Warn what a boss is about to do (drawn relative to the boss)
+     */
+    renderBossTelegraph(ctx, enemy) {
+        const attack = enemy.phases[enemy.phaseIndex].attacks[enemy.bossAttack.index];
+        const progress = attack.windup ? 1 - enemy.bossAttack.timer / attack.windup : 1;
+        
+        ctx.save();
+        ctx.strokeStyle = enemy.color;
+        ctx.fillStyle = enemy.color;
+        ctx.globalAlpha = 0.3 + progress * 0.4;
+        
+        switch (attack.type) {
+            case 'radial':
+                // Spokes where the shots will fly, growing as the windup runs out
+                ctx.lineWidth = 3;
+                for (let i = 0; i < attack.count; i++) {
+                    const angle = (Math.PI * 2 / attack.count) * i;
+                    const length = enemy.radius + 20 + progress * 40;
+                    ctx.beginPath();
+                    ctx.moveTo(Math.cos(angle) * enemy.radius, Math.sin(angle) * enemy.radius);
+                    ctx.lineTo(Math.cos(angle) * length, Math.sin(angle) * length);
+                    ctx.stroke();
+                }
+                break;
+            case 'dash': {
+                const length = attack.speed * attack.duration / 1000;
+                const dir = enemy.bossAttack.dir;
+                ctx.lineWidth = enemy.radius * 2;
+                ctx.globalAlpha = 0.15 + progress * 0.25;
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.lineTo(dir.x * length, dir.y * length);
+                ctx.stroke();
+                break;
+            }
+            case 'summon':
+                for (const point of this.getSummonPoints(enemy, attack)) {
+                    ctx.beginPath();
+                    ctx.arc(point.x - enemy.x, point.y - enemy.y, 6 + progress * 10, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                break;
+            case 'zone': {
+                const center = enemy.bossAttack.center;
+                ctx.lineWidth = 4;
+                ctx.setLineDash([16, 12]);
+                ctx.beginPath();
+                ctx.arc(center.x - enemy.x, center.y - enemy.y, attack.radius, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Save spawn timers and living enemies for a run snapshot
+     */
+    serialize() {
+        const enemies = [];
+        for (const enemy of this.enemies) {
+            if (enemy.dead) continue;
+            
+            // Methods and sprites are rebuilt on restore
+            const data = {};
+            for (const [key, value] of Object.entries(enemy)) {
+                if (typeof value !== 'function' && key !== 'sprite') {
+                    data[key] = value;
+                }
+            }
+            enemies.push(data);
+        }
+        
+        return {
+            spawnTimer: this.spawnTimer,
+            waveTimer: this.waveTimer,
+            bossSpawnIndex: this.bossSpawnIndex,
+            nextEventIndex: this.nextEventIndex,
+            // Events are stage data, so streams point back at theirs by index
+            streams: this.streams.map(stream => ({
+                ...stream,
+                event: this.events.indexOf(stream.event),
+                heading: { ...stream.heading },
+            })),
+            enemies: enemies,
+        };
+    }
+    
+    /**
+     * Rebuild enemies from a run snapshot
+     */
+    restore(data) {
+        this.spawnTimer = data.spawnTimer;
+        this.waveTimer = data.waveTimer;
+        this.bossSpawnIndex = data.bossSpawnIndex;
+        this.nextEventIndex = data.nextEventIndex;
+        this.streams = (data.streams || [])
+            .filter(stream => this.events[stream.event])
+            .map(stream => ({ ...stream, event: this.events[stream.event], heading: { ...stream.heading } }));
+        this.enemies = [];
+        this.spatialHash.clear();
+        
+        for (const saved of data.enemies) {
+            const enemy = { ...saved };
+            enemy.statuses = saved.statuses ? { ...saved.statuses } : {};
+            const sprite = ENEMIES[enemy.type]?.sprite;
+            enemy.sprite = sprite ? AssetLoader.getImage(sprite) : null;
+            
+            this.attachMethods(enemy);
+            this.enemies.push(enemy);
+            this.addToSpatialHash(enemy);
+            
+            // Keep new ids clear of restored ones
+            enemyIdCounter = Math.max(enemyIdCounter, enemy.id);
+        }
+    }
+    
     /**
      * Get enemy count
      */
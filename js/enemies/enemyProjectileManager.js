@@ -0,0 +1,140 @@
+/**
+ * Enemy Projectile Manager
+ * Pooled shots fired by ranged enemies - these only hit the player
+ */
+
+export class EnemyProjectileManager {
+    constructor(game) {
+        this.game = game;
+        this.projectiles = [];
+        this.pool = [];
+        this.maxProjectiles = 300;
+    }
+    
+    /**
+     * Fire a projectile (reuses a pooled object when one is free)
+     */
+    spawn(options) {
+        if (this.projectiles.length >= this.maxProjectiles) return null;
+        
+        const projectile = this.pool.pop() || {};
+        projectile.x = options.x;
+        projectile.y = options.y;
+        projectile.dx = options.dx;
+        projectile.dy = options.dy;
+        projectile.speed = options.speed || 200;
+        projectile.damage = options.damage || 5;
+        projectile.radius = options.radius || 6;
+        projectile.color = options.color || '#f97316';
+        projectile.duration = options.duration || 4000;
+        projectile.age = 0;
+        
+        this.projectiles.push(projectile);
+        return projectile;
+    }
+    
+    /**
+     * Move projectiles and drop expired ones
+     */
+    update(dt) {
+        const dtSeconds = dt / 1000;
+        
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const p = this.projectiles[i];
+            p.age += dt;
+            p.x += p.dx * p.speed * dtSeconds;
+            p.y += p.dy * p.speed * dtSeconds;
+            
+            const offMap = p.x < 0 || p.y < 0 || p.x > this.game.mapWidth || p.y > this.game.mapHeight;
+            if (p.age >= p.duration || offMap) {
+                this.release(i);
+            }
+        }
+    }
+    
+    /**
+     * Return a projectile to the pool (order doesn't matter, so swap with the last)
+     */
+    release(index) {
+        const p = this.projectiles[index];
+        const last = this.projectiles.pop();
+        if (last !== p) {
+            this.projectiles[index] = last;
+        }
+        this.pool.push(p);
+    }
+    
+    /**
+     * Check projectiles against the player
+     */
+    checkPlayerCollision(player) {
+        if (!player) return;
+        
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const p = this.projectiles[i];
+            const dx = p.x - player.x;
+            const dy = p.y - player.y;
+            const hitRadius = p.radius + player.radius;
+            
+            if (dx * dx + dy * dy < hitRadius * hitRadius) {
+                player.takeDamage(p.damage);
+                this.release(i);
+            }
+        }
+    }
+    
+    /**
+     * Render all projectiles
+     */
+    render(ctx) {
+        for (const p of this.projectiles) {
+            if (!this.game.camera.isVisible(p.x, p.y, 20)) continue;
+            
+            // Glow
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = p.color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.radius * 1.8, 0, Math.PI * 2);
+            ctx.fill();
+            
+            // Core
+            ctx.globalAlpha = 1;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Save live projectiles for a run snapshot
+     */
+    serialize() {
+        return this.projectiles.map(p => ({ ...p }));
+    }
+    
+    /**
+     * Rebuild projectiles from a run snapshot
+     */
+    restore(projectiles) {
+        this.clear();
+        for (const saved of projectiles) {
+            const p = this.spawn(saved);
+            if (p) p.age = saved.age;
+        }
+    }
+    
+    /**
+     * Clear all projectiles
+     */
+    clear() {
+        this.pool.push(...this.projectiles);
+        this.projectiles = [];
+    }
+    
+    /**
+     * Get projectile count
+     */
+    getCount() {
+        return this.projectiles.length;
+    }
+}
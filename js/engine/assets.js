@@ -37,6 +37,12 @@ class AssetLoaderClass {
         this.images.set('skeleton', this.createEnemySprite('#d1d5db', '#9ca3af'));
         this.images.set('ghost', this.createEnemySprite('#60a5fa', '#3b82f6', 0.6));
         this.images.set('golem', this.createEnemySprite('#78716c', '#57534e', 1, 1.5));
+        this.images.set('archer', this.createEnemySprite('#e5e7eb', '#a8a29e'));
+        this.images.set('mage', this.createEnemySprite('#9333ea', '#581c87'));
+        this.images.set('charger', this.createEnemySprite('#b91c1c', '#7f1d1d', 1, 1.25));
+        this.images.set('splitter', this.createEnemySprite('#84cc16', '#4d7c0f', 0.85, 1.3));
+        this.images.set('splitling', this.createEnemySprite('#a3e635', '#65a30d', 0.85, 0.7));
+        this.images.set('healer', this.createEnemySprite('#10b981', '#047857'));
         this.images.set('boss', this.createEnemySprite('#dc2626', '#991b1b', 1, 2));
         
         // Pickup sprites
@@ -61,7 +61,8 @@ export class Camera {
      * Trigger screen shake
      */
     shake(intensity = 5, duration = 100) {
-        this.shakeIntensity = intensity;
+        // Scaled by the player's screen shake setting
+        this.shakeIntensity = intensity * (this.game.settings?.screenShake ?? 1);
         this.shakeDuration = duration;
     }
     
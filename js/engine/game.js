@@ -7,14 +7,25 @@ import { Input } from './input.js';
 import { Camera } from './camera.js';
 import { Player } from '../player/player.js';
 import { EnemyManager } from '../enemies/enemyManager.js';
+import { EnemyProjectileManager } from '../enemies/enemyProjectileManager.js';
 import { ProjectileManager } from '../weapons/projectileManager.js';
 import { PickupManager } from '../pickups/pickupManager.js';
+import { PropManager } from '../props/propManager.js';
 import { DamageNumbers } from '../effects/damageNumbers.js';
 import { Particles } from '../effects/particles.js';
 import { SaveManager } from '../meta/saveManager.js';
 import { Minimap } from '../ui/minimap.js';
+import { DpsMeter } from '../ui/dpsMeter.js';
 import { Portal } from '../entities/portal.js';
-import { GAME_CONFIG, BOSSES, MINI_BOSSES } from '../data/config.js';
+import { BossArena } from '../entities/bossArena.js';
+import { Merchant } from '../entities/merchant.js';
+import { Random } from './random.js';
+import { Scheduler } from './scheduler.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { GAME_CONFIG, BOSSES, MINI_BOSSES, STAGES, DEFAULT_STAGE, WEAPONS } from '../data/config.js';
+
+// Bump when the run snapshot format changes (older snapshots are ignored)
+const SNAPSHOT_VERSION = 1;
 
 export const GameState = {
     MENU: 'menu',
@@ -22,16 +33,22 @@ export const GameState = {
     PAUSED: 'paused',
     LEVEL_UP: 'levelUp',
     CHEST: 'chest',
+    SHOP: 'shop',
     GAME_OVER: 'gameOver',
     VICTORY: 'victory'
 };
 
 export class Game {
-    constructor(canvas) {
+    /**
+     * @param canvas render target, or null to run headless (no rendering, DOM input or animation loop)
+     * @param options.input movement source used instead of keyboard/touch input (e.g. a simulation bot)
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.width = canvas.width;
-        this.height = canvas.height;
+        this.ctx = canvas ? canvas.getContext('2d') : null;
+        this.headless = !canvas;
+        this.width = canvas ? canvas.width : 1280;
+        this.height = canvas ? canvas.height : 720;
         
         // Game state
         this.state = GameState.MENU;
@@ -43,38 +60,68 @@ export class Game {
         this.fixedDeltaTime = 1000 / 60; // 60 FPS physics
         this.gameTime = 0; // In-game time in ms
         this.realTime = 0;
+        this.tick = 0; // Fixed-timestep updates since the run started
         
         // Stats
         this.killCount = 0;
+        this.eliteKills = 0;
+        this.critCount = 0;
         this.coinsCollected = 0;
         this.damageDealt = 0;
         this.damageTaken = 0;
+        this.weaponStats = {}; // Per-weapon damage, kills, hits and time held, by weapon id
+        
+        // Seeded RNG - every gameplay system draws from this so runs are reproducible
+        this.rng = new Random();
+        this.seed = this.rng.seed;
+        
+        // Delayed/repeating actions on game time (weapon volleys, overlays, boss events)
+        this.scheduler = new Scheduler();
+        
+        // Replay recording (live runs) or playback (loaded replays)
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.powerupLevels = {};
+        this.pendingUpgradeOptions = [];
+        this.pendingChest = null;
+        
+        // Player settings (display and feel only - nothing here changes a run's outcome)
+        this.settings = SaveManager.getSettings();
         
         // Systems
-        this.input = new Input();
+        this.input = options.input || new Input(SaveManager.getKeybindings());
         this.camera = new Camera(this);
         this.damageNumbers = new DamageNumbers();
         this.particles = new Particles();
         
         // Entity managers
         this.enemyManager = null;
+        this.enemyProjectileManager = null;
         this.projectileManager = null;
         this.pickupManager = null;
+        this.propManager = null;
         
         // Player
         this.player = null;
         this.selectedCharacter = 'antonio';
         
-        // Map size
-        this.mapWidth = GAME_CONFIG.mapWidth;
-        this.mapHeight = GAME_CONFIG.mapHeight;
+        // Stage (map size, ground, enemy roster and bosses)
+        this.stage = STAGES[DEFAULT_STAGE];
+        this.mapWidth = this.stage.mapWidth;
+        this.mapHeight = this.stage.mapHeight;
         
         // Boss and portal system
         this.currentBoss = null;
         this.bossDefeated = false;
         this.portal = null; // Portal spark or constructed portal
+        this.bossArena = null; // Closing ring from a boss's zone attack
         this.portalSparkTouched = false;
         this.minimap = null;
+        this.dpsMeter = null; // Optional live DPS panel
+        
+        // Traveling merchant (see Merchant)
+        this.merchant = null;
+        this.nextMerchantTime = GAME_CONFIG.merchant.firstVisit;
         
         // Difficulty scaling (only after boss defeated)
         this.difficultyTier = 0;
@@ -85,6 +132,7 @@ export class Game {
         // Mini-boss tracking
         this.lastMiniBossTime = 0;
         this.miniBossCount = 0;
+        this.pendingMiniBossLevelUps = 0; // Won but not yet granted (gold wheel still spinning)
         
         // Countdown timer (15 minutes)
         this.countdownTime = GAME_CONFIG.bossSpawnTime;
@@ -103,32 +151,89 @@ export class Game {
         this.onPlayerDeath = null;
         this.onVictory = null;
         this.onChestOpen = null;
+        this.onReplayEnd = null;
     }
     
     /**
      * Start a new game
+     * @param stageId stage to play (see STAGES)
+     * @param seed optional run seed - the same seed and inputs replay the same run
+     * @param replay optional replay data to play back instead of live input
+     */
+    startGame(characterId = 'antonio', stageId = DEFAULT_STAGE, seed = null, replay = null) {
+        // Replays bring their own shop upgrades so the run plays out identically
+        this.replayPlayer = replay ? new ReplayPlayer(replay) : null;
+        this.setupRun(characterId, stageId, seed, replay ? replay.powerups : SaveManager.getPowerupLevels());
+        
+        // Record live runs so they can be exported as replays
+        this.replayRecorder = (this.replayPlayer || this.headless) ? null : new ReplayRecorder({
+            seed: this.seed,
+            character: characterId,
+            stage: this.stage.id,
+            powerups: this.powerupLevels,
+            fixedDeltaTime: this.fixedDeltaTime,
+        });
+        
+        // Start stage music
+        this.soundManager?.playMusic(this.stage.music, true);
+        
+        // Change state
+        this.setState(GameState.PLAYING);
+        
+        // Show startup message after fade
+        this.scheduler.after(500, () => {
+            this.showStartupMessage();
+        });
+        
+        this.startLoop();
+    }
+    
+    /**
+     * Reset run state and create the player and managers
      */
-    startGame(characterId = 'antonio') {
+    setupRun(characterId, stageId, seed, powerupLevels) {
         this.selectedCharacter = characterId;
+        this.powerupLevels = { ...powerupLevels };
+        
+        // Stage sets the map size before anything is placed on it
+        this.stage = STAGES[stageId] || STAGES[DEFAULT_STAGE];
+        this.mapWidth = this.stage.mapWidth;
+        this.mapHeight = this.stage.mapHeight;
+        
+        // Seed the run
+        this.rng = new Random(seed ?? Random.generateSeed());
+        this.seed = this.rng.seed;
+        console.log(`🎲 Run seed: ${this.seed}`);
         
         // Reset stats
         this.gameTime = 0;
         this.realTime = 0;
+        this.tick = 0;
+        this.scheduler.clear();
         this.killCount = 0;
+        this.eliteKills = 0;
+        this.critCount = 0;
         this.coinsCollected = 0;
         this.damageDealt = 0;
         this.damageTaken = 0;
+        this.weaponStats = {};
         
         // Reset boss/portal state
         this.currentBoss = null;
         this.bossDefeated = false;
+        this.portal = null;
+        this.bossArena = null;
         this.portalSparkTouched = false;
         this.sparkSpawned = false;
+        this.merchant = null;
+        this.nextMerchantTime = GAME_CONFIG.merchant.firstVisit;
         this.difficultyTier = 0;
         this.lastDifficultyScaleTime = 0;
         this.goldMultiplier = 1;
+        this.temporaryLuckBonus = 0;
         this.lastMiniBossTime = 0;
         this.miniBossCount = 0;
+        this.pendingMiniBossLevelUps = 0;
         this.fadeInProgress = 0;
         this.startupMessageShown = false;
         this.timeWarningShown = false;
@@ -140,34 +245,324 @@ export class Game {
         
         // Create managers
         this.enemyManager = new EnemyManager(this);
+        this.enemyProjectileManager = new EnemyProjectileManager(this);
         this.projectileManager = new ProjectileManager(this);
         this.pickupManager = new PickupManager(this);
+        this.propManager = new PropManager(this);
+        this.propManager.populate();
         
         // Create minimap
-        this.minimap = new Minimap(this);
+        this.minimap = this.headless ? null : new Minimap(this);
+        this.dpsMeter = this.headless ? null : new DpsMeter(this, this.settings.dpsMeter);
         
-        // Reset systems
-        this.damageNumbers.clear();
-        this.particles.clear();
+        // Reset systems (fresh instances so they draw from this run's RNG)
+        this.damageNumbers = new DamageNumbers(this.rng);
+        this.particles = new Particles(this.rng);
         
         // Setup camera
         this.camera.follow(this.player);
+    }
+    
+    /**
+     * Start the game loop (headless runs are stepped by the caller)
+     */
+    startLoop() {
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        if (!this.headless) {
+            requestAnimationFrame(this.gameLoop);
+        }
+    }
+    
+    /**
+     * Resume a run from a saved snapshot
+     */
+    continueRun(snapshot) {
+        this.replayPlayer = null;
+        this.setupRun(snapshot.character, snapshot.stage, snapshot.seed, snapshot.powerups);
+        this.restoreSnapshot(snapshot);
         
-        // Start gameplay music
-        this.soundManager?.playMusic('gameplay', true);
-
-        // Change state
+        // Projectiles and scheduled volleys aren't saved, so a resumed run can't be replayed from its seed
+        this.replayRecorder = null;
+        
+        this.soundManager?.playMusic(this.stage.music, true);
+        
+        // Pick up where the player left off: an open level-up/chest, otherwise paused
         this.setState(GameState.PLAYING);
+        if (snapshot.pendingUpgradeOptions?.length > 0) {
+            this.pendingUpgradeOptions = snapshot.pendingUpgradeOptions;
+            this.setState(GameState.LEVEL_UP);
+            if (this.onLevelUp) {
+                this.onLevelUp(this.player.level, this.pendingUpgradeOptions);
+            }
+        } else if (snapshot.pendingChest) {
+            this.openChest(snapshot.pendingChest);
+        } else if (snapshot.pendingChestItem) {
+            // Saved before chests had tiers
+            this.openChest({ tier: 'bronze', source: null, rewards: [snapshot.pendingChestItem] });
+        } else if (snapshot.shopOpen && this.merchant) {
+            this.openShop();
+        } else {
+            this.pause();
+        }
         
-        // Show startup message after fade
-        setTimeout(() => {
-            this.showStartupMessage();
-        }, 500);
+        this.startLoop();
+    }
+    
+    /**
+     * Whether the current run can be saved for later
+     */
+    canSaveRun() {
+        const inRun = [GameState.PLAYING, GameState.PAUSED, GameState.LEVEL_UP, GameState.CHEST, GameState.SHOP].includes(this.state);
+        return inRun && this.player && !this.replayPlayer && !this.headless;
+    }
+    
+    /**
+     * Save the current run so it can be continued later
+     */
+    saveRun() {
+        if (!this.canSaveRun()) return;
+        SaveManager.saveRunSnapshot(this.createSnapshot());
+    }
+    
+    /**
+     * Save the run and return to the menu (coins stay with the run until it ends)
+     */
+    saveAndQuit() {
+        if (!this.canSaveRun()) {
+            this.quitToMenu();
+            return;
+        }
         
-        // Start game loop
-        this.lastTime = performance.now();
-        this.accumulator = 0;
-        requestAnimationFrame(this.gameLoop);
+        this.saveRun();
+        this.replayRecorder = null;
+        this.leaveRun();
+    }
+    
+    /**
+     * Saved run that can be continued, if any
+     */
+    getSavedRun() {
+        const snapshot = SaveManager.getRunSnapshot();
+        return snapshot?.version === SNAPSHOT_VERSION ? snapshot : null;
+    }
+    
+    /**
+     * Drop the saved run, banking its coins as if it had been quit
+     */
+    discardSavedRun() {
+        const snapshot = SaveManager.getRunSnapshot();
+        if (!snapshot) return;
+        
+        SaveManager.addCoins(snapshot.coinsCollected || 0);
+        SaveManager.clearRunSnapshot();
+    }
+    
+    /**
+     * Capture everything needed to rebuild the current run
+     * Weapon projectiles and scheduled actions are short-lived and hold callbacks, so they're left out
+     * (anything they still owe, like a mini-boss level-up, is saved as state instead)
+     */
+    createSnapshot() {
+        const pendingLevelUp = this.state === GameState.LEVEL_UP && this.pendingUpgradeOptions.length > 0;
+        const pendingChest = this.state === GameState.CHEST && this.pendingChest;
+        
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            character: this.selectedCharacter,
+            stage: this.stage.id,
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            powerups: { ...this.powerupLevels },
+            
+            gameTime: this.gameTime,
+            realTime: this.realTime,
+            tick: this.tick,
+            killCount: this.killCount,
+            eliteKills: this.eliteKills,
+            critCount: this.critCount,
+            coinsCollected: this.coinsCollected,
+            damageDealt: this.damageDealt,
+            damageTaken: this.damageTaken,
+            weaponStats: structuredClone(this.weaponStats),
+            
+            currentBossId: this.currentBoss?.id ?? null,
+            bossDefeated: this.bossDefeated,
+            portalSparkTouched: this.portalSparkTouched,
+            sparkSpawned: this.sparkSpawned,
+            nextMerchantTime: this.nextMerchantTime,
+            difficultyTier: this.difficultyTier,
+            lastDifficultyScaleTime: this.lastDifficultyScaleTime,
+            goldMultiplier: this.goldMultiplier,
+            temporaryLuckBonus: this.temporaryLuckBonus,
+            lastMiniBossTime: this.lastMiniBossTime,
+            miniBossCount: this.miniBossCount,
+            pendingMiniBossLevelUps: this.pendingMiniBossLevelUps,
+            startupMessageShown: this.startupMessageShown,
+            timeWarningShown: this.timeWarningShown,
+            
+            pendingUpgradeOptions: pendingLevelUp ? this.pendingUpgradeOptions : [],
+            pendingChest: pendingChest ? this.pendingChest : null,
+            shopOpen: this.state === GameState.SHOP,
+            
+            player: this.player.serialize(),
+            enemies: this.enemyManager.serialize(),
+            enemyProjectiles: this.enemyProjectileManager.serialize(),
+            pickups: this.pickupManager.serialize(),
+            props: this.propManager.serialize(),
+            portal: this.portal ? this.portal.serialize() : null,
+            bossArena: this.bossArena ? this.bossArena.serialize() : null,
+            merchant: this.merchant ? this.merchant.serialize() : null,
+        };
+    }
+    
+    /**
+     * Apply a snapshot on top of a freshly set up run
+     */
+    restoreSnapshot(snapshot) {
+        this.gameTime = snapshot.gameTime;
+        this.realTime = snapshot.realTime;
+        this.tick = snapshot.tick;
+        this.killCount = snapshot.killCount;
+        this.eliteKills = snapshot.eliteKills || 0;
+        this.critCount = snapshot.critCount || 0;
+        this.coinsCollected = snapshot.coinsCollected;
+        this.damageDealt = snapshot.damageDealt;
+        this.damageTaken = snapshot.damageTaken;
+        this.weaponStats = structuredClone(snapshot.weaponStats || {});
+        
+        this.bossDefeated = snapshot.bossDefeated;
+        this.portalSparkTouched = snapshot.portalSparkTouched;
+        this.sparkSpawned = snapshot.sparkSpawned;
+        this.nextMerchantTime = snapshot.nextMerchantTime ?? GAME_CONFIG.merchant.firstVisit;
+        this.difficultyTier = snapshot.difficultyTier;
+        this.lastDifficultyScaleTime = snapshot.lastDifficultyScaleTime;
+        this.goldMultiplier = snapshot.goldMultiplier;
+        this.temporaryLuckBonus = snapshot.temporaryLuckBonus;
+        this.lastMiniBossTime = snapshot.lastMiniBossTime;
+        this.miniBossCount = snapshot.miniBossCount;
+        
+        // A save during the gold wheel or just after it still owes the mini-boss level-up
+        this.pendingMiniBossLevelUps = 0;
+        for (let i = 0; i < (snapshot.pendingMiniBossLevelUps || 0); i++) {
+            this.pendingMiniBossLevelUps++;
+            this.scheduleMiniBossLevelUp();
+        }
+        this.fadeInProgress = 1;
+        this.startupMessageShown = snapshot.startupMessageShown;
+        this.timeWarningShown = snapshot.timeWarningShown;
+        
+        this.player.restore(snapshot.player);
+        this.enemyManager.restore(snapshot.enemies);
+        this.enemyProjectileManager.restore(snapshot.enemyProjectiles || []);
+        this.pickupManager.restore(snapshot.pickups);
+        if (snapshot.props) {
+            this.propManager.restore(snapshot.props);
+        }
+        
+        if (snapshot.portal) {
+            this.portal = new Portal(this, snapshot.portal.x, snapshot.portal.y, snapshot.portal.state);
+            this.portal.restore(snapshot.portal);
+        }
+        
+        if (snapshot.bossArena) {
+            this.bossArena = new BossArena(this, snapshot.bossArena.x, snapshot.bossArena.y, snapshot.bossArena);
+            this.bossArena.restore(snapshot.bossArena);
+        }
+        
+        if (snapshot.merchant) {
+            this.merchant = new Merchant(this, snapshot.merchant.x, snapshot.merchant.y);
+            this.merchant.restore(snapshot.merchant);
+        }
+        
+        // Boss bar and difficulty indicator
+        this.currentBoss = this.enemyManager.enemies.find(e => e.id === snapshot.currentBossId) || null;
+        if (this.currentBoss) {
+            this.showBossHealthBar(this.currentBoss.name);
+            this.updateBossHealthBar(this.currentBoss.hp, this.currentBoss.maxHp);
+            this.updateBossPhase(this.currentBoss);
+        }
+        if (this.difficultyTier > 0) {
+            this.ui?.showDifficultyIndicator(GAME_CONFIG.difficultyTiers[this.difficultyTier - 1]);
+        }
+        
+        this.camera.follow(this.player);
+        
+        // Last, so nothing above shifts the sequence
+        this.rng.setState(snapshot.rngState);
+    }
+    
+    /**
+     * Play back a recorded run
+     */
+    startReplay(replay) {
+        // Replays recorded before stages existed were all in the first stage
+        this.startGame(replay.character, replay.stage || DEFAULT_STAGE, replay.seed, replay);
+    }
+    
+    /**
+     * Stop playback once the recorded input runs out
+     */
+    endReplay() {
+        if (this.onReplayEnd) {
+            this.onReplayEnd();
+        } else {
+            this.quitToMenu();
+        }
+    }
+    
+    /**
+     * Resolve pending level-up/chest/shop screens from the replay
+     */
+    applyReplayChoices() {
+        while ([GameState.LEVEL_UP, GameState.CHEST, GameState.SHOP].includes(this.state)) {
+            const choice = this.replayPlayer.nextChoice(this.tick);
+            if (!choice) return;
+            
+            if (this.state === GameState.LEVEL_UP && choice.type === 'reroll') {
+                this.rerollUpgrades();
+            } else if (this.state === GameState.LEVEL_UP && choice.type === 'skip') {
+                this.skipUpgrade();
+            } else if (this.state === GameState.LEVEL_UP && choice.type === 'banish') {
+                this.banishUpgrade(choice.id);
+            } else if (this.state === GameState.LEVEL_UP) {
+                const upgrade = this.pendingUpgradeOptions.find(
+                    o => choice.type === 'upgrade' && o.type === choice.kind && o.id === choice.id
+                );
+                if (!upgrade) {
+                    console.warn('Replay desync: recorded upgrade not offered', choice);
+                }
+                this.selectUpgrade(upgrade || this.pendingUpgradeOptions[0]);
+            } else if (this.state === GameState.SHOP && choice.type === 'buy') {
+                this.buyShopItem(choice.index);
+            } else if (this.state === GameState.SHOP) {
+                if (choice.type !== 'leaveShop') {
+                    console.warn('Replay desync: expected a shop choice', choice);
+                }
+                this.closeShop();
+            } else {
+                if (choice.type !== 'chest') {
+                    console.warn('Replay desync: expected a chest choice', choice);
+                }
+                this.closeChest(Array.isArray(choice.keep) ? choice.keep : choice.keep !== false);
+            }
+        }
+    }
+    
+    /**
+     * Store the finished recording as the last replay
+     */
+    saveReplay(outcome) {
+        if (!this.replayRecorder) return;
+        
+        SaveManager.saveLastReplay(this.replayRecorder.finish({
+            outcome: outcome,
+            time: this.gameTime,
+            level: this.player?.level || 1,
+            kills: this.killCount,
+        }));
+        this.replayRecorder = null;
     }
     
     /**
@@ -175,8 +570,8 @@ export class Game {
      */
     spawnPortalSpark() {
         const margin = 500;
-        const x = margin + Math.random() * (this.mapWidth - margin * 2);
-        const y = margin + Math.random() * (this.mapHeight - margin * 2);
+        const x = margin + this.rng.next() * (this.mapWidth - margin * 2);
+        const y = margin + this.rng.next() * (this.mapHeight - margin * 2);
         
         this.portal = new Portal(this, x, y, 'spark');
 
@@ -184,6 +579,32 @@ export class Game {
         this.soundManager?.play('portalOpen');
     }
     
+    /**
+     * Send a merchant to stop near the player
+     */
+    spawnMerchant() {
+        const config = GAME_CONFIG.merchant;
+        const angle = this.rng.next() * Math.PI * 2;
+        const margin = 100;
+        const x = Math.max(margin, Math.min(this.mapWidth - margin, this.player.x + Math.cos(angle) * config.spawnDistance));
+        const y = Math.max(margin, Math.min(this.mapHeight - margin, this.player.y + Math.sin(angle) * config.spawnDistance));
+        
+        this.merchant = new Merchant(this, x, y);
+        this.soundManager?.play('pickupCoin');
+        this.flashOverlay('merchant-notification', 3000);
+    }
+    
+    /**
+     * Merchant moves on (after a visit, or when their stay runs out)
+     */
+    dismissMerchant() {
+        if (this.merchant) {
+            this.particles.burst(this.merchant.x, this.merchant.y, '#fbbf24', 20);
+        }
+        this.merchant = null;
+        this.nextMerchantTime = this.gameTime + GAME_CONFIG.merchant.interval;
+    }
+    
     /**
      * Handle player touching the portal spark
      */
@@ -208,50 +629,33 @@ export class Game {
         if (this.startupMessageShown) return;
         this.startupMessageShown = true;
         
-        const overlay = document.getElementById('startup-overlay');
-        if (overlay) {
-            // overlay.classList.remove('hidden');
-            // setTimeout(() => {
-            //     overlay.classList.add('hidden');
-            // }, 3500);
-            
-            if (this.ui) {
-                this.ui.toggleScreen(overlay, true);
-                setTimeout(() => {
-                    this.ui.toggleScreen(overlay, false);
-                }, 3500);
-            }
-        }
+        this.flashOverlay('startup-overlay', 3500);
     }
     
     /**
      * Show boss incoming warning
      */
     showBossWarning() {
-        const warning = document.getElementById('boss-warning');
-        if (warning) {
-            if (this.ui) {
-                this.ui.toggleScreen(warning, true);
-                setTimeout(() => {
-                    this.ui.toggleScreen(warning, false);
-                }, 2000);
-            }
-        }
+        this.flashOverlay('boss-warning', 2000);
     }
 
     /**
      * Show spark spawned notification
      */
     showSparkSpawnedMessage() {
-        const overlay = document.getElementById('spark-notification');
-        if (overlay) {
-            if (this.ui) {
-                this.ui.toggleScreen(overlay, true);
-                setTimeout(() => {
-                    this.ui.toggleScreen(overlay, false);
-                }, 4000);
-            }
-        }
+        this.flashOverlay('spark-notification', 4000);
+    }
+    
+    /**
+     * Show a message overlay for a while (in game time, so it waits out pauses)
+     */
+    flashOverlay(id, duration) {
+        if (!this.ui) return;
+        
+        this.ui.setGameOverlay(id, true);
+        this.scheduler.after(duration, () => {
+            this.ui?.setGameOverlay(id, false);
+        });
     }
     
     /**
@@ -266,13 +670,27 @@ export class Game {
         // Prevent spiral of death
         const clampedDelta = Math.min(deltaTime, 250);
         
+        if (this.replayPlayer) {
+            this.applyReplayChoices();
+        }
+        
         if (this.state === GameState.PLAYING) {
             this.accumulator += clampedDelta;
             
-            // Fixed timestep updates
-            while (this.accumulator >= this.fixedDeltaTime) {
+            // Fixed timestep updates - stop as soon as a level-up or chest freezes the run,
+            // otherwise leftover ticks would depend on frame timing
+            while (this.state === GameState.PLAYING && this.accumulator >= this.fixedDeltaTime) {
                 this.update(this.fixedDeltaTime);
                 this.accumulator -= this.fixedDeltaTime;
+                
+                if (this.replayPlayer) {
+                    this.applyReplayChoices();
+                }
+            }
+            
+            if (this.replayPlayer && this.state === GameState.PLAYING && this.replayPlayer.isFinished(this.tick)) {
+                this.endReplay();
+                return;
             }
         }
         
@@ -293,9 +711,13 @@ export class Game {
      * Fixed timestep update
      */
     update(dt) {
+        this.tick++;
         this.gameTime += dt;
         this.realTime += dt;
         
+        // Run scheduled actions that came due
+        this.scheduler.update(this.gameTime);
+        
         // Update fade-in progress
         if (this.fadeInProgress < 1) {
             this.fadeInProgress += dt / 1000; // 1 second fade
@@ -338,6 +760,11 @@ export class Game {
             }
         }
         
+        // Merchants stay away during boss fights
+        if (!this.merchant && !this.currentBoss && this.gameTime >= this.nextMerchantTime) {
+            this.spawnMerchant();
+        }
+        
         // Show time warning when countdown is low (but spark hasn't spawned yet)
         if (!this.portalSparkTouched && !this.timeWarningShown) {
             if (countdownTime <= 60000 && countdownTime > 59000) {
@@ -346,27 +773,51 @@ export class Game {
             }
         }
         
+        // Movement comes from the replay, live input through the recorder, or the headless input source
+        const movement = this.replayPlayer || this.replayRecorder || this.input;
+        movement.step(this.tick, this.input);
+        
         // Update player
-        this.player.update(dt, this.input);
+        this.player.update(dt, movement);
+        for (const weapon of this.player.weapons) {
+            this.getWeaponStats(weapon.id).timeHeld += dt;
+        }
         
         // Update camera
         this.camera.update(dt);
         
         // Update managers
         this.enemyManager.update(dt);
+        this.enemyProjectileManager.update(dt);
         this.projectileManager.update(dt);
         this.pickupManager.update(dt);
+        this.propManager.update(dt);
         
         // Update portal
         if (this.portal) {
             this.portal.update(dt);
         }
         
+        // Update boss arena
+        if (this.bossArena) {
+            this.bossArena.update(dt);
+        }
+        
+        // Update merchant
+        if (this.merchant) {
+            this.merchant.update(dt);
+        }
+        
         // Update minimap
         if (this.minimap) {
             this.minimap.update();
         }
         
+        // Update DPS meter
+        if (this.dpsMeter) {
+            this.dpsMeter.update(dt);
+        }
+        
         // Check collisions
         this.checkCollisions();
     }
@@ -375,8 +826,8 @@ export class Game {
      * Spawn the 15-minute boss
      */
     spawnBoss() {
-        const bossData = BOSSES.deathReaper;
-        const angle = Math.random() * Math.PI * 2;
+        const bossData = BOSSES[this.stage.boss];
+        const angle = this.rng.next() * Math.PI * 2;
         const distance = 400;
         
         const spawnX = this.player.x + Math.cos(angle) * distance;
@@ -398,17 +849,29 @@ export class Game {
         
         // Show boss health bar
         this.showBossHealthBar(bossData.name);
+        this.updateBossPhase(actualBoss);
+    }
+    
+    /**
+     * Close a ring around the fight (a later zone attack tightens the existing one)
+     */
+    startBossArena(x, y, zone) {
+        if (this.bossArena) {
+            this.bossArena.tighten(zone);
+        } else {
+            this.bossArena = new BossArena(this, x, y, zone);
+        }
     }
     
     /**
      * Spawn a mini-boss
      */
     spawnMiniBoss() {
-        const miniBossKeys = Object.keys(MINI_BOSSES);
+        const miniBossKeys = this.stage.miniBosses;
         const miniBossKey = miniBossKeys[this.miniBossCount % miniBossKeys.length];
         const miniBossData = MINI_BOSSES[miniBossKey];
         
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.next() * Math.PI * 2;
         const distance = 400;
         
         const miniBoss = {
@@ -434,6 +897,7 @@ export class Game {
         this.soundManager?.play('bossDefeat');
         
         this.currentBoss = null;
+        this.bossArena = null;
         
         // Hide boss health bar
         this.hideBossHealthBar();
@@ -444,9 +908,11 @@ export class Game {
         // Apply gold bonus
         this.goldMultiplier = GAME_CONFIG.difficultyTiers[0].goldMult;
         
-        // Track for character unlock
-        SaveManager.recordBossKill();
-        SaveManager.checkUnlocks(this.gameTime, this.killCount);
+        // Track for character unlock (replays never touch the save)
+        if (!this.replayPlayer) {
+            SaveManager.recordBossKill();
+            SaveManager.checkUnlocks(this.gameTime, this.killCount);
+        }
         
         // Show portal constructed message
         this.showPortalConstructedMessage();
@@ -458,42 +924,60 @@ export class Game {
     onMiniBossDefeated(miniBoss) {
         // Grant +1 level to player
         if (this.player) {
+            // Owed until it lands, so a save during the wheel or the delay keeps it
+            this.pendingMiniBossLevelUps++;
+            
             // Trigger gold wheel spin then level up
             this.showGoldWheelSpin(() => {
                 // Reset state to PLAYING first to ensure clean transition
                 this.setState(GameState.PLAYING);
-                
-                // Allow a small delay for UI to clear before showing level up
-                setTimeout(() => {
-                    this.player.levelUp();
-                    this.triggerLevelUp();
-                }, 100);
+                this.scheduleMiniBossLevelUp();
             });
         }
     }
     
+    /**
+     * Grant an owed mini-boss level-up, after a small delay for the UI to clear
+     */
+    scheduleMiniBossLevelUp() {
+        this.scheduler.after(100, () => {
+            this.pendingMiniBossLevelUps--;
+            this.player.levelUp();
+            this.triggerLevelUp();
+        });
+    }
+    
     /**
      * Show gold wheel spin animation and apply gold reward
      */
     showGoldWheelSpin(callback) {
-        // Safety check: if UI is missing, skip wheel to prevent freeze
-        if (!this.ui) {
-            console.warn('UI not linked, skipping gold wheel');
-            callback();
-            return;
-        }
-
-        // Use LEVEL_UP state to freeze gameplay (not pause which shows menu)
-        this.setState(GameState.LEVEL_UP);
-        
         // Random gold reward from 250 to 750 (in 50 increments)
         // Options: 250, 300, 350, 400, 450, 500, 550, 600, 650, 700, 750 (Jackpot!)
+        // Rolled before any early-out so every run draws from the RNG the same way
         const goldOptions = [];
         for (let i = 250; i <= 750; i += 50) {
             goldOptions.push(i);
         }
         
-        const finalGold = goldOptions[Math.floor(Math.random() * goldOptions.length)];
+        const finalGold = this.rng.pick(goldOptions);
+        
+        // Replays skip the wheel and the reward
+        if (this.replayPlayer) {
+            callback();
+            return;
+        }
+        
+        // Safety check: if UI is missing, skip wheel to prevent freeze (expected when headless)
+        if (!this.ui) {
+            if (!this.headless) {
+                console.warn('UI not linked, skipping gold wheel');
+            }
+            callback();
+            return;
+        }
+
+        // Use LEVEL_UP state to freeze gameplay (not pause which shows menu)
+        this.setState(GameState.LEVEL_UP);
         
         // Apply gold reward immediately (but visual animation will play)
         import('../meta/saveManager.js').then(({ SaveManager }) => {
@@ -511,35 +995,15 @@ export class Game {
      * Show portal constructed message
      */
     showPortalConstructedMessage() {
-        const overlay = document.getElementById('portal-constructed-overlay');
-        if (overlay) {
-            overlay.classList.remove('hidden');
-            setTimeout(() => {
-                overlay.classList.add('hidden');
-            }, 3000);
-        }
+        this.flashOverlay('portal-constructed-overlay', 3000);
     }
     
     /**
      * Show time warning popup
      */
     showTimeWarning(message) {
-        const warning = document.getElementById('time-warning');
-        const text = document.getElementById('time-warning-text');
-        if (warning && text) {
-            text.textContent = message;
-            // warning.classList.remove('hidden');
-            // setTimeout(() => {
-            //     warning.classList.add('hidden');
-            // }, 3000);
-            
-            if (this.ui) {
-                this.ui.toggleScreen(warning, true);
-                setTimeout(() => {
-                    this.ui.toggleScreen(warning, false);
-                }, 3000);
-            }
-        }
+        this.ui?.setTimeWarningText(message);
+        this.flashOverlay('time-warning', 3000);
     }
     
     /**
@@ -572,32 +1036,30 @@ export class Game {
      * Show boss health bar UI
      */
     showBossHealthBar(name) {
-        const container = document.getElementById('boss-health-container');
-        const nameEl = document.getElementById('boss-name');
-        if (container && nameEl) {
-            nameEl.textContent = name;
-            container.classList.remove('hidden');
-        }
+        this.ui?.showBossHealthBar(name);
     }
     
     /**
      * Hide boss health bar UI
      */
     hideBossHealthBar() {
-        const container = document.getElementById('boss-health-container');
-        if (container) {
-            container.classList.add('hidden');
-        }
+        this.ui?.hideBossHealthBar();
     }
     
     /**
      * Update boss health bar UI
      */
     updateBossHealthBar(currentHp, maxHp) {
-        const fill = document.getElementById('boss-health-fill');
-        if (fill) {
-            const percent = Math.max(0, (currentHp / maxHp) * 100);
-            fill.style.width = percent + '%';
+        this.ui?.updateBossHealthBar(currentHp, maxHp);
+    }
+    
+    /**
+     * Show the boss's current phase name and color on its health bar
+     */
+    updateBossPhase(boss) {
+        const phase = boss.phases?.[boss.phaseIndex];
+        if (phase) {
+            this.ui?.setBossPhase(phase.name, phase.color);
         }
     }
     
@@ -610,16 +1072,7 @@ export class Game {
         
         this.goldMultiplier = tierData.goldMult;
         
-        const indicator = document.getElementById('difficulty-indicator');
-        const text = document.getElementById('difficulty-text');
-        
-        if (indicator && text) {
-            // Format: "⚡ HARD MODE x1.5 DMG"
-            const dmgMult = tierData.dmgMult.toFixed(1);
-            const hpMult = tierData.hpMult.toFixed(1);
-            text.textContent = `⚡ ${tierData.name.toUpperCase()} • x${hpMult} HP • x${dmgMult} DMG`;
-            indicator.classList.remove('hidden');
-        }
+        this.ui?.showDifficultyIndicator(tierData);
     }
     
     /**
@@ -630,7 +1083,7 @@ export class Game {
         const cam = this.camera;
         
         // Clear canvas
-        ctx.fillStyle = '#1a1a2e';
+        ctx.fillStyle = this.stage.ground.background;
         ctx.fillRect(0, 0, this.width, this.height);
         
         ctx.save();
@@ -641,11 +1094,24 @@ export class Game {
         // Draw ground grid
         this.renderGround(ctx);
         
+        // Draw boss arena
+        if (this.bossArena) {
+            this.bossArena.render(ctx);
+        }
+        
         // Draw portal
         if (this.portal) {
             this.portal.render(ctx);
         }
         
+        // Draw merchant
+        if (this.merchant) {
+            this.merchant.render(ctx);
+        }
+        
+        // Draw props
+        this.propManager?.render(ctx);
+        
         // Draw pickups
         this.pickupManager?.render(ctx);
         
@@ -657,10 +1123,13 @@ export class Game {
         
         // Draw projectiles
         this.projectileManager?.render(ctx);
+        this.enemyProjectileManager?.render(ctx);
         
         // Draw effects
-        this.particles.render(ctx);
-        this.damageNumbers.render(ctx);
+        this.particles.render(ctx, this.settings.particleDensity);
+        if (this.settings.damageNumbers) {
+            this.damageNumbers.render(ctx);
+        }
         
         ctx.restore();
         
@@ -680,7 +1149,7 @@ export class Game {
         const endX = startX + this.width + tileSize * 2;
         const endY = startY + this.height + tileSize * 2;
         
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+        ctx.strokeStyle = this.stage.ground.grid;
         ctx.lineWidth = 1;
         
         for (let x = startX; x < endX; x += tileSize) {
@@ -693,7 +1162,7 @@ export class Game {
         }
         
         // Draw map boundary
-        ctx.strokeStyle = 'rgba(255, 0, 0, 0.3)';
+        ctx.strokeStyle = this.stage.ground.border;
         ctx.lineWidth = 4;
         ctx.strokeRect(0, 0, this.mapWidth, this.mapHeight);
     }
@@ -751,11 +1220,20 @@ export class Game {
         // Player vs Enemies
         const enemies = this.enemyManager.getEnemiesNear(this.player.x, this.player.y, this.player.radius + 50);
         for (const enemy of enemies) {
+            // Frozen and stunned enemies can't attack, touching them included
+            if (this.enemyManager.isHeld(enemy)) continue;
             if (this.circleCollision(this.player, enemy)) {
+                const landed = !this.player.invincible;
                 this.player.takeDamage(enemy.damage);
+                if (landed) {
+                    this.enemyManager.onEnemyHitPlayer(enemy);
+                }
             }
         }
         
+        // Enemy projectiles vs Player
+        this.enemyProjectileManager.checkPlayerCollision(this.player);
+        
         // Projectiles vs Enemies
         this.projectileManager.checkEnemyCollisions(this.enemyManager);
         
@@ -780,6 +1258,9 @@ export class Game {
         this.previousState = this.state;
         this.state = newState;
         
+        // Ability presses from menus shouldn't fire once play resumes
+        this.input.clearTriggeredActions?.();
+        
         if (this.onStateChange) {
             this.onStateChange(newState, this.previousState);
         }
@@ -808,9 +1289,22 @@ export class Game {
      * Trigger level up
      */
     triggerLevelUp() {
+        // Options are rolled here (not in the UI) so replays draw them at the same tick
+        const options = this.player.getUpgradeOptions(4);
+        
+        // If no upgrades available (all maxed), skip level-up and give bonus coins
+        if (options.length === 0) {
+            this.addCoins(25);
+            console.log('All upgrades maxed! Bonus coins awarded.');
+            return;
+        }
+        
+        this.pendingUpgradeOptions = options;
         this.setState(GameState.LEVEL_UP);
-        if (this.onLevelUp) {
-            this.onLevelUp(this.player.level);
+        
+        // Playback picks from the replay instead of showing the screen
+        if (this.onLevelUp && !this.replayPlayer) {
+            this.onLevelUp(this.player.level, this.pendingUpgradeOptions);
         }
     }
     
@@ -818,65 +1312,174 @@ export class Game {
      * Handle upgrade selection
      */
     selectUpgrade(upgrade) {
+        this.replayRecorder?.recordChoice(this.tick, { type: 'upgrade', kind: upgrade.type, id: upgrade.id });
+        this.pendingUpgradeOptions = [];
         this.player.applyUpgrade(upgrade);
         this.setState(GameState.PLAYING);
         this.lastTime = performance.now();
     }
     
+    /**
+     * Spend a reroll on a fresh set of level-up options
+     */
+    rerollUpgrades() {
+        if (this.state !== GameState.LEVEL_UP || this.player.rerolls <= 0) return;
+        
+        this.replayRecorder?.recordChoice(this.tick, { type: 'reroll' });
+        this.player.rerolls--;
+        
+        const options = this.player.getUpgradeOptions(4);
+        if (options.length > 0) {
+            this.pendingUpgradeOptions = options;
+        }
+    }
+    
+    /**
+     * Spend a skip: take coins and some XP instead of an upgrade
+     */
+    skipUpgrade() {
+        if (this.state !== GameState.LEVEL_UP || this.player.skips <= 0) return;
+        
+        this.replayRecorder?.recordChoice(this.tick, { type: 'skip' });
+        this.player.skips--;
+        this.pendingUpgradeOptions = [];
+        this.setState(GameState.PLAYING);
+        this.lastTime = performance.now();
+        
+        // After resuming, since the XP can roll straight into another level-up
+        const config = GAME_CONFIG.levelUp;
+        this.addCoins(config.skipCoins + config.skipCoinsPerLevel * this.player.level);
+        this.player.addXp(this.player.xpToLevel * config.skipXpShare);
+    }
+    
+    /**
+     * Spend a banish: drop an item from this screen and from the upgrade pool for the rest of the run
+     */
+    banishUpgrade(id) {
+        if (this.state !== GameState.LEVEL_UP || this.player.banishes <= 0) return;
+        
+        this.replayRecorder?.recordChoice(this.tick, { type: 'banish', id: id });
+        this.player.banishes--;
+        this.player.banished.push(id);
+        this.pendingUpgradeOptions = this.pendingUpgradeOptions.filter(o => o.id !== id);
+        
+        // Nothing left to pick: same consolation as a fully maxed build
+        if (this.pendingUpgradeOptions.length === 0) {
+            this.addCoins(25);
+            this.setState(GameState.PLAYING);
+            this.lastTime = performance.now();
+        }
+    }
+    
     /**
      * Open chest
+     * @param chest { tier, source, rewards } (see PickupManager.openChest)
      */
-    openChest(contents) {
-        this.pendingChestItem = contents;
+    openChest(chest) {
+        this.pendingChest = chest;
         this.setState(GameState.CHEST);
-        if (this.onChestOpen) {
-            this.onChestOpen(contents);
+        if (this.onChestOpen && !this.replayPlayer) {
+            this.onChestOpen(chest);
         }
     }
     
     /**
      * Close chest and continue
+     * @param shouldKeep true/false for every reward, or one flag per reward
      */
     closeChest(shouldKeep = true) {
-        if (this.pendingChestItem && shouldKeep) {
-            this.player.applyUpgrade(this.pendingChestItem);
-        }
+        this.replayRecorder?.recordChoice(this.tick, { type: 'chest', keep: shouldKeep });
         
-        this.pendingChestItem = null;
-        // this.ui?.elements['chest-screen']?.classList.add('hidden');
-        if (this.ui && this.ui.elements['chest-screen']) {
-            this.ui.toggleScreen(this.ui.elements['chest-screen'], false);
-        }
+        const rewards = this.pendingChest?.rewards || [];
+        rewards.forEach((reward, i) => {
+            const keep = Array.isArray(shouldKeep) ? shouldKeep[i] : shouldKeep;
+            if (keep) this.player.applyUpgrade(reward);
+        });
+        
+        this.pendingChest = null;
+        this.ui?.toggleScreen(this.ui.elements['chest-screen'], false);
         
         // Resume game
         this.setState(GameState.PLAYING);
         this.lastTime = performance.now();
     }
     
+    /**
+     * Open the merchant's shop (stock is rolled on the first visit)
+     */
+    openShop() {
+        if (!this.merchant) return;
+        
+        if (!this.merchant.stock) {
+            this.merchant.stock = this.merchant.rollStock();
+        }
+        this.setState(GameState.SHOP);
+        if (this.onShopOpen && !this.replayPlayer) {
+            this.onShopOpen(this.merchant.stock);
+        }
+    }
+    
+    /**
+     * Buy one of the merchant's offers with the run's coins
+     * @returns whether the purchase went through
+     */
+    buyShopItem(index) {
+        const offer = this.merchant?.stock?.[index];
+        if (this.state !== GameState.SHOP || !offer || offer.sold || this.coinsCollected < offer.price) return false;
+        
+        this.replayRecorder?.recordChoice(this.tick, { type: 'buy', index: index });
+        this.coinsCollected -= offer.price;
+        offer.sold = true;
+        this.player.applyUpgrade(offer);
+        this.soundManager?.play('pickupCoin');
+        return true;
+    }
+    
+    /**
+     * Leave the shop - the merchant packs up and moves on
+     */
+    closeShop() {
+        if (this.state !== GameState.SHOP) return;
+        
+        this.replayRecorder?.recordChoice(this.tick, { type: 'leaveShop' });
+        this.dismissMerchant();
+        this.setState(GameState.PLAYING);
+        this.lastTime = performance.now();
+    }
+    
     /**
      * Handle player death
      */
     gameOver() {
         this.setState(GameState.GAME_OVER);
+        this.scheduler.clear();
 
         // Play game over sound and stop music
         this.soundManager?.play('gameOver');
         this.soundManager?.stopMusic(true);
         
-        // Save stats
-        SaveManager.addCoins(this.coinsCollected);
-        SaveManager.updateStats({
-            totalKills: this.killCount,
-            totalDamageDealt: this.damageDealt,
-            totalDamageTaken: this.damageTaken,
-            gamesPlayed: 1,
-            totalPlayTime: this.gameTime,
-            highestLevel: this.player.level,
-            longestSurvival: this.gameTime
-        });
+        // Save stats (replays are watch-only)
+        if (!this.replayPlayer) {
+            SaveManager.addCoins(this.coinsCollected);
+            SaveManager.updateStats({
+                totalKills: this.killCount,
+                totalDamageDealt: this.damageDealt,
+                totalDamageTaken: this.damageTaken,
+                gamesPlayed: 1,
+                totalPlayTime: this.gameTime,
+                highestLevel: this.player.level,
+                longestSurvival: this.gameTime
+            });
+            SaveManager.recordWeaponStats(this.weaponStats);
+            
+            // Check character unlocks
+            SaveManager.checkUnlocks(this.gameTime, this.killCount);
+            
+            // The run is over, so there's nothing left to continue
+            SaveManager.clearRunSnapshot();
+        }
         
-        // Check character unlocks
-        SaveManager.checkUnlocks(this.gameTime, this.killCount);
+        this.saveReplay('gameOver');
         
         if (this.onPlayerDeath) {
             this.onPlayerDeath(this.getEndGameStats());
@@ -888,6 +1491,7 @@ export class Game {
      */
     victory() {
         this.setState(GameState.VICTORY);
+        this.scheduler.clear();
 
         // Play victory sound and stop music
         this.soundManager?.play('victory');
@@ -897,21 +1501,32 @@ export class Game {
         const victoryCoinBonus = 500;
         this.coinsCollected += victoryCoinBonus;
         
-        // Save stats
-        SaveManager.addCoins(this.coinsCollected);
-        SaveManager.updateStats({
-            totalKills: this.killCount,
-            totalDamageDealt: this.damageDealt,
-            totalDamageTaken: this.damageTaken,
-            gamesPlayed: 1,
-            victories: 1,
-            totalPlayTime: this.gameTime,
-            highestLevel: this.player.level,
-            longestSurvival: this.gameTime
-        });
+        // Save stats (replays are watch-only)
+        if (!this.replayPlayer) {
+            SaveManager.addCoins(this.coinsCollected);
+            SaveManager.updateStats({
+                totalKills: this.killCount,
+                totalDamageDealt: this.damageDealt,
+                totalDamageTaken: this.damageTaken,
+                gamesPlayed: 1,
+                victories: 1,
+                totalPlayTime: this.gameTime,
+                highestLevel: this.player.level,
+                longestSurvival: this.gameTime
+            });
+            SaveManager.recordWeaponStats(this.weaponStats);
+            
+            // Check character unlocks
+            SaveManager.checkUnlocks(this.gameTime, this.killCount);
+            
+            // Clearing a stage unlocks the next one
+            SaveManager.recordStageClear(this.stage.id);
+            
+            // The run is over, so there's nothing left to continue
+            SaveManager.clearRunSnapshot();
+        }
         
-        // Check character unlocks
-        SaveManager.checkUnlocks(this.gameTime, this.killCount);
+        this.saveReplay('victory');
         
         if (this.onVictory) {
             this.onVictory(this.getEndGameStats());
@@ -923,12 +1538,17 @@ export class Game {
      */
     getEndGameStats() {
         return {
+            stage: this.stage.name,
             time: this.gameTime,
             level: this.player.level,
             kills: this.killCount,
+            eliteKills: this.eliteKills,
+            critCount: this.critCount,
             coins: this.coinsCollected,
             damageDealt: this.damageDealt,
             damageTaken: this.damageTaken,
+            weaponBreakdown: this.getWeaponBreakdown(),
+            seed: this.seed,
             weapons: this.player.weapons.map(w => ({ name: w.name, level: w.level })),
             passives: this.player.passives.map(p => ({ name: p.name, level: p.level }))
         };
@@ -938,10 +1558,25 @@ export class Game {
      * Quit to menu
      */
     quitToMenu() {
-        // Save any progress
-        if (this.state !== GameState.MENU) {
+        // Save any progress - quitting ends the run for good, so drop any saved copy
+        if (this.state !== GameState.MENU && !this.replayPlayer) {
             SaveManager.addCoins(this.coinsCollected);
+            SaveManager.clearRunSnapshot();
         }
+        
+        // Runs quit mid-way are still worth replaying
+        this.saveReplay('quit');
+        this.replayPlayer = null;
+        
+        this.leaveRun();
+    }
+    
+    /**
+     * Tear down the current run and return to the menu
+     */
+    leaveRun() {
+        // Drop anything still scheduled for the run
+        this.scheduler.clear();
 
         // Stop music
         this.soundManager?.stopMusic(true);
@@ -949,8 +1584,10 @@ export class Game {
         this.setState(GameState.MENU);
         this.player = null;
         this.enemyManager = null;
+        this.enemyProjectileManager = null;
         this.projectileManager = null;
         this.pickupManager = null;
+        this.propManager = null;
     }
     
     /**
@@ -963,9 +1600,29 @@ export class Game {
     
     /**
      * Add kill
+     * @param source weapon id that landed the killing blow, if known
      */
-    addKill() {
+    addKill(source = null) {
         this.killCount++;
+        this.player?.chargeUltimate();
+        
+        if (source) {
+            this.getWeaponStats(source).kills++;
+        }
+    }
+    
+    /**
+     * Add elite kill (on top of addKill)
+     */
+    addEliteKill() {
+        this.eliteKills++;
+    }
+    
+    /**
+     * Count a critical hit
+     */
+    addCrit() {
+        this.critCount++;
     }
     
     /**
@@ -978,9 +1635,53 @@ export class Game {
     
     /**
      * Add damage stat
+     * @param source weapon id the damage came from, if known
+     * @param hit whether this was a direct hit (damage over time ticks aren't)
      */
-    addDamageDealt(amount) {
+    addDamageDealt(amount, source = null, hit = true) {
         this.damageDealt += amount;
+        this.dpsMeter?.recordDealt(amount, source);
+        
+        if (source) {
+            const stats = this.getWeaponStats(source);
+            stats.damage += amount;
+            if (hit) stats.hits++;
+        }
+    }
+    
+    /**
+     * Per-weapon stats for this run (created on first use)
+     */
+    getWeaponStats(id) {
+        if (!this.weaponStats[id]) {
+            this.weaponStats[id] = { damage: 0, kills: 0, hits: 0, timeHeld: 0 };
+        }
+        return this.weaponStats[id];
+    }
+    
+    /**
+     * Per-weapon stats as display rows, highest damage first
+     */
+    getWeaponBreakdown() {
+        const rows = Object.entries(this.weaponStats).map(([id, stats]) => ({
+            id: id,
+            name: WEAPONS[id]?.name || id,
+            icon: WEAPONS[id]?.icon || '⚔️',
+            ...stats,
+            dps: stats.timeHeld > 0 ? stats.damage / (stats.timeHeld / 1000) : 0,
+            share: this.damageDealt > 0 ? stats.damage / this.damageDealt : 0,
+        }));
+        return rows.sort((a, b) => b.damage - a.damage);
+    }
+    
+    /**
+     * Use new player settings (see SaveManager settings)
+     */
+    applySettings(settings) {
+        this.settings = { ...settings };
+        this.minimap?.setVisible(settings.minimap);
+        this.dpsMeter?.setVisible(settings.dpsMeter);
+        this.input.setDeadzone?.(settings.gamepadDeadzone);
     }
     
     /**
@@ -988,6 +1689,7 @@ export class Game {
      */
     addDamageTaken(amount) {
         this.damageTaken += amount;
+        this.dpsMeter?.recordTaken(amount);
     }
     
     /**
@@ -1,23 +1,106 @@
 /**
  * Input Handler
- * Manages keyboard and touch input
+ * Manages keyboard, touch and gamepad input - keys are mapped to actions (see INPUT_ACTIONS)
+ * through rebindable bindings
  */
 
+import { INPUT_ACTIONS, CONTROL_SCHEMES, DEFAULT_CONTROL_SCHEME } from '../data/config.js';
+
+// Short labels for keys whose code doesn't read well
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space',
+    Enter: 'Enter',
+    NumpadEnter: 'Num Enter',
+    Backspace: 'Backspace',
+    ShiftLeft: 'L-Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'L-Ctrl',
+    ControlRight: 'R-Ctrl',
+    AltLeft: 'L-Alt',
+    AltRight: 'R-Alt',
+};
+
+// Button indices in the browser's standard gamepad mapping
+const GAMEPAD_BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    back: 8,
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15,
+};
+
+// Gamepad buttons for trigger actions in play
+const GAMEPAD_ACTIONS = {
+    x: 'dash',
+    y: 'ultimate',
+};
+
+// Face button glyphs per controller family
+const GAMEPAD_GLYPHS = {
+    xbox: { a: 'Ⓐ', b: 'Ⓑ', x: 'Ⓧ', y: 'Ⓨ', back: '⧉', start: '☰' },
+    playstation: { a: '✕', b: '○', x: '□', y: '△', back: 'Share', start: 'Options' },
+};
+
+// How far the stick must lean to step through menus
+const STICK_MENU_THRESHOLD = 0.5;
+
 export class Input {
-    constructor() {
-        this.keys = new Map();
+    /**
+     * @param bindings action id -> list of KeyboardEvent.code values
+     */
+    constructor(bindings = CONTROL_SCHEMES[DEFAULT_CONTROL_SCHEME].bindings) {
+        this.keys = new Map(); // Held keys by KeyboardEvent.code
+        this.setBindings(bindings);
+        
+        // Trigger actions pressed since the game last took them, and those taken this tick
+        this.triggeredActions = new Set();
+        this.triggered = [];
+        
+        // The keyboard's real layout, for key labels (only some browsers expose it)
+        this.layoutMap = null;
+        navigator.keyboard?.getLayoutMap?.()
+            .then(map => { this.layoutMap = map; })
+            .catch(() => {});
+        
         this.touchActive = false;
         this.touchX = 0;
         this.touchY = 0;
         this.touchStartX = 0;
         this.touchStartY = 0;
         
+        // Gamepad: the first connected pad drives the game
+        this.gamepadIndex = null;
+        this.gamepadStyle = 'xbox';
+        this.gamepadButtons = {}; // Held buttons by name (see GAMEPAD_BUTTONS)
+        this.stickX = 0;
+        this.stickY = 0;
+        this.stickDirection = null;
+        this.deadzone = 0.2;
+        this.gamepadFrame = null;
+        
+        // Set by the UI: onGamepadButton(name) for new presses, onGamepadChange(connected)
+        this.onGamepadButton = null;
+        this.onGamepadChange = null;
+        
         // Bind event handlers
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
         this.handleTouchStart = this.handleTouchStart.bind(this);
         this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
+        this.handleGamepadDisconnected = this.handleGamepadDisconnected.bind(this);
+        this.pollGamepad = this.pollGamepad.bind(this);
         
         // Add listeners
         window.addEventListener('keydown', this.handleKeyDown);
@@ -25,18 +108,25 @@ export class Input {
         window.addEventListener('touchstart', this.handleTouchStart, { passive: false });
         window.addEventListener('touchmove', this.handleTouchMove, { passive: false });
         window.addEventListener('touchend', this.handleTouchEnd);
+        window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+        window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
     }
     
     handleKeyDown(e) {
-        // Prevent default for game keys
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'w', 'a', 's', 'd', ' '].includes(e.key)) {
+        // Keep gameplay keys from scrolling the page
+        if (this.getActions(e.code, 'game').length > 0) {
             e.preventDefault();
         }
-        this.keys.set(e.key.toLowerCase(), true);
+        if (!e.repeat) {
+            for (const action of this.getActions(e.code, 'game')) {
+                if (INPUT_ACTIONS[action].trigger) this.triggeredActions.add(action);
+            }
+        }
+        this.keys.set(e.code, true);
     }
     
     handleKeyUp(e) {
-        this.keys.set(e.key.toLowerCase(), false);
+        this.keys.set(e.code, false);
     }
     
     handleTouchStart(e) {
@@ -66,11 +156,199 @@ export class Input {
         this.touchY = 0;
     }
     
+    handleGamepadConnected(e) {
+        if (this.gamepadIndex !== null) return;
+        
+        this.gamepadIndex = e.gamepad.index;
+        this.gamepadStyle = /playstation|dualshock|dualsense|054c/i.test(e.gamepad.id) ? 'playstation' : 'xbox';
+        this.gamepadButtons = {};
+        
+        if (this.gamepadFrame === null) {
+            this.gamepadFrame = requestAnimationFrame(this.pollGamepad);
+        }
+        this.onGamepadChange?.(true);
+    }
+    
+    handleGamepadDisconnected(e) {
+        if (e.gamepad.index !== this.gamepadIndex) return;
+        
+        // Hand over to another pad that's still plugged in, if any
+        const next = [...navigator.getGamepads()].find(pad => pad && pad.index !== e.gamepad.index);
+        this.gamepadIndex = null;
+        this.resetGamepadState();
+        
+        if (next) {
+            this.handleGamepadConnected({ gamepad: next });
+        } else {
+            this.onGamepadChange?.(false);
+        }
+    }
+    
+    /**
+     * Read the gamepad once per frame (the Gamepad API has no button events)
+     */
+    pollGamepad() {
+        const pad = this.gamepadIndex !== null ? navigator.getGamepads()[this.gamepadIndex] : null;
+        if (!pad) {
+            this.gamepadFrame = null;
+            this.resetGamepadState();
+            return;
+        }
+        
+        // Left stick, rescaled so speed ramps up from zero at the edge of the deadzone
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude > this.deadzone) {
+            const scale = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone)) / magnitude;
+            this.stickX = x * scale;
+            this.stickY = y * scale;
+        } else {
+            this.stickX = 0;
+            this.stickY = 0;
+        }
+        
+        // Buttons pressed since the last poll
+        for (const [name, index] of Object.entries(GAMEPAD_BUTTONS)) {
+            const pressed = pad.buttons[index]?.pressed === true;
+            if (pressed && !this.gamepadButtons[name]) {
+                if (GAMEPAD_ACTIONS[name]) this.triggeredActions.add(GAMEPAD_ACTIONS[name]);
+                this.onGamepadButton?.(name);
+            }
+            this.gamepadButtons[name] = pressed;
+        }
+        
+        // The stick also steps through menus, once per push
+        let direction = null;
+        if (magnitude >= STICK_MENU_THRESHOLD) {
+            direction = Math.abs(x) > Math.abs(y) ? (x > 0 ? 'right' : 'left') : (y > 0 ? 'down' : 'up');
+        }
+        if (direction && direction !== this.stickDirection) {
+            this.onGamepadButton?.(direction);
+        }
+        this.stickDirection = direction;
+        
+        this.gamepadFrame = requestAnimationFrame(this.pollGamepad);
+    }
+    
+    /**
+     * Forget held gamepad buttons and stick position
+     */
+    resetGamepadState() {
+        this.gamepadButtons = {};
+        this.stickX = 0;
+        this.stickY = 0;
+        this.stickDirection = null;
+    }
+    
+    /**
+     * Whether a gamepad is connected
+     */
+    isGamepadConnected() {
+        return this.gamepadIndex !== null;
+    }
+    
+    /**
+     * Stick deadzone, as a share of full tilt
+     */
+    setDeadzone(deadzone) {
+        this.deadzone = Math.max(0, Math.min(0.9, deadzone));
+    }
+    
+    /**
+     * Glyph for a gamepad button in the connected controller's style
+     * @param button name from GAMEPAD_BUTTONS
+     */
+    getButtonGlyph(button) {
+        return GAMEPAD_GLYPHS[this.gamepadStyle][button] || button.toUpperCase();
+    }
+    
+    /**
+     * Trigger actions pressed since the last call
+     */
+    takeTriggeredActions() {
+        const actions = [...this.triggeredActions];
+        this.triggeredActions.clear();
+        return actions;
+    }
+    
+    /**
+     * Take this tick's trigger actions (same interface as ReplayPlayer, for runs that aren't recorded)
+     */
+    step() {
+        this.triggered = this.takeTriggeredActions();
+    }
+    
+    /**
+     * Trigger actions for the current tick
+     */
+    getTriggeredActions() {
+        return this.triggered;
+    }
+    
+    /**
+     * Drop presses made outside of play, so they don't fire on resume
+     */
+    clearTriggeredActions() {
+        this.triggeredActions.clear();
+    }
+    
+    /**
+     * Short prompt for an action: the controller button while a gamepad is connected, else the first bound key
+     */
+    getActionLabel(action) {
+        if (this.isGamepadConnected()) {
+            const button = Object.keys(GAMEPAD_ACTIONS).find(name => GAMEPAD_ACTIONS[name] === action);
+            if (button) return this.getButtonGlyph(button);
+        }
+        return this.getKeyLabel(this.bindings[action]?.[0]);
+    }
+    
+    /**
+     * Use new key bindings
+     */
+    setBindings(bindings) {
+        this.bindings = {};
+        for (const id of Object.keys(INPUT_ACTIONS)) {
+            this.bindings[id] = [...(bindings[id] || [])];
+        }
+    }
+    
     /**
      * Check if a key is pressed
+     * @param code KeyboardEvent.code
+     */
+    isKeyDown(code) {
+        return this.keys.get(code) === true;
+    }
+    
+    /**
+     * Check if any key bound to an action is pressed
+     */
+    isActionDown(action) {
+        return this.bindings[action].some(code => this.isKeyDown(code));
+    }
+    
+    /**
+     * Actions bound to a key, optionally only those of one context
+     */
+    getActions(code, context = null) {
+        return Object.keys(this.bindings).filter(id =>
+            this.bindings[id].includes(code) && (!context || INPUT_ACTIONS[id].context === context)
+        );
+    }
+    
+    /**
+     * Readable name for a key, using the keyboard layout when the browser shares it
      */
-    isKeyDown(key) {
-        return this.keys.get(key.toLowerCase()) === true;
+    getKeyLabel(code) {
+        if (!code) return '—';
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        
+        const layoutKey = this.layoutMap?.get(code);
+        if (layoutKey) return layoutKey.toUpperCase();
+        
+        return code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
     }
     
     /**
@@ -81,11 +359,11 @@ export class Input {
         let x = 0;
         let y = 0;
         
-        // Keyboard input
-        if (this.isKeyDown('w') || this.isKeyDown('arrowup')) y -= 1;
-        if (this.isKeyDown('s') || this.isKeyDown('arrowdown')) y += 1;
-        if (this.isKeyDown('a') || this.isKeyDown('arrowleft')) x -= 1;
-        if (this.isKeyDown('d') || this.isKeyDown('arrowright')) x += 1;
+        // Keyboard and D-pad input
+        if (this.isActionDown('moveUp') || this.gamepadButtons.up) y -= 1;
+        if (this.isActionDown('moveDown') || this.gamepadButtons.down) y += 1;
+        if (this.isActionDown('moveLeft') || this.gamepadButtons.left) x -= 1;
+        if (this.isActionDown('moveRight') || this.gamepadButtons.right) x += 1;
         
         // Touch input (virtual joystick)
         if (this.touchActive) {
@@ -100,6 +378,11 @@ export class Input {
             }
         }
         
+        // Analog stick overrides the rest, keeping its tilt for partial speed
+        if (this.stickX !== 0 || this.stickY !== 0) {
+            return { x: this.stickX, y: this.stickY };
+        }
+        
         // Normalize diagonal movement
         if (x !== 0 && y !== 0) {
             const len = Math.sqrt(x * x + y * y);
@@ -119,5 +402,11 @@ export class Input {
         window.removeEventListener('touchstart', this.handleTouchStart);
         window.removeEventListener('touchmove', this.handleTouchMove);
         window.removeEventListener('touchend', this.handleTouchEnd);
+        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+        if (this.gamepadFrame !== null) {
+            cancelAnimationFrame(this.gamepadFrame);
+            this.gamepadFrame = null;
+        }
     }
 }
@@ -0,0 +1,121 @@
+/**
+ * Random
+ * Seedable pseudo-random number generator so a run can be reproduced from its seed
+ */
+
+export class Random {
+    constructor(seed = Random.generateSeed()) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Pick a fresh seed for a new run
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xffffffff) >>> 0;
+    }
+    
+    /**
+     * Turn a number or string into a 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        // Numeric strings map to the same seed as the number they spell
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        // FNV-1a hash for free-form seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        // mulberry32
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Random element of an array (undefined if empty)
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+    
+    /**
+     * Key of a { key: weight } table, chosen in proportion to its weight
+     */
+    weighted(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        
+        let roll = this.next() * total;
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1]?.[0];
+    }
+    
+    /**
+     * Shuffle array in place
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+    
+    /**
+     * Get internal state (for saving a run in progress)
+     */
+    getState() {
+        return this.state;
+    }
+    
+    /**
+     * Restore internal state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Replay System
+ * Records per-tick input and player choices, and plays them back through the fixed-timestep loop
+ */
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * Round a direction component so the recorded value is exactly what the run used
+ */
+function quantize(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export class ReplayRecorder {
+    constructor(options) {
+        this.data = {
+            version: REPLAY_VERSION,
+            seed: options.seed,
+            character: options.character,
+            stage: options.stage,
+            powerups: { ...options.powerups },
+            fixedDeltaTime: options.fixedDeltaTime,
+            recordedAt: new Date().toISOString(),
+            ticks: 0,
+            // Movement is run-length encoded: [tick, x, y] whenever the direction changes
+            moves: [],
+            // Dash and ultimate presses: [tick, action]
+            actions: [],
+            choices: [],
+            result: null,
+        };
+        this.direction = { x: 0, y: 0 };
+        this.triggered = [];
+    }
+    
+    /**
+     * Sample live input for this tick
+     */
+    step(tick, input) {
+        const raw = input.getMovementDirection();
+        const x = quantize(raw.x);
+        const y = quantize(raw.y);
+        
+        if (x !== this.direction.x || y !== this.direction.y) {
+            this.direction = { x, y };
+            this.data.moves.push([tick, x, y]);
+        }
+        
+        this.triggered = input.takeTriggeredActions?.() || [];
+        for (const action of this.triggered) {
+            this.data.actions.push([tick, action]);
+        }
+        
+        this.data.ticks = tick;
+    }
+    
+    /**
+     * Movement for the current tick (same interface as Input)
+     */
+    getMovementDirection() {
+        return this.direction;
+    }
+    
+    /**
+     * Trigger actions for the current tick (same interface as Input)
+     */
+    getTriggeredActions() {
+        return this.triggered;
+    }
+    
+    /**
+     * Record a level-up or chest choice
+     */
+    recordChoice(tick, choice) {
+        this.data.choices.push({ tick, ...choice });
+    }
+    
+    /**
+     * Close the recording with the run result
+     */
+    finish(result) {
+        this.data.result = result;
+        return this.data;
+    }
+}
+
+export class ReplayPlayer {
+    constructor(data) {
+        this.data = data;
+        this.actions = data.actions ?? []; // Replays from before abilities have none
+        this.moveIndex = 0;
+        this.actionIndex = 0;
+        this.choiceIndex = 0;
+        this.direction = { x: 0, y: 0 };
+        this.triggered = [];
+        this.desynced = false;
+    }
+    
+    /**
+     * Check that parsed JSON looks like a replay we can play
+     * @returns error message, or null if valid
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') return 'Not a replay file';
+        if (data.version !== REPLAY_VERSION) return `Unsupported replay version: ${data.version}`;
+        if (typeof data.seed !== 'number') return 'Replay is missing its seed';
+        if (typeof data.character !== 'string') return 'Replay is missing its character';
+        if (!Array.isArray(data.moves) || !Array.isArray(data.choices)) return 'Replay has no input data';
+        if (!Number.isInteger(data.ticks) || data.ticks < 0) return 'Replay is missing its length';
+        
+        // Replays from before abilities have no actions, but any that are there must be [tick, action]
+        if (data.actions !== undefined) {
+            const valid = Array.isArray(data.actions) && data.actions.every(entry =>
+                Array.isArray(entry) && entry.length === 2 && Number.isInteger(entry[0]) && typeof entry[1] === 'string');
+            if (!valid) return 'Replay has malformed actions';
+        }
+        return null;
+    }
+    
+    /**
+     * Advance recorded input to this tick
+     */
+    step(tick) {
+        const moves = this.data.moves;
+        while (this.moveIndex < moves.length && moves[this.moveIndex][0] <= tick) {
+            const [, x, y] = moves[this.moveIndex];
+            this.direction = { x, y };
+            this.moveIndex++;
+        }
+        
+        const actions = this.actions;
+        this.triggered = [];
+        while (this.actionIndex < actions.length && actions[this.actionIndex][0] <= tick) {
+            this.triggered.push(actions[this.actionIndex][1]);
+            this.actionIndex++;
+        }
+    }
+    
+    /**
+     * Movement for the current tick (same interface as Input)
+     */
+    getMovementDirection() {
+        return this.direction;
+    }
+    
+    /**
+     * Trigger actions for the current tick (same interface as Input)
+     */
+    getTriggeredActions() {
+        return this.triggered;
+    }
+    
+    /**
+     * Take the next recorded choice, if any
+     */
+    nextChoice(tick) {
+        const choice = this.data.choices[this.choiceIndex];
+        if (!choice) return null;
+        
+        if (choice.tick !== tick && !this.desynced) {
+            this.desynced = true;
+            console.warn(`Replay desync: choice recorded at tick ${choice.tick}, reached at tick ${tick}`);
+        }
+        
+        this.choiceIndex++;
+        return choice;
+    }
+    
+    /**
+     * Whether every recorded tick has been played
+     */
+    isFinished(tick) {
+        return tick >= this.data.ticks;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Scheduler
+ * Delayed and repeating actions on game time - nothing fires while paused, and a run's
+ * pending actions are dropped when it ends
+ */
+
+export class Scheduler {
+    constructor() {
+        this.time = 0;
+        this.tasks = [];
+        this.nextId = 1;
+    }
+    
+    /**
+     * Run a callback once after a delay (ms of game time)
+     * @returns task id for cancel()
+     */
+    after(delay, callback) {
+        return this.add(delay, 0, 1, callback);
+    }
+    
+    /**
+     * Run a callback every interval (ms of game time)
+     * @param times how many times to run (default: until cancelled)
+     * @returns task id for cancel()
+     */
+    every(interval, callback, times = Infinity) {
+        return this.add(interval, interval, times, callback);
+    }
+    
+    /**
+     * Queue a task
+     */
+    add(delay, interval, times, callback) {
+        const task = {
+            id: this.nextId++,
+            at: this.time + Math.max(0, delay),
+            interval: interval,
+            remaining: times,
+            callback: callback,
+        };
+        this.tasks.push(task);
+        return task.id;
+    }
+    
+    /**
+     * Cancel a pending task
+     */
+    cancel(id) {
+        const index = this.tasks.findIndex(t => t.id === id);
+        if (index !== -1) {
+            this.tasks.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Advance to the given game time and run everything that came due, in order
+     */
+    update(time) {
+        this.time = time;
+        
+        while (true) {
+            // Earliest due task (ties go to whichever was scheduled first)
+            let next = null;
+            for (const task of this.tasks) {
+                if (task.at > time) continue;
+                if (!next || task.at < next.at || (task.at === next.at && task.id < next.id)) {
+                    next = task;
+                }
+            }
+            if (!next) return;
+            
+            next.remaining--;
+            if (next.remaining > 0) {
+                // Repeating tasks need a positive interval or they would run forever this tick
+                next.at += Math.max(1, next.interval);
+            } else {
+                this.tasks.splice(this.tasks.indexOf(next), 1);
+            }
+            
+            next.callback();
+        }
+    }
+    
+    /**
+     * Drop all pending tasks and rewind to zero
+     */
+    clear() {
+        this.tasks = [];
+        this.time = 0;
+    }
+    
+    /**
+     * Number of pending tasks
+     */
+    getCount() {
+        return this.tasks.length;
+    }
+}
@@ -3,6 +3,13 @@
  * Handles all game audio with volume controls and sound pooling
  */
 
+// Procedural music loops (stages pick one by id)
+const MUSIC_THEMES = {
+    gameplay: { root: 110, bpm: 120 },
+    crypt: { root: 98, bpm: 90 },
+    inferno: { root: 82.5, bpm: 140 },
+};
+
 class SoundManagerClass {
     constructor() {
         this.sounds = new Map();
@@ -10,6 +17,7 @@ class SoundManagerClass {
         this.soundPool = new Map();
         this.currentMusic = null;
         this.musicFadeInterval = null;
+        this.musicContext = null;
         
         // Volume settings (0-1)
         this.masterVolume = 0.7;
@@ -99,7 +107,9 @@ class SoundManagerClass {
             }
             
             // Generate background music
-            this.generateBackgroundMusic();
+            for (const [musicId, theme] of Object.entries(MUSIC_THEMES)) {
+                this.generateBackgroundMusic(musicId, theme);
+            }
             
             this.loaded = true;
             console.log('✅ Sounds loaded!');
@@ -701,9 +711,12 @@ class SoundManagerClass {
     /**
      * Generate background music (simple procedural loop)
      */
-    generateBackgroundMusic() {
-        // Generate a simple ambient loop
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    generateBackgroundMusic(musicId, theme) {
+        // Generate a simple ambient loop (one context shared by every theme)
+        if (!this.musicContext) {
+            this.musicContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        const audioContext = this.musicContext;
         const sampleRate = 44100;
         const duration = 16; // 16 second loop
         const samples = sampleRate * duration;
@@ -712,7 +725,8 @@ class SoundManagerClass {
         const data = buffer.getChannelData(0);
         
         // Create atmospheric pad sound
-        const bpm = 120;
+        const bpm = theme.bpm;
+        const root = theme.root;
         const beatDuration = 60 / bpm;
         
         for (let i = 0; i < samples; i++) {
@@ -720,12 +734,12 @@ class SoundManagerClass {
             let value = 0;
             
             // Bass line (low frequency pulse)
-            value += Math.sin(t * 110 * Math.PI * 2) * 0.15 * (Math.sin(t * 2) * 0.5 + 0.5);
+            value += Math.sin(t * root * Math.PI * 2) * 0.15 * (Math.sin(t * 2) * 0.5 + 0.5);
             
             // Ambient pad (multiple harmonics)
-            value += Math.sin(t * 220 * Math.PI * 2) * 0.08;
-            value += Math.sin(t * 330 * Math.PI * 2) * 0.05;
-            value += Math.sin(t * 440 * Math.PI * 2) * 0.03;
+            value += Math.sin(t * root * 2 * Math.PI * 2) * 0.08;
+            value += Math.sin(t * root * 3 * Math.PI * 2) * 0.05;
+            value += Math.sin(t * root * 4 * Math.PI * 2) * 0.03;
             
             // Subtle pulse
             const pulse = Math.sin(t * (bpm / 60) * Math.PI * 2);
@@ -739,7 +753,7 @@ class SoundManagerClass {
         musicAudio.loop = true;
         musicAudio.volume = this.musicVolume * this.masterVolume;
         
-        this.music.set('gameplay', musicAudio);
+        this.music.set(musicId, musicAudio);
     }
 }
 
@@ -0,0 +1,107 @@
+/**
+ * Boss Arena
+ * A closing ring cast by a boss - standing outside it hurts, and it shrinks until the fight ends
+ */
+
+export class BossArena {
+    /**
+     * @param zone the boss's zone attack (radius, minRadius, shrinkSpeed, damage, interval, color)
+     */
+    constructor(game, x, y, zone) {
+        this.game = game;
+        this.x = x;
+        this.y = y;
+        this.radius = zone.radius;
+        this.minRadius = zone.minRadius;
+        this.shrinkSpeed = zone.shrinkSpeed;
+        this.damage = zone.damage;
+        this.interval = zone.interval;
+        this.color = zone.color || '#dc2626';
+        this.damageTimer = 0;
+        this.pulsePhase = 0;
+    }
+    
+    /**
+     * Tighten the ring when a later phase casts it again
+     */
+    tighten(zone) {
+        this.minRadius = Math.min(this.minRadius, zone.minRadius);
+        this.shrinkSpeed = Math.max(this.shrinkSpeed, zone.shrinkSpeed);
+        this.damage = Math.max(this.damage, zone.damage);
+        this.color = zone.color || this.color;
+    }
+    
+    /**
+     * Save arena state for a run snapshot
+     */
+    serialize() {
+        return {
+            x: this.x,
+            y: this.y,
+            radius: this.radius,
+            minRadius: this.minRadius,
+            shrinkSpeed: this.shrinkSpeed,
+            damage: this.damage,
+            interval: this.interval,
+            color: this.color,
+            damageTimer: this.damageTimer,
+            pulsePhase: this.pulsePhase,
+        };
+    }
+    
+    /**
+     * Restore arena state from a run snapshot
+     */
+    restore(data) {
+        this.radius = data.radius;
+        this.damageTimer = data.damageTimer;
+        this.pulsePhase = data.pulsePhase;
+    }
+    
+    update(dt) {
+        this.pulsePhase += dt / 300;
+        this.radius = Math.max(this.minRadius, this.radius - this.shrinkSpeed * dt / 1000);
+        
+        const player = this.game.player;
+        if (!player) return;
+        
+        // Burn the player while they're outside the ring
+        this.damageTimer -= dt;
+        if (this.damageTimer <= 0 && !this.contains(player.x, player.y)) {
+            player.takeDamage(this.damage);
+            this.damageTimer = this.interval;
+        }
+    }
+    
+    /**
+     * Whether a point is inside the ring
+     */
+    contains(x, y) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        return dx * dx + dy * dy <= this.radius * this.radius;
+    }
+    
+    render(ctx) {
+        const cam = this.game.camera;
+        const halfWidth = this.game.width / 2;
+        const halfHeight = this.game.height / 2;
+        
+        // Shade everything outside the ring (even-odd fill cuts the circle out of the view)
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.beginPath();
+        ctx.rect(cam.x - halfWidth, cam.y - halfHeight, this.game.width, this.game.height);
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill('evenodd');
+        
+        // Pulsing edge
+        ctx.strokeStyle = this.color;
+        ctx.globalAlpha = 0.6 + Math.sin(this.pulsePhase) * 0.3;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
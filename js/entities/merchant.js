@@ -0,0 +1,140 @@
+/**
+ * Merchant Entity
+ * A traveling merchant who stops on the map for a while - touching them opens a shop
+ * where the run's coins buy items, healing and rerolls
+ */
+
+import { GAME_CONFIG } from '../data/config.js';
+
+export class Merchant {
+    constructor(game, x, y) {
+        this.game = game;
+        this.x = x;
+        this.y = y;
+        this.radius = 24;
+        this.stayTimer = GAME_CONFIG.merchant.stay;
+        this.pulsePhase = 0;
+        this.stock = null; // Rolled the first time the shop opens
+    }
+    
+    /**
+     * Save merchant state for a run snapshot
+     */
+    serialize() {
+        return {
+            x: this.x,
+            y: this.y,
+            stayTimer: this.stayTimer,
+            pulsePhase: this.pulsePhase,
+            stock: this.stock ? this.stock.map(offer => ({ ...offer })) : null,
+        };
+    }
+    
+    /**
+     * Restore merchant state from a run snapshot
+     */
+    restore(data) {
+        this.stayTimer = data.stayTimer;
+        this.pulsePhase = data.pulsePhase;
+        this.stock = data.stock ? data.stock.map(offer => ({ ...offer })) : null;
+    }
+    
+    update(dt) {
+        this.pulsePhase += dt / 250;
+        
+        // Moves on if nobody comes by
+        this.stayTimer -= dt;
+        if (this.stayTimer <= 0) {
+            this.game.dismissMerchant();
+            return;
+        }
+        
+        const player = this.game.player;
+        if (!player) return;
+        
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        if (dx * dx + dy * dy < (this.radius + player.radius) ** 2) {
+            this.game.openShop();
+        }
+    }
+    
+    /**
+     * Roll the merchant's wares: a few upgrades, then healing and a reroll
+     * Prices go up with each post-boss difficulty tier
+     */
+    rollStock() {
+        const config = GAME_CONFIG.merchant;
+        const prices = config.prices;
+        const player = this.game.player;
+        const stock = [];
+        
+        // No more new items than there are free slots, so everything stays buyable
+        const freeSlots = {
+            weapon: player.maxWeapons - player.weapons.length,
+            passive: player.maxPassives - player.passives.length,
+        };
+        for (const option of player.getUpgradeOptions(config.stock)) {
+            if (option.isNew && freeSlots[option.type]-- <= 0) continue;
+            
+            let price = prices.levelUp + prices.perLevel * (option.level - 1);
+            if (option.isNew) price = option.type === 'weapon' ? prices.newWeapon : prices.newPassive;
+            stock.push({ ...option, price: price });
+        }
+        
+        stock.push({
+            type: 'heal',
+            id: 'heal',
+            name: 'Healing Draught',
+            icon: '🧪',
+            value: Math.ceil(player.maxHp * config.healShare),
+            price: prices.heal,
+        });
+        stock.push({
+            type: 'reroll',
+            id: 'reroll',
+            name: 'Loaded Die',
+            icon: '🎲',
+            value: 1,
+            price: prices.reroll,
+        });
+        
+        const priceMult = 1 + config.tierPriceMult * this.game.difficultyTier;
+        return stock.map(offer => ({ ...offer, price: Math.round(offer.price * priceMult), sold: false }));
+    }
+    
+    render(ctx) {
+        const x = this.x;
+        const y = this.y;
+        const bob = Math.sin(this.pulsePhase) * 3;
+        
+        // Golden glow
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, this.radius * 2.5);
+        gradient.addColorStop(0, 'rgba(251, 191, 36, 0.5)');
+        gradient.addColorStop(1, 'rgba(251, 191, 36, 0)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius * 2.5, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Ring that empties as the merchant's stay runs out
+        const remaining = this.stayTimer / GAME_CONFIG.merchant.stay;
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius + 6, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * remaining);
+        ctx.stroke();
+        
+        // Merchant
+        ctx.font = '32px serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('🧔', x, y + bob);
+        ctx.textBaseline = 'alphabetic';
+        
+        // Label
+        ctx.fillStyle = '#fbbf24';
+        ctx.font = 'bold 12px Inter';
+        ctx.fillText('MERCHANT', x, y + this.radius + 24);
+    }
+}
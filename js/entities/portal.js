@@ -19,13 +19,36 @@ export class Portal {
             for (let i = 0; i < 8; i++) {
                 this.sparkParticles.push({
                     angle: (Math.PI * 2 / 8) * i,
-                    dist: 15 + Math.random() * 10,
-                    speed: 0.5 + Math.random() * 0.5,
+                    dist: 15 + this.game.rng.next() * 10,
+                    speed: 0.5 + this.game.rng.next() * 0.5,
                 });
             }
         }
     }
     
+    /**
+     * Save portal state for a run snapshot
+     */
+    serialize() {
+        return {
+            x: this.x,
+            y: this.y,
+            state: this.state,
+            active: this.active,
+            pulsePhase: this.pulsePhase,
+            sparkParticles: this.sparkParticles.map(p => ({ ...p })),
+        };
+    }
+    
+    /**
+     * Restore portal state from a run snapshot
+     */
+    restore(data) {
+        this.active = data.active;
+        this.pulsePhase = data.pulsePhase;
+        this.sparkParticles = data.sparkParticles.map(p => ({ ...p }));
+    }
+    
     update(dt) {
         if (!this.active) return;
         
@@ -3,9 +3,11 @@
  * Handles persistent data storage for meta-progression
  */
 
-import { CHARACTERS, POWERUPS } from '../data/config.js';
+import { CHARACTERS, POWERUPS, STAGES, CONTROL_SCHEMES, DEFAULT_CONTROL_SCHEME } from '../data/config.js';
 
 const SAVE_KEY = 'arcane_survivors_save';
+const REPLAY_KEY = 'arcane_survivors_replay';
+const RUN_KEY = 'arcane_survivors_run';
 
 class SaveManagerClass {
     constructor() {
@@ -34,6 +36,8 @@ class SaveManagerClass {
             unlockedCharacters: ['antonio'],
             discoveredWeapons: ['magicWand'], // Starting weapon is discovered
             discoveredPassives: [], // Empty by default
+            discoveredEvolutions: [],
+            clearedStages: [],
             stats: {
                 totalKills: 0,
                 totalDamageDealt: 0,
@@ -45,6 +49,26 @@ class SaveManagerClass {
                 longestSurvival: 0,
                 bossKills: 0,
             },
+            // Lifetime per-weapon totals and bests, by weapon id
+            weaponRecords: {},
+            settings: {
+                masterVolume: 0.7,
+                sfxVolume: 0.6,
+                musicVolume: 0.4,
+                uiVolume: 0.5,
+                screenShake: 1, // Multiplier on camera shake (0 turns it off)
+                particleDensity: 1, // Share of particles drawn (1, 0.5 or 0.25)
+                damageNumbers: true,
+                minimap: true,
+                fpsCounter: false,
+                dpsMeter: false,
+                gamepadDeadzone: 0.2, // Stick tilt ignored before movement starts
+            },
+            // Key bindings: a control scheme plus per-action overrides on top of it
+            controls: {
+                scheme: DEFAULT_CONTROL_SCHEME,
+                bindings: {},
+            },
         };
     }
     
@@ -93,10 +117,24 @@ class SaveManagerClass {
             }
         }
         
+        if (!this.data.settings) {
+            this.data.settings = defaults.settings;
+        } else {
+            for (const key of Object.keys(defaults.settings)) {
+                if (this.data.settings[key] === undefined) {
+                    this.data.settings[key] = defaults.settings[key];
+                }
+            }
+        }
+        
+        if (!this.data.controls) this.data.controls = defaults.controls;
         if (!this.data.powerups) this.data.powerups = {};
         if (!this.data.unlockedCharacters) this.data.unlockedCharacters = ['antonio'];
         if (!this.data.discoveredWeapons) this.data.discoveredWeapons = ['magicWand'];
         if (!this.data.discoveredPassives) this.data.discoveredPassives = [];
+        if (!this.data.discoveredEvolutions) this.data.discoveredEvolutions = [];
+        if (!this.data.clearedStages) this.data.clearedStages = [];
+        if (!this.data.weaponRecords) this.data.weaponRecords = {};
         
         this.save();
     }
@@ -167,10 +205,18 @@ class SaveManagerClass {
         return Math.floor(data.baseCost * Math.pow(data.costMultiplier, level));
     }
     
+    /**
+     * Get a copy of all purchased powerup levels
+     */
+    getPowerupLevels() {
+        return { ...(this.data?.powerups || {}) };
+    }
+    
     /**
      * Get all powerup bonuses combined
+     * @param levels powerup levels to use (defaults to the saved ones)
      */
-    getPowerupBonuses() {
+    getPowerupBonuses(levels = this.data?.powerups) {
         const bonuses = {
             maxHp: 0,
             regen: 0,
@@ -184,11 +230,16 @@ class SaveManagerClass {
             growth: 0,
             greed: 0,
             revival: 0,
+            critChance: 0,
+            critDamage: 0,
+            rerolls: 0,
+            skips: 0,
+            banishes: 0,
         };
         
-        if (!this.data) return bonuses;
+        if (!levels) return bonuses;
         
-        for (const [id, level] of Object.entries(this.data.powerups)) {
+        for (const [id, level] of Object.entries(levels)) {
             const data = POWERUPS[id];
             if (!data) continue;
             
@@ -253,6 +304,38 @@ class SaveManagerClass {
         return this.data?.unlockedCharacters || ['antonio'];
     }
     
+    /**
+     * Check if a stage has been cleared
+     */
+    isStageCleared(stageId) {
+        return this.data?.clearedStages?.includes(stageId) || false;
+    }
+    
+    /**
+     * Record a stage clear (unlocks the stages that require it)
+     */
+    recordStageClear(stageId) {
+        if (!this.data) return;
+        if (!this.data.clearedStages.includes(stageId)) {
+            this.data.clearedStages.push(stageId);
+            this.save();
+            console.log(`🏁 Cleared stage: ${stageId}`);
+        }
+    }
+    
+    /**
+     * Check if a stage can be played
+     */
+    isStageUnlocked(stageId) {
+        const cond = STAGES[stageId]?.unlockCondition;
+        if (!cond) return !!STAGES[stageId];
+        
+        if (cond.type === 'stageClear') {
+            return this.isStageCleared(cond.stage);
+        }
+        return false;
+    }
+    
     /**
      * Update statistics
      */
@@ -272,6 +355,110 @@ class SaveManagerClass {
         this.save();
     }
     
+    /**
+     * Fold a finished run's per-weapon stats into the lifetime records
+     */
+    recordWeaponStats(weaponStats) {
+        if (!this.data) return;
+        
+        for (const [id, stats] of Object.entries(weaponStats)) {
+            const record = this.data.weaponRecords[id] || {
+                runs: 0, damage: 0, kills: 0, hits: 0, timeHeld: 0, bestDamage: 0, bestKills: 0,
+            };
+            record.runs++;
+            record.damage += stats.damage;
+            record.kills += stats.kills;
+            record.hits += stats.hits;
+            record.timeHeld += stats.timeHeld;
+            record.bestDamage = Math.max(record.bestDamage, stats.damage);
+            record.bestKills = Math.max(record.bestKills, stats.kills);
+            this.data.weaponRecords[id] = record;
+        }
+        
+        this.save();
+    }
+    
+    /**
+     * Get lifetime per-weapon records
+     */
+    getWeaponRecords() {
+        return this.data?.weaponRecords || {};
+    }
+    
+    /**
+     * Get all player settings (defaults filled in)
+     */
+    getSettings() {
+        return { ...this.getDefaultSaveData().settings, ...this.data?.settings };
+    }
+    
+    /**
+     * Get a player setting
+     */
+    getSetting(key) {
+        return this.data?.settings?.[key] ?? this.getDefaultSaveData().settings[key];
+    }
+    
+    /**
+     * Change a player setting
+     */
+    setSetting(key, value) {
+        if (!this.data) return;
+        this.data.settings[key] = value;
+        this.save();
+    }
+    
+    /**
+     * Get the selected control scheme id
+     */
+    getControlScheme() {
+        const scheme = this.data?.controls?.scheme;
+        return CONTROL_SCHEMES[scheme] ? scheme : DEFAULT_CONTROL_SCHEME;
+    }
+    
+    /**
+     * Get key bindings: the control scheme's, with the player's changes applied
+     * @returns action id -> list of KeyboardEvent.code values
+     */
+    getKeybindings() {
+        const bindings = {};
+        const overrides = this.data?.controls?.bindings || {};
+        for (const [action, codes] of Object.entries(CONTROL_SCHEMES[this.getControlScheme()].bindings)) {
+            bindings[action] = [...(overrides[action] || codes)];
+        }
+        return bindings;
+    }
+    
+    /**
+     * Bind a key to one of an action's slots (null clears the slot)
+     */
+    setKeybinding(action, slot, code) {
+        if (!this.data) return;
+        
+        const codes = this.getKeybindings()[action];
+        if (!codes) return;
+        
+        codes[slot] = code;
+        this.data.controls.bindings[action] = codes;
+        this.save();
+    }
+    
+    /**
+     * Switch control scheme (drops the player's changes)
+     */
+    setControlScheme(schemeId) {
+        if (!this.data || !CONTROL_SCHEMES[schemeId]) return;
+        this.data.controls = { scheme: schemeId, bindings: {} };
+        this.save();
+    }
+    
+    /**
+     * Go back to the default control scheme and bindings
+     */
+    resetControls() {
+        this.setControlScheme(DEFAULT_CONTROL_SCHEME);
+    }
+    
     /**
      * Get statistics
      */
@@ -343,6 +530,89 @@ class SaveManagerClass {
             console.log(`📖 Discovered passive: ${passiveId}`);
         }
     }
+    
+    /**
+     * Get discovered evolutions
+     */
+    getDiscoveredEvolutions() {
+        return this.data?.discoveredEvolutions || [];
+    }
+    
+    /**
+     * Discover an evolution (add to codex)
+     */
+    discoverEvolution(evolutionId) {
+        if (!this.data) return;
+        if (!this.data.discoveredEvolutions.includes(evolutionId)) {
+            this.data.discoveredEvolutions.push(evolutionId);
+            this.save();
+            console.log(`📖 Discovered evolution: ${evolutionId}`);
+        }
+    }
+    
+    /**
+     * Store the most recent run's replay (kept apart from the main save - it can be large)
+     */
+    saveLastReplay(replay) {
+        try {
+            localStorage.setItem(REPLAY_KEY, JSON.stringify(replay));
+        } catch (e) {
+            console.error('Failed to save replay:', e);
+        }
+    }
+    
+    /**
+     * Get the most recent run's replay
+     * @returns replay data, or null if none
+     */
+    getLastReplay() {
+        try {
+            const saved = localStorage.getItem(REPLAY_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error('Failed to load replay:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Store an in-progress run so it can be continued later
+     */
+    saveRunSnapshot(snapshot) {
+        if (!this.data) return;
+        try {
+            localStorage.setItem(RUN_KEY, JSON.stringify(snapshot));
+        } catch (e) {
+            console.error('Failed to save run:', e);
+        }
+    }
+    
+    /**
+     * Get the saved in-progress run
+     * @returns snapshot data, or null if none
+     */
+    getRunSnapshot() {
+        if (!this.data) return null;
+        try {
+            const saved = localStorage.getItem(RUN_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error('Failed to load run:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Drop the saved in-progress run
+     */
+    clearRunSnapshot() {
+        if (!this.data) return;
+        try {
+            localStorage.removeItem(RUN_KEY);
+        } catch (e) {
+            console.error('Failed to clear run:', e);
+        }
+    }
 }
 
 export const SaveManager = new SaveManagerClass();
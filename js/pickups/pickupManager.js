@@ -1,10 +1,10 @@
 /**
  * Pickup Manager
- * Handles XP gems, coins, health items, and chests
+ * Handles XP gems, coins, health items, chests, and utility pickups
  */
 
 import { AssetLoader } from '../engine/assets.js';
-import { GAME_CONFIG } from '../data/config.js';
+import { GAME_CONFIG, CHEST_TIERS, CHEST_SOURCES } from '../data/config.js';
 
 let pickupIdCounter = 0;
 
@@ -33,8 +33,8 @@ export class PickupManager {
             radius: this.getPickupRadius(options.type, options.subType),
             
             // Animation
-            animTime: Math.random() * 1000,
-            bobOffset: Math.random() * Math.PI * 2,
+            animTime: this.game.rng.next() * 1000,
+            bobOffset: this.game.rng.next() * Math.PI * 2,
         };
         
         this.pickups.push(pickup);
@@ -58,6 +58,7 @@ export class PickupManager {
             case 'chest': return 14;
             case 'magnet': return 10;
             case 'rosary': return 10;
+            case 'clock': return 10;
             default: return 8;
         }
     }
@@ -153,7 +154,7 @@ export class PickupManager {
                 break;
                 
             case 'chest':
-                this.openChest();
+                this.openChest(pickup.subType);
                 this.game.particles.burst(pickup.x, pickup.y, '#fbbf24', 20);
                 this.game.soundManager?.play('pickupChest');
                 break;
@@ -169,30 +170,93 @@ export class PickupManager {
                 this.game.enemyManager?.killAllOnScreen();
                 this.game.particles.burst(player.x, player.y, '#ffffff', 50);
                 break;
+            
+            case 'clock':
+                this.freezeAllEnemies(GAME_CONFIG.pickups.clockFreeze);
+                this.game.particles.burst(player.x, player.y, '#67e8f9', 40);
+                this.game.soundManager?.play('pickupXP', 0.8);
+                break;
         }
     }
     
     /**
      * Open a treasure chest
+     * @param source where it dropped from (see CHEST_SOURCES), if anywhere special
      */
-    openChest() {
+    openChest(source = null) {
         const player = this.game.player;
         if (!player) return;
         
-        // Get random upgrade options
-        const options = player.getUpgradeOptions(1);
+        const tier = this.rollChestTier(source);
         
-        if (options.length > 0) {
-            const reward = options[0];
-            // Do NOT apply yet - wait for player choice in Chest UI
-            // player.applyUpgrade(reward);
-            
-            // Show chest screen
-            this.game.openChest(reward);
-        } else {
-            // Give coins if no upgrades available
-            this.game.addCoins(50);
+        // Do NOT apply yet - wait for player choice in Chest UI
+        this.game.openChest({
+            tier: tier.id,
+            source: source,
+            rewards: this.rollChestRewards(tier.rewards),
+        });
+    }
+    
+    /**
+     * Roll a chest's tier, best first, stopping at the source's guaranteed minimum
+     */
+    rollChestTier(source) {
+        const luck = this.game.player.luck;
+        const sourceData = CHEST_SOURCES[source];
+        const tiers = Object.values(CHEST_TIERS);
+        const minIndex = sourceData ? tiers.findIndex(t => t.id === sourceData.minTier) : tiers.length - 1;
+        
+        for (let i = 0; i < minIndex; i++) {
+            const chance = (tiers[i].chance + (sourceData?.bonus || 0)) * luck;
+            if (this.game.rng.chance(chance)) return tiers[i];
+        }
+        return tiers[minIndex];
+    }
+    
+    /**
+     * Pick a chest's rewards: evolutions first, then upgrades, then gold or healing once the build is full
+     */
+    rollChestRewards(count) {
+        const player = this.game.player;
+        const rewards = [];
+        
+        const evolutions = player.getAvailableEvolutions();
+        while (rewards.length < count && evolutions.length > 0) {
+            rewards.push(evolutions.splice(this.game.rng.int(evolutions.length), 1)[0]);
         }
+        
+        // Distinct upgrades, but no more new items than there are free slots
+        if (rewards.length < count) {
+            const freeSlots = {
+                weapon: player.maxWeapons - player.weapons.length,
+                passive: player.maxPassives - player.passives.length,
+            };
+            for (const option of player.getUpgradeOptions(count - rewards.length)) {
+                if (option.isNew && freeSlots[option.type]-- <= 0) continue;
+                rewards.push(option);
+            }
+        }
+        
+        // Fill the rest: one heal while hurt, gold otherwise
+        const pickups = GAME_CONFIG.pickups;
+        while (rewards.length < count) {
+            const hurt = player.hp < player.maxHp && !rewards.some(r => r.type === 'heal');
+            rewards.push(hurt ? {
+                type: 'heal',
+                id: 'heal',
+                name: 'Floor Chicken',
+                icon: '🍗',
+                value: Math.ceil(player.maxHp * pickups.chestHealShare),
+            } : {
+                type: 'gold',
+                id: 'gold',
+                name: 'Gold Pile',
+                icon: '💰',
+                value: pickups.chestGoldPile,
+            });
+        }
+        
+        return rewards;
     }
     
     /**
@@ -206,6 +270,17 @@ export class PickupManager {
         }
     }
     
+    /**
+     * Freeze every enemy in place (bosses shrug it off)
+     */
+    freezeAllEnemies(duration) {
+        for (const enemy of this.game.enemyManager?.enemies || []) {
+            if (!enemy.dead) {
+                enemy.applyStatus({ type: 'freeze', duration: duration });
+            }
+        }
+    }
+    
     /**
      * Collect all pickups (vacuum effect)
      */
@@ -258,6 +333,12 @@ export class PickupManager {
                 case 'magnet':
                     this.renderMagnet(ctx, pickup);
                     break;
+                case 'rosary':
+                    this.renderRosary(ctx, pickup);
+                    break;
+                case 'clock':
+                    this.renderClock(ctx, pickup);
+                    break;
                 default:
                     // Fallback circle
                     ctx.fillStyle = '#ffffff';
@@ -378,6 +459,52 @@ export class PickupManager {
         }
     }
     
+    renderRosary(ctx, pickup) {
+        // Glowing cross
+        ctx.shadowColor = '#ffffff';
+        ctx.shadowBlur = 8;
+        ctx.fillStyle = '#f8fafc';
+        ctx.fillRect(-2, -pickup.radius, 4, pickup.radius * 2);
+        ctx.fillRect(-pickup.radius * 0.6, -pickup.radius * 0.5, pickup.radius * 1.2, 4);
+        ctx.shadowBlur = 0;
+    }
+    
+    renderClock(ctx, pickup) {
+        ctx.fillStyle = '#67e8f9';
+        ctx.beginPath();
+        ctx.arc(0, 0, pickup.radius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Hands
+        ctx.strokeStyle = '#0e7490';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, -pickup.radius * 0.7);
+        ctx.moveTo(0, 0);
+        ctx.lineTo(pickup.radius * 0.5, 0);
+        ctx.stroke();
+    }
+    
+    /**
+     * Save uncollected pickups for a run snapshot
+     */
+    serialize() {
+        return this.pickups.filter(p => !p.collected).map(p => ({ ...p }));
+    }
+    
+    /**
+     * Rebuild pickups from a run snapshot
+     */
+    restore(pickups) {
+        this.pickups = pickups.map(p => ({ ...p }));
+        
+        // Keep new ids clear of restored ones
+        for (const pickup of this.pickups) {
+            pickupIdCounter = Math.max(pickupIdCounter, pickup.id);
+        }
+    }
+    
     /**
      * Clear all pickups
      */
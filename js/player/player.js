@@ -4,7 +4,7 @@
  */
 
 import { AssetLoader } from '../engine/assets.js';
-import { GAME_CONFIG, CHARACTERS, WEAPONS, PASSIVES } from '../data/config.js';
+import { GAME_CONFIG, CHARACTERS, WEAPONS, PASSIVES, EVOLUTIONS } from '../data/config.js';
 import { SaveManager } from '../meta/saveManager.js';
 import { WeaponFactory } from '../weapons/weaponFactory.js';
 
@@ -26,7 +26,7 @@ export class Player {
         
         // Base stats (before bonuses)
         const config = GAME_CONFIG.player;
-        const powerups = SaveManager.getPowerupBonuses();
+        const powerups = SaveManager.getPowerupBonuses(game.powerupLevels);
         
         this.baseMaxHp = config.baseMaxHp + powerups.maxHp;
         this.baseSpeed = config.baseSpeed * (1 + powerups.speed);
@@ -41,8 +41,17 @@ export class Player {
         this.baseArea = 1 + powerups.area;
         this.baseProjectileSpeed = 1;
         this.baseProjectiles = 0;
+        this.baseCritChance = config.baseCritChance + powerups.critChance;
+        this.baseCritDamage = config.baseCritDamage + powerups.critDamage;
         this.revivals = powerups.revival || 0;
         
+        // Level-up screen charges for the run, and items banished from the upgrade pool
+        const levelUp = GAME_CONFIG.levelUp;
+        this.rerolls = levelUp.baseRerolls + powerups.rerolls;
+        this.skips = levelUp.baseSkips + powerups.skips;
+        this.banishes = levelUp.baseBanishes + powerups.banishes;
+        this.banished = [];
+        
         // Weapons and passives (max 6 each) - initialize BEFORE recalculateStats
         this.weapons = [];
         this.passives = [];
@@ -69,6 +78,17 @@ export class Player {
         this.invincibilityTimer = 0;
         this.invincibilityDuration = config.invincibilityTime;
         
+        // Dash
+        this.dashTimer = 0; // ms left in the current dash
+        this.dashCooldownTimer = 0;
+        this.dashX = 0;
+        this.dashY = 0;
+        
+        // Ultimate, charged by kills
+        this.ultimate = this.character.ultimate || null;
+        this.ultimateCharge = 0;
+        this.ultimatePulse = 0; // ms left on the cast ring
+        
         // Give starting weapon
         this.addWeapon(this.character.startingWeapon);
         
@@ -94,6 +114,11 @@ export class Player {
         if (bonus.projectiles) this.baseProjectiles += bonus.projectiles;
         if (bonus.cooldown) this.baseCooldown *= bonus.cooldown;
         if (bonus.area) this.baseArea *= bonus.area;
+        if (bonus.critChance) this.baseCritChance += bonus.critChance;
+        if (bonus.critDamage) this.baseCritDamage += bonus.critDamage;
+        if (bonus.rerolls) this.rerolls += bonus.rerolls;
+        if (bonus.skips) this.skips += bonus.skips;
+        if (bonus.banishes) this.banishes += bonus.banishes;
     }
     
     /**
@@ -116,6 +141,8 @@ export class Player {
         let curseMultiplier = 1; // Curse makes enemies take more damage
         let greedMultiplier = 1; // Greed increases coin value
         let revivalBonus = 0;
+        let critChanceBonus = 0;
+        let critDamageBonus = 0;
         
         // Apply passive effects
         for (const passive of this.passives) {
@@ -137,6 +164,8 @@ export class Player {
             if (effect.curse) curseMultiplier += effect.curse * level;
             if (effect.greed) greedMultiplier += effect.greed * level;
             if (effect.revival) revivalBonus += effect.revival * level;
+            if (effect.critChance) critChanceBonus += effect.critChance * level;
+            if (effect.critDamage) critDamageBonus += effect.critDamage * level;
         }
         
         // Calculate final stats
@@ -154,6 +183,8 @@ export class Player {
         this.projectiles = this.baseProjectiles + projectilesBonus;
         this.curse = curseMultiplier; // How much extra damage enemies take
         this.greed = this.baseGreed * greedMultiplier; // Coin value multiplier
+        this.critChance = this.baseCritChance + critChanceBonus;
+        this.critDamage = this.baseCritDamage + critDamageBonus; // Damage multiplier on a crit
         
         // Calculate revivals: Base + Bonus - Used
         // We use Math.max(0, ...) to prevent negative revivals if logic desyncs
@@ -172,8 +203,28 @@ export class Player {
             this.facingY = dir.y;
         }
         
-        this.x += dir.x * this.speed * (dt / 1000);
-        this.y += dir.y * this.speed * (dt / 1000);
+        // Abilities pressed this tick
+        for (const action of input.getTriggeredActions?.() || []) {
+            if (action === 'dash') this.dash(dir);
+            if (action === 'ultimate') this.useUltimate();
+        }
+        
+        if (this.dashTimer > 0) {
+            this.dashTimer -= dt;
+            const dashSpeed = GAME_CONFIG.player.dashSpeed;
+            this.x += this.dashX * dashSpeed * (dt / 1000);
+            this.y += this.dashY * dashSpeed * (dt / 1000);
+        } else {
+            this.x += dir.x * this.speed * (dt / 1000);
+            this.y += dir.y * this.speed * (dt / 1000);
+        }
+        
+        if (this.dashCooldownTimer > 0) {
+            this.dashCooldownTimer -= dt;
+        }
+        if (this.ultimatePulse > 0) {
+            this.ultimatePulse -= dt;
+        }
         
         // Clamp to map bounds
         this.x = Math.max(this.radius, Math.min(this.game.mapWidth - this.radius, this.x));
@@ -201,10 +252,119 @@ export class Player {
         this.animTime += dt;
     }
     
+    /**
+     * Dash toward the movement direction (or the way we're facing), untouchable for a moment
+     */
+    dash(dir) {
+        if (this.dashCooldownTimer > 0) return;
+        
+        const config = GAME_CONFIG.player;
+        const x = dir.x !== 0 || dir.y !== 0 ? dir.x : this.facingX;
+        const y = dir.x !== 0 || dir.y !== 0 ? dir.y : this.facingY;
+        const len = Math.sqrt(x * x + y * y) || 1;
+        
+        this.dashX = x / len;
+        this.dashY = y / len;
+        this.dashTimer = config.dashDuration;
+        this.dashCooldownTimer = this.getDashCooldown();
+        
+        // Same i-frames as after a hit, without cutting a longer one short
+        this.invincible = true;
+        this.invincibilityTimer = Math.max(this.invincibilityTimer, config.dashInvincibility);
+        
+        this.game.particles.burst(this.x, this.y, '#e0e7ff', 8);
+        this.game.soundManager?.play('slash', 0.6);
+    }
+    
+    /**
+     * Dash cooldown after the Cooldown stat
+     */
+    getDashCooldown() {
+        return GAME_CONFIG.player.dashCooldown * this.cooldown;
+    }
+    
+    /**
+     * Add kills toward the ultimate
+     */
+    chargeUltimate(kills = 1) {
+        if (!this.ultimate) return;
+        this.ultimateCharge = Math.min(this.ultimate.charge, this.ultimateCharge + kills);
+    }
+    
+    /**
+     * Whether the ultimate is charged
+     */
+    isUltimateReady() {
+        return this.ultimate !== null && this.ultimateCharge >= this.ultimate.charge;
+    }
+    
+    /**
+     * Unleash the character's ultimate on everything within its radius
+     */
+    useUltimate() {
+        if (!this.isUltimateReady()) return;
+        
+        const ult = this.ultimate;
+        const enemyManager = this.game.enemyManager;
+        this.ultimateCharge = 0;
+        this.ultimatePulse = 500;
+        
+        if (ult.heal) {
+            this.heal(this.maxHp * ult.heal);
+        }
+        if (ult.invincibility) {
+            this.invincible = true;
+            this.invincibilityTimer = Math.max(this.invincibilityTimer, ult.invincibility);
+        }
+        
+        for (const enemy of enemyManager.getEnemiesNear(this.x, this.y, ult.radius * this.area)) {
+            const dx = enemy.x - this.x;
+            const dy = enemy.y - this.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            
+            // Drag enemies in first so the blast lands on a crowd (bosses barely move)
+            if (ult.pull) {
+                const pull = enemy.isBoss || enemy.isMiniBoss ? ult.pull * 0.2 : ult.pull;
+                enemy.x -= dx * pull;
+                enemy.y -= dy * pull;
+            }
+            
+            enemyManager.damageEnemy(enemy, ult.damage * this.damage, null, { element: ult.element });
+            if (enemy.dead) continue;
+            
+            if (ult.status) {
+                enemyManager.applyStatus(enemy, { ...ult.status });
+            }
+            if (ult.knockback) {
+                const force = ult.knockback * (1 - enemy.knockbackResist);
+                enemy.applyKnockback(dx / dist * force, dy / dist * force);
+            }
+        }
+        
+        this.game.propManager?.areaHit(this.x, this.y, ult.radius * this.area);
+        
+        this.game.particles.burst(this.x, this.y, ult.color, 40);
+        this.game.camera.shake(12, 300);
+        this.game.soundManager?.play('explosion');
+    }
+    
     /**
      * Render player
      */
     render(ctx) {
+        // Ultimate shockwave
+        if (this.ultimatePulse > 0 && this.ultimate) {
+            const progress = 1 - this.ultimatePulse / 500;
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+            ctx.strokeStyle = this.ultimate.color;
+            ctx.lineWidth = 6;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.ultimate.radius * this.area * progress, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+        
         ctx.save();
         ctx.translate(this.x, this.y);
         
@@ -213,8 +373,10 @@ export class Player {
             ctx.scale(-1, 1);
         }
         
-        // Invincibility flash
-        if (this.invincible && Math.floor(this.animTime / 100) % 2 === 0) {
+        // Invincibility flash (steady and faint while dashing)
+        if (this.dashTimer > 0) {
+            ctx.globalAlpha = 0.6;
+        } else if (this.invincible && Math.floor(this.animTime / 100) % 2 === 0) {
             ctx.globalAlpha = 0.5;
         }
         
@@ -370,9 +532,66 @@ export class Player {
             } else if (this.passives.length < this.maxPassives) {
                 this.addPassive(upgrade.id);
             }
+        } else if (upgrade.type === 'evolution') {
+            this.evolveWeapon(upgrade.id);
+        } else if (upgrade.type === 'gold') {
+            this.game.addCoins(upgrade.value);
+        } else if (upgrade.type === 'heal') {
+            this.heal(upgrade.value);
+        } else if (upgrade.type === 'reroll') {
+            this.rerolls += upgrade.value;
         }
     }
     
+    /**
+     * Get evolutions whose recipe is currently satisfied
+     */
+    getAvailableEvolutions() {
+        const available = [];
+        
+        for (const [id, recipe] of Object.entries(EVOLUTIONS)) {
+            const weapon = this.weapons.find(w => w.id === recipe.weapon);
+            if (!weapon || weapon.level < weapon.maxLevel) continue;
+            if (!this.passives.find(p => p.id === recipe.passive)) continue;
+            
+            const data = WEAPONS[id];
+            available.push({
+                type: 'evolution',
+                id: id,
+                from: recipe.weapon,
+                name: data.name,
+                icon: data.icon,
+                level: 1,
+                isNew: true,
+                rarity: data.rarity,
+                description: data.description,
+            });
+        }
+        
+        return available;
+    }
+    
+    /**
+     * Replace a base weapon with its evolution, keeping its slot
+     */
+    evolveWeapon(evolutionId) {
+        const recipe = EVOLUTIONS[evolutionId];
+        if (!recipe) return;
+        
+        const index = this.weapons.findIndex(w => w.id === recipe.weapon);
+        if (index === -1) return;
+        
+        const weapon = WeaponFactory.create(evolutionId, this);
+        if (!weapon) return;
+        
+        this.weapons[index] = weapon;
+        
+        SaveManager.discoverWeapon(evolutionId);
+        SaveManager.discoverEvolution(evolutionId);
+        
+        this.game.particles.burst(this.x, this.y, '#f59e0b', 40);
+    }
+    
     /**
      * Add a new weapon
      */
@@ -450,7 +669,11 @@ export class Player {
         // Check new weapons (weighted by rarity)
         if (this.weapons.length < this.maxWeapons) {
             for (const [id, data] of Object.entries(WEAPONS)) {
-                if (!this.weapons.find(w => w.id === id)) {
+                // Evolutions only come from chests
+                if (data.evolution) continue;
+                
+                // Skip weapons that are held, either as-is or evolved
+                if (!this.weapons.find(w => w.id === id || EVOLUTIONS[w.id]?.weapon === id)) {
                     const rarity = data.rarity || 'COMMON';
                     const weight = (RARITY[rarity]?.weight || 50) * this.luck;
                     possibleWeapons.push({
@@ -504,8 +727,8 @@ export class Player {
             }
         }
         
-        // Combine all options
-        const allOptions = [...possibleWeapons, ...possiblePassives];
+        // Combine all options, minus anything banished this run
+        const allOptions = [...possibleWeapons, ...possiblePassives].filter(opt => !this.banished.includes(opt.id));
         
         // Weighted selection
         const selected = [];
@@ -513,7 +736,7 @@ export class Player {
         
         while (selected.length < count && remaining.length > 0) {
             const totalWeight = remaining.reduce((sum, opt) => sum + opt.weight, 0);
-            let random = Math.random() * totalWeight;
+            let random = this.game.rng.next() * totalWeight;
             
             for (let i = 0; i < remaining.length; i++) {
                 random -= remaining[i].weight;
@@ -562,11 +785,94 @@ export class Player {
      */
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.game.rng.int(i + 1);
             [array[i], array[j]] = [array[j], array[i]];
         }
     }
     
+    /**
+     * Save position, progress and loadout for a run snapshot
+     */
+    serialize() {
+        return {
+            x: this.x,
+            y: this.y,
+            facingX: this.facingX,
+            facingY: this.facingY,
+            hp: this.hp,
+            level: this.level,
+            xp: this.xp,
+            xpToLevel: this.xpToLevel,
+            revivalsUsed: this.revivalsUsed,
+            invincible: this.invincible,
+            invincibilityTimer: this.invincibilityTimer,
+            dashTimer: this.dashTimer,
+            dashCooldownTimer: this.dashCooldownTimer,
+            dashX: this.dashX,
+            dashY: this.dashY,
+            ultimateCharge: this.ultimateCharge,
+            rerolls: this.rerolls,
+            skips: this.skips,
+            banishes: this.banishes,
+            banished: [...this.banished],
+            weapons: this.weapons.map(w => w.serialize()),
+            passives: this.passives.map(p => ({ id: p.id, level: p.level })),
+        };
+    }
+    
+    /**
+     * Rebuild the player from a run snapshot
+     */
+    restore(data) {
+        this.x = data.x;
+        this.y = data.y;
+        this.facingX = data.facingX;
+        this.facingY = data.facingY;
+        this.level = data.level;
+        this.xp = data.xp;
+        this.xpToLevel = data.xpToLevel;
+        this.revivalsUsed = data.revivalsUsed;
+        this.invincible = data.invincible;
+        this.invincibilityTimer = data.invincibilityTimer;
+        this.dashTimer = data.dashTimer || 0;
+        this.dashCooldownTimer = data.dashCooldownTimer || 0;
+        this.dashX = data.dashX || 0;
+        this.dashY = data.dashY || 0;
+        this.ultimateCharge = data.ultimateCharge || 0;
+        this.rerolls = data.rerolls ?? this.rerolls;
+        this.skips = data.skips ?? this.skips;
+        this.banishes = data.banishes ?? this.banishes;
+        this.banished = [...(data.banished || [])];
+        
+        // Passives first so weapon stats pick up their bonuses
+        this.passives = [];
+        for (const saved of data.passives) {
+            const passiveData = PASSIVES[saved.id];
+            if (!passiveData) continue;
+            
+            this.passives.push({
+                id: saved.id,
+                name: passiveData.name,
+                icon: passiveData.icon,
+                effect: passiveData.effect,
+                level: saved.level,
+                maxLevel: passiveData.maxLevel,
+            });
+        }
+        this.recalculateStats();
+        
+        this.weapons = [];
+        for (const saved of data.weapons) {
+            const weapon = WeaponFactory.create(saved.id, this);
+            if (!weapon) continue;
+            
+            weapon.restore(saved);
+            this.weapons.push(weapon);
+        }
+        
+        this.hp = Math.min(data.hp, this.maxHp);
+    }
+    
     /**
      * Get XP percentage for display
      */
@@ -0,0 +1,360 @@
+/**
+ * Prop Manager
+ * Destructible braziers, candelabras and crates scattered over the map - any weapon hit breaks one
+ * for a pickup from PROP_DROPS, and broken props grow back off screen over time
+ * Projectiles check props as they hit; weapons that damage enemies directly call areaHit
+ */
+
+import { GAME_CONFIG, PROPS, PROP_DROPS } from '../data/config.js';
+
+let propIdCounter = 0;
+
+export class PropManager {
+    constructor(game) {
+        this.game = game;
+        this.props = [];
+        this.respawnTimer = 0;
+        
+        // Props never move, so the hash is only touched on spawn and break
+        this.cellSize = 100;
+        this.spatialHash = new Map();
+        this.maxRadius = Math.max(...Object.values(PROPS).map(type => type.radius));
+        
+        // Bigger maps get more props
+        const config = GAME_CONFIG.props;
+        this.targetCount = Math.round(config.density * (game.mapWidth / 1000) * (game.mapHeight / 1000));
+    }
+    
+    /**
+     * Scatter the full set of props over the map (start of a run)
+     */
+    populate() {
+        while (this.props.length < this.targetCount) {
+            this.spawnRandom(0);
+        }
+    }
+    
+    /**
+     * Place a prop
+     */
+    spawn(options) {
+        const data = PROPS[options.type];
+        const prop = {
+            id: ++propIdCounter,
+            type: data.id,
+            x: options.x,
+            y: options.y,
+            radius: data.radius,
+            animTime: this.game.rng.next() * 1000,
+        };
+        
+        this.props.push(prop);
+        this.addToSpatialHash(prop);
+        return prop;
+    }
+    
+    /**
+     * Place a random prop somewhere on the map, at least minDistance from the player
+     */
+    spawnRandom(minDistance) {
+        const margin = 100;
+        const player = this.game.player;
+        
+        let x = 0;
+        let y = 0;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            x = margin + this.game.rng.next() * (this.game.mapWidth - margin * 2);
+            y = margin + this.game.rng.next() * (this.game.mapHeight - margin * 2);
+            if (!player || Math.hypot(x - player.x, y - player.y) >= minDistance) break;
+        }
+        
+        return this.spawn({ type: this.rollType(), x: x, y: y });
+    }
+    
+    /**
+     * Pick a prop type by weight
+     */
+    rollType() {
+        const types = Object.values(PROPS);
+        let roll = this.game.rng.next() * types.reduce((sum, t) => sum + t.weight, 0);
+        for (const type of types) {
+            roll -= type.weight;
+            if (roll <= 0) return type.id;
+        }
+        return types[types.length - 1].id;
+    }
+    
+    /**
+     * Animate props and grow back broken ones
+     */
+    update(dt) {
+        for (const prop of this.props) {
+            prop.animTime += dt;
+        }
+        
+        if (this.props.length >= this.targetCount) {
+            this.respawnTimer = GAME_CONFIG.props.respawnInterval;
+            return;
+        }
+        
+        this.respawnTimer -= dt;
+        if (this.respawnTimer <= 0) {
+            this.spawnRandom(GAME_CONFIG.props.respawnDistance);
+            this.respawnTimer = GAME_CONFIG.props.respawnInterval;
+        }
+    }
+    
+    /**
+     * Add prop to spatial hash
+     */
+    addToSpatialHash(prop) {
+        const key = this.getCellKey(prop.x, prop.y);
+        
+        if (!this.spatialHash.has(key)) {
+            this.spatialHash.set(key, []);
+        }
+        this.spatialHash.get(key).push(prop);
+    }
+    
+    /**
+     * Remove prop from spatial hash
+     */
+    removeFromSpatialHash(prop) {
+        const key = this.getCellKey(prop.x, prop.y);
+        const cell = this.spatialHash.get(key);
+        if (!cell) return;
+        
+        const index = cell.indexOf(prop);
+        if (index !== -1) cell.splice(index, 1);
+        if (cell.length === 0) this.spatialHash.delete(key);
+    }
+    
+    getCellKey(x, y) {
+        return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+    }
+    
+    /**
+     * Break every prop near a point that passes the hit test
+     * Walks the hash cells in place rather than collecting matches, since projectiles ask every tick
+     */
+    breakPropsNear(x, y, range, hitTest) {
+        const cellRadius = Math.ceil((range + this.maxRadius) / this.cellSize);
+        const centerCellX = Math.floor(x / this.cellSize);
+        const centerCellY = Math.floor(y / this.cellSize);
+        
+        for (let dx = -cellRadius; dx <= cellRadius; dx++) {
+            for (let dy = -cellRadius; dy <= cellRadius; dy++) {
+                const cell = this.spatialHash.get(`${centerCellX + dx},${centerCellY + dy}`);
+                if (!cell) continue;
+                
+                // Backwards, as breaking a prop takes it out of this cell
+                for (let i = cell.length - 1; i >= 0; i--) {
+                    if (hitTest(cell[i])) {
+                        this.breakProp(cell[i]);
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Break props touching a circle (area and direct hits that don't go through projectiles)
+     */
+    areaHit(x, y, radius) {
+        this.breakPropsNear(x, y, radius, prop => {
+            const dx = prop.x - x;
+            const dy = prop.y - y;
+            const reach = radius + prop.radius;
+            return dx * dx + dy * dy <= reach * reach;
+        });
+    }
+    
+    /**
+     * Break a prop and drop its pickup
+     */
+    breakProp(prop) {
+        const index = this.props.indexOf(prop);
+        if (index === -1) return;
+        this.props.splice(index, 1);
+        this.removeFromSpatialHash(prop);
+        
+        const light = PROPS[prop.type].light;
+        this.game.particles.burst(prop.x, prop.y, light ? `rgb(${light.color})` : '#a16207', 12);
+        this.game.soundManager?.play('enemyHit', 0.4);
+        
+        const drop = this.rollDrop();
+        this.game.pickupManager?.spawn({
+            type: drop.type,
+            value: drop.value,
+            x: prop.x,
+            y: prop.y,
+        });
+    }
+    
+    /**
+     * Pick a drop from PROP_DROPS (Luck boosts the rarer ones)
+     */
+    rollDrop() {
+        const luck = this.game.player?.luck || 1;
+        const weightOf = drop => drop.weight * (drop.luck ? luck : 1);
+        
+        let roll = this.game.rng.next() * PROP_DROPS.reduce((sum, drop) => sum + weightOf(drop), 0);
+        for (const drop of PROP_DROPS) {
+            roll -= weightOf(drop);
+            if (roll <= 0) return drop;
+        }
+        return PROP_DROPS[0];
+    }
+    
+    /**
+     * Render all props
+     */
+    render(ctx) {
+        for (const prop of this.props) {
+            if (!this.game.camera.isVisible(prop.x, prop.y, 100)) continue;
+            
+            const light = PROPS[prop.type].light;
+            if (light) {
+                this.renderLight(ctx, prop, light);
+            }
+            
+            ctx.save();
+            ctx.translate(prop.x, prop.y);
+            
+            switch (prop.type) {
+                case 'brazier':
+                    this.renderBrazier(ctx, prop);
+                    break;
+                case 'candelabra':
+                    this.renderCandelabra(ctx, prop);
+                    break;
+                default:
+                    this.renderCrate(ctx, prop);
+            }
+            
+            ctx.restore();
+        }
+    }
+    
+    /**
+     * Flickering glow around a light source
+     */
+    renderLight(ctx, prop, light) {
+        const flicker = 1 + Math.sin(prop.animTime / 90) * 0.05 + Math.sin(prop.animTime / 37) * 0.03;
+        const radius = light.radius * flicker;
+        
+        const gradient = ctx.createRadialGradient(prop.x, prop.y, 0, prop.x, prop.y, radius);
+        gradient.addColorStop(0, `rgba(${light.color}, 0.35)`);
+        gradient.addColorStop(1, `rgba(${light.color}, 0)`);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(prop.x, prop.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    renderBrazier(ctx, prop) {
+        // Bowl on a stand
+        ctx.fillStyle = '#57534e';
+        ctx.fillRect(-2, 0, 4, 12);
+        ctx.fillStyle = '#78716c';
+        ctx.beginPath();
+        ctx.moveTo(-10, -4);
+        ctx.lineTo(10, -4);
+        ctx.lineTo(6, 3);
+        ctx.lineTo(-6, 3);
+        ctx.closePath();
+        ctx.fill();
+        
+        // Flame
+        const height = 10 + Math.sin(prop.animTime / 80) * 2;
+        ctx.fillStyle = '#f97316';
+        ctx.beginPath();
+        ctx.ellipse(0, -4 - height / 2, 6, height / 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#fde047';
+        ctx.beginPath();
+        ctx.ellipse(0, -3 - height / 3, 3, height / 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    renderCandelabra(ctx, prop) {
+        // Stem and arms
+        ctx.strokeStyle = '#a16207';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, 12);
+        ctx.lineTo(0, -4);
+        ctx.moveTo(-7, -4);
+        ctx.lineTo(7, -4);
+        ctx.stroke();
+        
+        // Three candle flames
+        for (const offset of [-7, 0, 7]) {
+            const height = 5 + Math.sin(prop.animTime / 70 + offset);
+            ctx.fillStyle = '#fef3c7';
+            ctx.fillRect(offset - 1.5, -10, 3, 6);
+            ctx.fillStyle = '#fde047';
+            ctx.beginPath();
+            ctx.ellipse(offset, -10 - height / 2, 2, height / 2, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    renderCrate(ctx, prop) {
+        const size = prop.radius * 2;
+        ctx.fillStyle = '#92400e';
+        ctx.fillRect(-size / 2, -size / 2, size, size);
+        
+        // Planks
+        ctx.strokeStyle = '#451a03';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(-size / 2, -size / 2, size, size);
+        ctx.beginPath();
+        ctx.moveTo(-size / 2, -size / 2);
+        ctx.lineTo(size / 2, size / 2);
+        ctx.stroke();
+    }
+    
+    /**
+     * Save standing props for a run snapshot
+     */
+    serialize() {
+        return {
+            props: this.props.map(p => ({ ...p })),
+            respawnTimer: this.respawnTimer,
+        };
+    }
+    
+    /**
+     * Rebuild props from a run snapshot
+     */
+    restore(data) {
+        this.props = data.props.map(p => ({ ...p }));
+        this.respawnTimer = data.respawnTimer;
+        
+        this.spatialHash.clear();
+        for (const prop of this.props) {
+            this.addToSpatialHash(prop);
+        }
+        
+        // Keep new ids clear of restored ones
+        for (const prop of this.props) {
+            propIdCounter = Math.max(propIdCounter, prop.id);
+        }
+    }
+    
+    /**
+     * Clear all props
+     */
+    clear() {
+        this.props = [];
+        this.spatialHash.clear();
+    }
+    
+    /**
+     * Get prop count
+     */
+    getCount() {
+        return this.props.length;
+    }
+}
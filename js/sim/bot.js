@@ -0,0 +1,144 @@
+/**
+ * Simulation Bot
+ * Plays headless runs: kites enemies, collects pickups and picks upgrades
+ */
+
+import { Random } from '../engine/random.js';
+import { EVOLUTIONS, RARITY } from '../data/config.js';
+
+const DANGER_RADIUS = 220;
+const PICKUP_RADIUS = 500;
+const EDGE_MARGIN = 300;
+
+export class Bot {
+    /**
+     * @param options.policy 'greedy' (default) or 'random' upgrade picks
+     * @param options.seed seed for the bot's own choices (kept off the game RNG)
+     */
+    constructor(options = {}) {
+        this.game = null;
+        this.policy = options.policy || 'greedy';
+        this.rng = new Random(options.seed ?? 0);
+        this.direction = { x: 0, y: 0 };
+    }
+    
+    /**
+     * Decide movement for this tick (same interface as ReplayPlayer)
+     */
+    step(tick) {
+        const player = this.game?.player;
+        if (!player) return;
+        
+        let fx = 0;
+        let fy = 0;
+        
+        // Flee nearby enemies, harder the closer they are
+        const enemies = this.game.enemyManager.getEnemiesNear(player.x, player.y, DANGER_RADIUS);
+        for (const enemy of enemies) {
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const closeness = 1 - dist / DANGER_RADIUS;
+            const weight = closeness * closeness * (enemy.isBoss || enemy.isMiniBoss ? 3 : 1);
+            fx += (dx / dist) * weight;
+            fy += (dy / dist) * weight;
+        }
+        
+        // Head for pickups (or the portal) when nothing is pressing
+        if (Math.sqrt(fx * fx + fy * fy) < 0.5) {
+            const target = this.game.portal || this.getNearestPickup(player);
+            if (target) {
+                const dx = target.x - player.x;
+                const dy = target.y - player.y;
+                const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+                fx += (dx / dist) * 0.6;
+                fy += (dy / dist) * 0.6;
+            }
+        }
+        
+        // Stay off the map edges so we don't get pinned
+        if (player.x < EDGE_MARGIN) fx += 1 - player.x / EDGE_MARGIN;
+        if (player.y < EDGE_MARGIN) fy += 1 - player.y / EDGE_MARGIN;
+        if (player.x > this.game.mapWidth - EDGE_MARGIN) fx -= 1 - (this.game.mapWidth - player.x) / EDGE_MARGIN;
+        if (player.y > this.game.mapHeight - EDGE_MARGIN) fy -= 1 - (this.game.mapHeight - player.y) / EDGE_MARGIN;
+        
+        // Otherwise keep circling so the horde trails behind
+        if (fx === 0 && fy === 0) {
+            const angle = tick / 600;
+            fx = Math.cos(angle);
+            fy = Math.sin(angle);
+        }
+        
+        const len = Math.sqrt(fx * fx + fy * fy);
+        this.direction = { x: fx / len, y: fy / len };
+    }
+    
+    /**
+     * Movement for the current tick (same interface as Input)
+     */
+    getMovementDirection() {
+        return this.direction;
+    }
+    
+    /**
+     * Closest pickup worth walking to
+     */
+    getNearestPickup(player) {
+        let nearest = null;
+        let nearestDist = PICKUP_RADIUS * PICKUP_RADIUS;
+        
+        for (const pickup of this.game.pickupManager.pickups) {
+            if (pickup.collected) continue;
+            if (pickup.type === 'chicken' && player.hp >= player.maxHp) continue;
+            
+            const dx = pickup.x - player.x;
+            const dy = pickup.y - player.y;
+            const dist = dx * dx + dy * dy;
+            if (dist < nearestDist) {
+                nearest = pickup;
+                nearestDist = dist;
+            }
+        }
+        
+        return nearest;
+    }
+    
+    /**
+     * Pick one of the offered level-up options
+     */
+    chooseUpgrade(options) {
+        if (this.policy === 'random') {
+            return this.rng.pick(options);
+        }
+        
+        let best = options[0];
+        let bestScore = -Infinity;
+        for (const option of options) {
+            const score = this.scoreUpgrade(option);
+            if (score > bestScore) {
+                best = option;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Greedy policy: level held weapons, fill weapon slots, then evolution passives
+     */
+    scoreUpgrade(option) {
+        const player = this.game.player;
+        const rarityBonus = Object.keys(RARITY).indexOf(option.rarity || 'COMMON') * 0.1;
+        
+        if (option.type === 'weapon') {
+            const held = player.weapons.find(w => w.id === option.id);
+            return (held ? 10 + held.level * 0.1 : 8) + rarityBonus;
+        }
+        
+        const evolvesHeld = Object.values(EVOLUTIONS).some(
+            recipe => recipe.passive === option.id && player.weapons.some(w => w.id === recipe.weapon)
+        );
+        const held = player.passives.some(p => p.id === option.id);
+        return (evolvesHeld ? 9 : 5) + (held ? 1 : 0) + rarityBonus;
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * Headless Balance Simulator
+ * Runs bot-played games in Node and writes a JSON report
+ *
+ * Usage:
+ *   node js/sim/simulate.js [--character antonio|all] [--stage madForest] [--runs 10] [--minutes 15]
+ *                           [--seed 1234] [--policy greedy|random] [--out sim-report.json] [--verbose]
+ */
+
+import { writeFileSync } from 'node:fs';
+import { Game, GameState } from '../engine/game.js';
+import { Random } from '../engine/random.js';
+import { Bot } from './bot.js';
+import { CHARACTERS, GAME_CONFIG, STAGES, DEFAULT_STAGE } from '../data/config.js';
+
+/**
+ * Parse --key value / --key=value arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        
+        const [key, inline] = arg.slice(2).split('=');
+        if (inline !== undefined) {
+            args[key] = inline;
+        } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+            args[key] = argv[++i];
+        } else {
+            args[key] = true;
+        }
+    }
+    return args;
+}
+
+/**
+ * Play one run to death, victory or the time limit
+ */
+function simulateRun(characterId, seed, options) {
+    const bot = new Bot({ policy: options.policy, seed });
+    const game = new Game(null, { input: bot });
+    bot.game = game;
+    game.startGame(characterId, options.stage, seed);
+    
+    const dt = game.fixedDeltaTime;
+    while (game.gameTime < options.duration) {
+        if (game.state === GameState.PLAYING) {
+            game.update(dt);
+            game.damageNumbers.update(dt);
+            game.particles.update(dt);
+        } else if (game.state === GameState.LEVEL_UP) {
+            game.selectUpgrade(bot.chooseUpgrade(game.pendingUpgradeOptions));
+        } else if (game.state === GameState.CHEST) {
+            game.closeChest(true);
+        } else if (game.state === GameState.SHOP) {
+            game.closeShop();
+        } else {
+            break;
+        }
+    }
+    
+    const weapons = {};
+    for (const row of game.getWeaponBreakdown()) {
+        weapons[row.id] = {
+            damage: Math.round(row.damage),
+            kills: row.kills,
+            hits: row.hits,
+            heldTime: Math.round(row.timeHeld),
+            dps: round(row.dps),
+        };
+    }
+    
+    const outcome = game.state === GameState.GAME_OVER ? 'death'
+        : (game.state === GameState.VICTORY ? 'victory' : 'survived');
+    
+    return {
+        seed: seed,
+        outcome: outcome,
+        time: Math.round(game.gameTime),
+        kills: game.killCount,
+        eliteKills: game.eliteKills,
+        crits: game.critCount,
+        level: game.player.level,
+        damageDealt: Math.round(game.damageDealt),
+        damageTaken: Math.round(game.damageTaken),
+        weapons: weapons,
+        passives: game.player.passives.map(p => `${p.id}:${p.level}`),
+    };
+}
+
+/**
+ * Roll runs up into per-character averages
+ */
+function summarize(runs) {
+    const times = runs.map(r => r.time).sort((a, b) => a - b);
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+    
+    const weapons = {};
+    for (const run of runs) {
+        for (const [id, stats] of Object.entries(run.weapons)) {
+            if (!weapons[id]) weapons[id] = { runs: 0, damage: [], kills: [], dps: [] };
+            weapons[id].runs++;
+            weapons[id].damage.push(stats.damage);
+            weapons[id].kills.push(stats.kills);
+            weapons[id].dps.push(stats.dps);
+        }
+    }
+    
+    const weaponSummary = {};
+    for (const [id, stats] of Object.entries(weapons)) {
+        weaponSummary[id] = {
+            pickRate: round(stats.runs / runs.length),
+            meanDamage: Math.round(mean(stats.damage)),
+            meanKills: Math.round(mean(stats.kills)),
+            meanDps: round(mean(stats.dps)),
+        };
+    }
+    
+    return {
+        runs: runs.length,
+        survivalRate: round(runs.filter(r => r.outcome !== 'death').length / runs.length),
+        survivalTime: {
+            mean: Math.round(mean(times)),
+            median: times[Math.floor(times.length / 2)],
+            min: times[0],
+            max: times[times.length - 1],
+        },
+        meanKills: Math.round(mean(runs.map(r => r.kills))),
+        meanEliteKills: round(mean(runs.map(r => r.eliteKills))),
+        meanCrits: Math.round(mean(runs.map(r => r.crits))),
+        meanLevel: round(mean(runs.map(r => r.level))),
+        meanDps: round(mean(runs.map(r => r.damageDealt / Math.max(1, r.time / 1000)))),
+        weapons: weaponSummary,
+    };
+}
+
+/**
+ * Round to 2 decimals for the report
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * mm:ss for progress output
+ */
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    
+    const characters = !args.character || args.character === 'all'
+        ? Object.keys(CHARACTERS)
+        : String(args.character).split(',');
+    for (const id of characters) {
+        if (!CHARACTERS[id]) {
+            console.error(`Unknown character: ${id}`);
+            process.exit(1);
+        }
+    }
+    
+    const stage = typeof args.stage === 'string' ? args.stage : DEFAULT_STAGE;
+    if (!STAGES[stage]) {
+        console.error(`Unknown stage: ${stage}`);
+        process.exit(1);
+    }
+    
+    const options = {
+        stage: stage,
+        runs: parseInt(args.runs, 10) || 10,
+        duration: (parseFloat(args.minutes) || GAME_CONFIG.bossSpawnTime / 60000) * 60000,
+        baseSeed: args.seed !== undefined ? Random.normalizeSeed(args.seed) : Random.generateSeed(),
+        policy: args.policy === 'random' ? 'random' : 'greedy',
+    };
+    const outFile = typeof args.out === 'string' ? args.out : 'sim-report.json';
+    
+    // Game code logs freely; keep the terminal readable unless asked
+    const log = console.log;
+    if (!args.verbose) {
+        console.log = () => {};
+    }
+    
+    const report = {
+        generatedAt: new Date().toISOString(),
+        settings: {
+            stage: options.stage,
+            runs: options.runs,
+            minutes: options.duration / 60000,
+            baseSeed: options.baseSeed,
+            policy: options.policy,
+        },
+        characters: {},
+    };
+    
+    for (const characterId of characters) {
+        const runs = [];
+        for (let i = 0; i < options.runs; i++) {
+            const seed = (options.baseSeed + i) >>> 0;
+            const result = simulateRun(characterId, seed, options);
+            runs.push(result);
+            process.stderr.write(
+                `${characterId} ${i + 1}/${options.runs} seed ${seed}: ${result.outcome} at ${formatTime(result.time)}, ${result.kills} kills\n`
+            );
+        }
+        
+        const summary = summarize(runs);
+        report.characters[characterId] = { summary, runs };
+        log(
+            `${characterId.padEnd(12)} survival ${(summary.survivalRate * 100).toFixed(0).padStart(3)}%` +
+            `  median ${formatTime(summary.survivalTime.median)}  kills ${summary.meanKills}  dps ${summary.meanDps}`
+        );
+    }
+    
+    writeFileSync(outFile, JSON.stringify(report, null, 2));
+    log(`Report written to ${outFile}`);
+}
+
+main();
@@ -0,0 +1,199 @@
+/**
+ * DPS Meter
+ * Optional HUD panel with rolling damage per second (overall and per weapon), incoming
+ * damage per second, and a sparkline of the last 30 seconds
+ */
+
+import { WEAPONS } from '../data/config.js';
+
+const BUCKET_SIZE = 500; // ms of game time per bucket
+const SHORT_WINDOW = 5000;
+const LONG_WINDOW = 30000;
+const REFRESH_INTERVAL = 250; // ms between panel redraws
+const GRAPH_WIDTH = 200;
+const GRAPH_HEIGHT = 40;
+
+export class DpsMeter {
+    constructor(game, visible = false) {
+        this.game = game;
+        this.panel = document.getElementById('dps-meter');
+        this.table = document.getElementById('dps-meter-table');
+        this.canvas = document.getElementById('dps-meter-graph');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        
+        if (this.canvas) {
+            this.canvas.width = GRAPH_WIDTH;
+            this.canvas.height = GRAPH_HEIGHT;
+        }
+        
+        // Damage bucketed by game time, newest last: { dealt, taken, byWeapon }
+        this.buckets = [];
+        this.bucketStart = 0;
+        
+        // One sample of the short-window DPS per bucket, for the sparkline
+        this.history = [];
+        this.refreshTimer = 0;
+        
+        this.setVisible(visible);
+    }
+    
+    /**
+     * Show or hide the panel
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.panel?.classList.toggle('hidden', !visible);
+        if (visible) this.render();
+    }
+    
+    /**
+     * Record damage dealt by a weapon (or an unknown source)
+     */
+    recordDealt(amount, source) {
+        const bucket = this.currentBucket();
+        bucket.dealt += amount;
+        if (source) {
+            bucket.byWeapon[source] = (bucket.byWeapon[source] || 0) + amount;
+        }
+    }
+    
+    /**
+     * Record damage taken by the player
+     */
+    recordTaken(amount) {
+        this.currentBucket().taken += amount;
+    }
+    
+    /**
+     * Bucket for the current game time
+     */
+    currentBucket() {
+        if (this.buckets.length === 0) {
+            this.buckets.push({ dealt: 0, taken: 0, byWeapon: {} });
+        }
+        return this.buckets[this.buckets.length - 1];
+    }
+    
+    /**
+     * Roll buckets forward with game time and redraw now and then
+     */
+    update(dt) {
+        const time = this.game.gameTime;
+        
+        // Skip ahead after a jump in time (continuing a saved run)
+        if (time - this.bucketStart > LONG_WINDOW) {
+            this.bucketStart = time - (time % BUCKET_SIZE);
+        }
+        
+        while (time - this.bucketStart >= BUCKET_SIZE) {
+            // Sample before moving on, while the finished bucket is still the current one
+            this.history.push(this.getRates(SHORT_WINDOW).dealt);
+            this.bucketStart += BUCKET_SIZE;
+            this.buckets.push({ dealt: 0, taken: 0, byWeapon: {} });
+            
+            if (this.buckets.length > LONG_WINDOW / BUCKET_SIZE) this.buckets.shift();
+            if (this.history.length > LONG_WINDOW / BUCKET_SIZE) this.history.shift();
+        }
+        
+        this.refreshTimer -= dt;
+        if (this.visible && this.refreshTimer <= 0) {
+            this.refreshTimer = REFRESH_INTERVAL;
+            this.render();
+        }
+    }
+    
+    /**
+     * Damage per second over the most recent window (shorter early in a run or after continuing one)
+     */
+    getRates(window) {
+        const count = Math.min(this.buckets.length, Math.ceil(window / BUCKET_SIZE));
+        
+        // Only the time the summed buckets cover - the newest one is still filling
+        const current = Math.min(BUCKET_SIZE, this.game.gameTime - this.bucketStart);
+        const covered = count > 0 ? (count - 1) * BUCKET_SIZE + current : 0;
+        const seconds = Math.max(1, covered) / 1000;
+        const rates = { dealt: 0, taken: 0, byWeapon: {} };
+        
+        for (let i = this.buckets.length - count; i < this.buckets.length; i++) {
+            const bucket = this.buckets[i];
+            rates.dealt += bucket.dealt;
+            rates.taken += bucket.taken;
+            for (const [id, amount] of Object.entries(bucket.byWeapon)) {
+                rates.byWeapon[id] = (rates.byWeapon[id] || 0) + amount;
+            }
+        }
+        
+        rates.dealt /= seconds;
+        rates.taken /= seconds;
+        for (const id of Object.keys(rates.byWeapon)) {
+            rates.byWeapon[id] /= seconds;
+        }
+        return rates;
+    }
+    
+    /**
+     * Redraw the numbers and the sparkline
+     */
+    render() {
+        if (!this.table) return;
+        
+        const short = this.getRates(SHORT_WINDOW);
+        const long = this.getRates(LONG_WINDOW);
+        const format = value => Math.round(value).toLocaleString();
+        
+        // Weapons the player holds, busiest first
+        const weapons = this.game.player?.weapons || [];
+        const rows = weapons
+            .map(w => ({ id: w.id, short: short.byWeapon[w.id] || 0, long: long.byWeapon[w.id] || 0 }))
+            .sort((a, b) => b.long - a.long)
+            .map(row => `
+                <tr>
+                    <td>${WEAPONS[row.id]?.icon || '⚔️'} ${WEAPONS[row.id]?.name || row.id}</td>
+                    <td>${format(row.short)}</td>
+                    <td>${format(row.long)}</td>
+                </tr>
+            `).join('');
+        
+        this.table.innerHTML = `
+            <tr><th>DPS</th><th>5s</th><th>30s</th></tr>
+            <tr class="dps-meter-total"><td>Total</td><td>${format(short.dealt)}</td><td>${format(long.dealt)}</td></tr>
+            ${rows}
+            <tr class="dps-meter-taken"><td>Taken</td><td>${format(short.taken)}</td><td>${format(long.taken)}</td></tr>
+        `;
+        
+        this.renderGraph();
+    }
+    
+    /**
+     * Sparkline of the 5-second DPS over the last 30 seconds
+     */
+    renderGraph() {
+        if (!this.ctx) return;
+        
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+        if (this.history.length < 2) return;
+        
+        const peak = Math.max(1, ...this.history);
+        const step = GRAPH_WIDTH / (LONG_WINDOW / BUCKET_SIZE - 1);
+        const offset = GRAPH_WIDTH - (this.history.length - 1) * step;
+        
+        ctx.beginPath();
+        this.history.forEach((value, i) => {
+            const x = offset + i * step;
+            const y = GRAPH_HEIGHT - 2 - (value / peak) * (GRAPH_HEIGHT - 4);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = '#a78bfa';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        
+        // Fill under the line
+        ctx.lineTo(GRAPH_WIDTH, GRAPH_HEIGHT);
+        ctx.lineTo(offset, GRAPH_HEIGHT);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(167, 139, 250, 0.2)';
+        ctx.fill();
+    }
+}
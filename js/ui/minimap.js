@@ -1,6 +1,6 @@
 /**
  * Minimap
- * Displays a scaled-down view of the map with player, portal, and enemies
+ * Displays a scaled-down view of the map with player, portal, merchant, and enemies
  */
 
 export class Minimap {
@@ -15,11 +15,22 @@ export class Minimap {
             this.canvas.height = 150;
         }
         
-        this.scale = 150 / (this.game.mapWidth || 4000);
+        // Fit the longer side of the stage
+        this.scale = 150 / Math.max(this.game.mapWidth, this.game.mapHeight);
+        
+        this.setVisible(this.game.settings.minimap);
+    }
+    
+    /**
+     * Show or hide the minimap (from settings)
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        document.getElementById('minimap-container')?.classList.toggle('hidden', !visible);
     }
     
     update() {
-        if (!this.ctx) return;
+        if (!this.ctx || !this.visible) return;
         
         const ctx = this.ctx;
         const scale = this.scale;
@@ -30,7 +41,7 @@ export class Minimap {
         
         // Draw map border
         ctx.strokeStyle = 'rgba(139, 92, 246, 0.3)';
-        ctx.strokeRect(0, 0, 150, 150);
+        ctx.strokeRect(0, 0, this.game.mapWidth * scale, this.game.mapHeight * scale);
         
         // Draw enemies as small red dots
         const enemies = this.game.enemyManager?.enemies || [];
@@ -98,6 +109,19 @@ export class Minimap {
             ctx.stroke();
         }
         
+        // Draw merchant as gold square
+        if (this.game.merchant) {
+            const merchant = this.game.merchant;
+            const x = merchant.x * scale;
+            const y = merchant.y * scale;
+            
+            ctx.fillStyle = '#fbbf24';
+            ctx.fillRect(x - 3, y - 3, 6, 6);
+            ctx.strokeStyle = 'rgba(251, 191, 36, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x - 5, y - 5, 10, 10);
+        }
+        
         // Draw player as green dot
         if (this.game.player) {
             const player = this.game.player;
@@ -4,16 +4,98 @@
  */
 
 import { GameState } from '../engine/game.js';
+import { ReplayPlayer } from '../engine/replay.js';
 import { SaveManager } from '../meta/saveManager.js';
-import { CHARACTERS, WEAPONS, PASSIVES, POWERUPS } from '../data/config.js';
+import { AssetLoader } from '../engine/assets.js';
+import { GAME_CONFIG, CHARACTERS, WEAPONS, PASSIVES, POWERUPS, EVOLUTIONS, ENEMIES, MINI_BOSSES, BOSSES, ELEMENTS, STAGES, DEFAULT_STAGE, INPUT_ACTIONS, CONTROL_SCHEMES, CHEST_TIERS } from '../data/config.js';
+
+// Column headers for the per-weapon stats tables
+const WEAPON_TABLE_LABELS = {
+    damage: 'Damage',
+    dps: 'DPS',
+    share: 'Share',
+    kills: 'Kills',
+    hits: 'Hits',
+    timeHeld: 'Held',
+    runs: 'Runs',
+    bestDamage: 'Best',
+};
+
+// Columns shown for a single run, and for the lifetime records
+const RUN_WEAPON_COLUMNS = ['damage', 'dps', 'share', 'kills', 'hits', 'timeHeld'];
+const LIFETIME_WEAPON_COLUMNS = ['damage', 'kills', 'hits', 'timeHeld', 'runs', 'bestDamage'];
+
+// Settings screen layout - each control edits one SaveManager setting
+const SETTINGS_GROUPS = [
+    {
+        title: '🔊 Audio',
+        controls: [
+            { key: 'masterVolume', label: 'Master Volume', type: 'range' },
+            { key: 'sfxVolume', label: 'Effects Volume', type: 'range' },
+            { key: 'musicVolume', label: 'Music Volume', type: 'range' },
+            { key: 'uiVolume', label: 'Interface Volume', type: 'range' },
+        ],
+    },
+    {
+        title: '🖥️ Video',
+        controls: [
+            { key: 'particleDensity', label: 'Particles', type: 'select', options: [[1, 'High'], [0.5, 'Medium'], [0.25, 'Low']] },
+            { key: 'fpsCounter', label: 'FPS Counter', type: 'toggle' },
+        ],
+    },
+    {
+        title: '🎮 Gameplay',
+        controls: [
+            { key: 'damageNumbers', label: 'Damage Numbers', type: 'toggle' },
+            { key: 'minimap', label: 'Minimap', type: 'toggle' },
+            { key: 'dpsMeter', label: 'DPS Meter', type: 'toggle' },
+            { key: 'gamepadDeadzone', label: 'Stick Deadzone', type: 'range', max: 0.5 },
+        ],
+    },
+    {
+        title: '♿ Accessibility',
+        controls: [
+            { key: 'screenShake', label: 'Screen Shake', type: 'range' },
+        ],
+    },
+];
+
+// ms between chest rewards being revealed
+const CHEST_REVEAL_INTERVAL = 450;
+
+// What a controller can move focus between on a menu screen
+const GAMEPAD_FOCUSABLE = [
+    'button:not(:disabled)',
+    'select',
+    'input[type="range"]',
+    '.character-card:not(.locked)',
+    '.stage-card:not(.locked)',
+    '.shop-item:not(.maxed)',
+    '.upgrade-card',
+    '.chest-reward.revealed',
+].join(', ');
 
 class UIClass {
     constructor() {
         this.game = null;
         this.selectedCharacter = 'antonio';
+        this.selectedStage = DEFAULT_STAGE;
         
         // Cache DOM elements
         this.elements = {};
+        
+        // FPS counter sampling
+        this.fpsFrames = 0;
+        this.fpsSince = 0;
+        
+        // Key binding slot waiting for a key press ({ action, slot }), if any
+        this.rebinding = null;
+        
+        // Element highlighted for controller navigation
+        this.gamepadFocus = null;
+        
+        // Whether the next level-up card clicked gets banished
+        this.banishing = false;
     }
     
     /**
@@ -25,13 +107,19 @@ class UIClass {
         this.cacheElements();
         this.setupEventListeners();
         this.updateCoinDisplays();
+        this.applySettings();
         
         // Set game callbacks
         game.onStateChange = (state, prev) => this.handleStateChange(state, prev);
-        game.onLevelUp = (level) => this.showLevelUp(level);
+        game.onLevelUp = (level, options) => this.showLevelUp(level, options);
         game.onPlayerDeath = (stats) => this.showGameOver(stats);
         game.onVictory = (stats) => this.showVictory(stats);
-        game.onChestOpen = (contents) => this.showChest(contents);
+        game.onChestOpen = (chest) => this.showChest(chest);
+        game.onShopOpen = (stock) => this.showMerchant(stock);
+        game.onReplayEnd = () => {
+            game.quitToMenu();
+            this.showMainMenu();
+        };
     }
     
     /**
@@ -41,12 +129,16 @@ class UIClass {
         const ids = [
             'hud', 'health-fill', 'health-text', 'xp-fill', 'level-text',
             'timer', 'kill-count', 'coin-count', 'weapon-slots', 'passive-slots',
+            'ability-dash', 'ability-ultimate', 'btn-reroll', 'btn-skip', 'btn-banish',
             'main-menu', 'total-coins', 'character-select', 'character-list',
+            'stage-select', 'stage-list', 'stage-hero',
             'shop-screen', 'shop-list', 'shop-coins', 'stats-screen', 'stats-list',
             'level-up-screen', 'current-level', 'upgrade-choices',
             'pause-screen', 'gameover-screen', 'gameover-title', 'gameover-stats',
             'victory-screen', 'victory-stats', 'chest-screen', 'chest-contents',
-            'codex-screen', 'codex-list',
+            'merchant-screen', 'merchant-list', 'merchant-coins',
+            'codex-screen', 'codex-list', 'replay-status', 'replay-file',
+            'settings-screen', 'settings-list', 'fps-counter', 'gamepad-prompts',
             'item-tooltip', 'tooltip-icon', 'tooltip-name', 'tooltip-level',
             'tooltip-rarity', 'tooltip-description', 'tooltip-stats',
         ];
@@ -61,9 +153,14 @@ class UIClass {
      */
     setupEventListeners() {
         // Main menu buttons
+        document.getElementById('btn-continue')?.addEventListener('click', () => {
+            this.game.soundManager?.play('uiSelect');
+            this.continueRun();
+        });
+        
         document.getElementById('btn-play')?.addEventListener('click', () => {
             this.game.soundManager?.play('uiSelect');
-            this.startGame();
+            this.showStageSelect();
         });
         
         document.getElementById('btn-characters')?.addEventListener('click', () => {
@@ -83,6 +180,20 @@ class UIClass {
             this.showMainMenu();
         });
         
+        document.getElementById('btn-char-next')?.addEventListener('click', () => {
+            this.showStageSelect();
+        });
+        
+        // Stage select
+        document.getElementById('btn-stage-start')?.addEventListener('click', () => {
+            this.game.soundManager?.play('uiSelect');
+            this.startGame();
+        });
+        
+        document.getElementById('btn-back-stage')?.addEventListener('click', () => {
+            this.showCharacterSelect();
+        });
+        
         document.getElementById('btn-back-shop')?.addEventListener('click', () => {
             this.showMainMenu();
         });
@@ -91,6 +202,21 @@ class UIClass {
             this.showMainMenu();
         });
         
+        // Replays
+        document.getElementById('btn-export-replay')?.addEventListener('click', () => {
+            this.exportReplay();
+        });
+        
+        document.getElementById('btn-import-replay')?.addEventListener('click', () => {
+            this.elements['replay-file']?.click();
+        });
+        
+        this.elements['replay-file']?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow loading the same file twice
+            if (file) this.importReplay(file);
+        });
+        
         // Codex
         document.getElementById('btn-codex')?.addEventListener('click', () => {
             this.showCodex();
@@ -100,11 +226,57 @@ class UIClass {
             this.showMainMenu();
         });
         
+        // Settings (from the main menu or the pause menu)
+        document.getElementById('btn-settings')?.addEventListener('click', () => {
+            this.showSettings();
+        });
+        
+        document.getElementById('btn-pause-settings')?.addEventListener('click', () => {
+            this.showSettings();
+        });
+        
+        document.getElementById('btn-back-settings')?.addEventListener('click', () => {
+            this.closeSettings();
+        });
+        
+        this.elements['settings-list']?.addEventListener('input', (e) => {
+            const key = e.target.dataset.setting;
+            if (key) this.changeSetting(key, parseFloat(e.target.value));
+            if (e.target.dataset.scheme !== undefined) this.changeControlScheme(e.target.value);
+        });
+        
+        this.elements['settings-list']?.addEventListener('click', (e) => {
+            const key = e.target.dataset.toggle;
+            if (key) this.changeSetting(key, !SaveManager.getSetting(key));
+            
+            const bind = e.target.dataset.bindAction;
+            if (bind) this.startRebind(bind, parseInt(e.target.dataset.bindSlot, 10));
+            
+            if (e.target.dataset.resetControls !== undefined) this.resetControls();
+        });
+        
+        // Rebinding takes the next key press before anything else sees it
+        window.addEventListener('keydown', (e) => {
+            if (!this.rebinding) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.finishRebind(e.code === 'Delete' ? null : e.code);
+        }, true);
+        
         // Pause menu
         document.getElementById('btn-resume')?.addEventListener('click', () => {
             this.game?.resume();
         });
         
+        document.getElementById('btn-dps-meter')?.addEventListener('click', () => {
+            this.toggleDpsMeter();
+        });
+        
+        document.getElementById('btn-save-quit')?.addEventListener('click', () => {
+            this.game?.saveAndQuit();
+            this.showMainMenu();
+        });
+        
         document.getElementById('btn-quit')?.addEventListener('click', () => {
             this.game?.quitToMenu();
             this.showMainMenu();
@@ -124,10 +296,20 @@ class UIClass {
             this.showMainMenu();
         });
         
+        // Level-up charges
+        this.elements['btn-reroll']?.addEventListener('click', () => this.rerollUpgrades());
+        this.elements['btn-skip']?.addEventListener('click', () => this.skipUpgrade());
+        this.elements['btn-banish']?.addEventListener('click', () => this.toggleBanish());
+        
         // Chest
         document.getElementById('btn-chest-close')?.addEventListener('click', () => {
             this.game?.closeChest();
         });
+        
+        // Merchant
+        document.getElementById('btn-merchant-leave')?.addEventListener('click', () => {
+            this.game?.closeShop();
+        });
 
         // Add hover sounds to all menu buttons
         document.querySelectorAll('.menu-btn').forEach(btn => {
@@ -136,18 +318,172 @@ class UIClass {
             });
         });
         
-        // Keyboard shortcuts
+        // Keyboard shortcuts (through the player's key bindings)
         window.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.handleEscape();
+            if (e.repeat || !this.game) return;
+            const actions = this.game.input.getActions?.(e.code) || [];
+            if (actions.length > 0) {
+                this.handleKeyActions(actions);
             }
         });
+        
+        // Gamepad: menu navigation, plus button prompts while one is plugged in
+        const input = this.game.input;
+        input.onGamepadButton = (button) => this.handleGamepadButton(button);
+        input.onGamepadChange = (connected) => this.updateGamepadPrompts(connected);
+        this.updateGamepadPrompts(input.isGamepadConnected?.() ?? false);
+        
+        // Save the run when the tab is hidden or closed, so it can be continued
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.game) {
+                this.game.pause();
+                this.game.saveRun();
+            }
+        });
+    }
+    
+    /**
+     * Run bound key actions: confirm/cancel act on the open screen, pause toggles the run
+     */
+    handleKeyActions(actions) {
+        const screen = document.querySelector('.menu-screen:not(.hidden), .overlay-screen:not(.hidden)');
+        
+        if (screen && actions.includes('cancel')) {
+            const back = screen.querySelector('.back-btn');
+            if (back) {
+                back.click();
+                return;
+            }
+        }
+        
+        // Focused buttons and fields already handle their own keys
+        const focused = document.activeElement?.matches('button, input, select');
+        if (screen && actions.includes('confirm') && !focused) {
+            // Not while it sits in a hidden group (the chest's, before its rewards are out)
+            const primary = screen.querySelector('.menu-btn.primary:not(.hidden)');
+            if (primary && primary.offsetParent !== null) {
+                primary.click();
+                return;
+            }
+        }
+        
+        if (actions.includes('pause')) {
+            this.togglePause();
+        }
+    }
+    
+    /**
+     * Run a gamepad button: the D-pad/stick moves focus, A picks, B backs out, Start pauses
+     */
+    handleGamepadButton(button) {
+        if (this.rebinding) return;
+        
+        const screen = this.getActiveScreen();
+        if (button === 'start') {
+            if (!screen || screen.id === 'pause-screen') this.togglePause();
+            return;
+        }
+        if (!screen) return;
+        
+        if (button === 'b') {
+            this.handleKeyActions(['cancel']);
+            return;
+        }
+        
+        const items = [...screen.querySelectorAll(GAMEPAD_FOCUSABLE)].filter(el => el.offsetParent !== null);
+        const index = items.indexOf(this.gamepadFocus);
+        
+        if (button === 'a') {
+            if (index >= 0) {
+                items[index].click();
+            } else {
+                this.handleKeyActions(['confirm']);
+            }
+            return;
+        }
+        
+        const step = { up: -1, left: -1, down: 1, right: 1 }[button];
+        if (!step || items.length === 0) return;
+        
+        // Left/right adjust a focused slider or dropdown instead of moving on
+        const focused = items[index];
+        if (focused && (button === 'left' || button === 'right') && focused.matches('select, input')) {
+            this.stepControl(focused, step);
+            return;
+        }
+        
+        const next = index < 0 ? (step > 0 ? 0 : items.length - 1) : (index + step + items.length) % items.length;
+        this.setGamepadFocus(items[next]);
+    }
+    
+    /**
+     * Topmost open screen (the luck wheel sits above everything)
+     */
+    getActiveScreen() {
+        const wheel = document.getElementById('luck-wheel-overlay');
+        if (wheel) return wheel;
+        
+        // Skip screens still fading out; later screens in the page draw on top
+        const screens = [...document.querySelectorAll('.menu-screen:not(.hidden), .overlay-screen:not(.hidden)')];
+        return screens.filter(s => s.style.opacity !== '0').pop() || null;
     }
     
     /**
-     * Handle escape key
+     * Move the controller highlight to an element (or clear it)
      */
-    handleEscape() {
+    setGamepadFocus(element) {
+        this.gamepadFocus?.classList.remove('gamepad-focus');
+        this.gamepadFocus = element;
+        if (!element) return;
+        
+        element.classList.add('gamepad-focus');
+        element.scrollIntoView({ block: 'nearest' });
+        this.game?.soundManager?.play('uiHover');
+    }
+    
+    /**
+     * Nudge a slider or dropdown one step with the D-pad
+     */
+    stepControl(control, step) {
+        if (control.tagName === 'SELECT') {
+            const next = control.selectedIndex + step;
+            if (next < 0 || next >= control.options.length) return;
+            control.selectedIndex = next;
+        } else {
+            const value = parseFloat(control.value) + step * parseFloat(control.step || 1);
+            control.value = Math.max(parseFloat(control.min), Math.min(parseFloat(control.max), value));
+        }
+        control.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    /**
+     * Show controller prompts while a gamepad is plugged in
+     */
+    updateGamepadPrompts(connected) {
+        const input = this.game?.input;
+        const prompts = this.elements['gamepad-prompts'];
+        document.body.classList.toggle('gamepad-active', connected);
+        
+        if (prompts) {
+            prompts.classList.toggle('hidden', !connected);
+            if (connected) {
+                const glyph = button => `<span class="gamepad-glyph">${input.getButtonGlyph(button)}</span>`;
+                prompts.innerHTML = `${glyph('a')} Select ${glyph('b')} Back ${glyph('start')} Pause`;
+            }
+        }
+        
+        if (!connected) this.setGamepadFocus(null);
+        
+        // Refresh the controller hint in the controls settings
+        if (!this.elements['settings-screen']?.classList.contains('hidden')) {
+            this.renderSettings();
+        }
+    }
+    
+    /**
+     * Pause or resume the run
+     */
+    togglePause() {
         if (!this.game) return;
         
         if (this.game.state === GameState.PLAYING) {
@@ -167,10 +503,12 @@ class UIClass {
         switch (state) {
             case GameState.MENU:
                 this.elements['hud']?.classList.add('hidden');
+                this.hideGameOverlays();
                 break;
                 
             case GameState.PLAYING:
                 this.elements['hud']?.classList.remove('hidden');
+                document.getElementById('replay-indicator')?.classList.toggle('hidden', !this.game.replayPlayer);
                 this.startHudUpdate();
                 break;
                 
@@ -184,12 +522,18 @@ class UIClass {
                 // Handled by showLevelUp
                 break;
                 
+            case GameState.SHOP:
+                // Handled by showMerchant
+                break;
+            
             case GameState.GAME_OVER:
                 // Handled by showGameOver
+                this.hideGameOverlays();
                 break;
                 
             case GameState.VICTORY:
                 // Handled by showVictory
+                this.hideGameOverlays();
                 break;
         }
     }
@@ -217,6 +561,9 @@ class UIClass {
         this.toggleScreen(this.elements['main-menu'], true);
         this.elements['hud']?.classList.add('hidden');
         this.updateCoinDisplays();
+        
+        // Offer to continue a saved run
+        document.getElementById('btn-continue')?.classList.toggle('hidden', !this.game?.getSavedRun());
     }
     
     /**
@@ -249,6 +596,7 @@ class UIClass {
                 <div class="character-name">${char.name}</div>
                 <div class="character-weapon">🗡️ ${WEAPONS[char.startingWeapon]?.name || 'Unknown'}</div>
                 <div class="character-bonus">${char.bonusText}</div>
+                ${char.ultimate ? `<div class="character-ultimate">${char.ultimate.icon} ${char.ultimate.name}</div>` : ''}
                 ${!isUnlocked ? `<div class="character-unlock">🔒 ${char.unlockText}</div>` : ''}
             `;
             
@@ -263,6 +611,62 @@ class UIClass {
         }
     }
     
+    /**
+     * Show stage select
+     */
+    showStageSelect() {
+        this.hideAllOverlays();
+        this.toggleScreen(this.elements['stage-select'], true);
+        
+        // Fall back to the first stage if the remembered one isn't playable
+        if (!SaveManager.isStageUnlocked(this.selectedStage)) {
+            this.selectedStage = DEFAULT_STAGE;
+        }
+        
+        const char = CHARACTERS[this.selectedCharacter];
+        if (this.elements['stage-hero'] && char) {
+            this.elements['stage-hero'].textContent = `${char.sprite} ${char.name}`;
+        }
+        
+        this.renderStageList();
+    }
+    
+    /**
+     * Render stage list
+     */
+    renderStageList() {
+        const container = this.elements['stage-list'];
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        for (const [id, stage] of Object.entries(STAGES)) {
+            const isUnlocked = SaveManager.isStageUnlocked(id);
+            const isSelected = this.selectedStage === id;
+            const isCleared = SaveManager.isStageCleared(id);
+            
+            const card = document.createElement('div');
+            card.className = `stage-card ${isUnlocked ? '' : 'locked'} ${isSelected ? 'selected' : ''}`;
+            
+            card.innerHTML = `
+                <div class="stage-icon">${stage.icon}</div>
+                <div class="stage-name">${stage.name}${isCleared ? ' ✅' : ''}</div>
+                <div class="stage-description">${stage.description}</div>
+                <div class="stage-boss">${BOSSES[stage.boss]?.emoji || '💀'} ${BOSSES[stage.boss]?.name || 'Unknown'}</div>
+                ${!isUnlocked ? `<div class="stage-unlock">🔒 ${stage.unlockText}</div>` : ''}
+            `;
+            
+            if (isUnlocked) {
+                card.addEventListener('click', () => {
+                    this.selectedStage = id;
+                    this.renderStageList();
+                });
+            }
+            
+            container.appendChild(card);
+        }
+    }
+    
     /**
      * Show shop
      */
@@ -319,6 +723,66 @@ class UIClass {
         this.hideAllOverlays();
         this.toggleScreen(this.elements['stats-screen'], true);
         this.renderStats();
+        this.setReplayStatus('');
+    }
+    
+    /**
+     * Download the last run's replay as JSON
+     */
+    exportReplay() {
+        const replay = SaveManager.getLastReplay();
+        if (!replay) {
+            this.setReplayStatus('No replay recorded yet - finish a run first.', true);
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `arcane-survivors-replay-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.setReplayStatus('Replay exported.');
+    }
+    
+    /**
+     * Load a replay file and start playback
+     */
+    importReplay(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let replay;
+            try {
+                replay = JSON.parse(reader.result);
+            } catch (e) {
+                this.setReplayStatus('Could not read replay: invalid JSON.', true);
+                return;
+            }
+            
+            const error = ReplayPlayer.validate(replay);
+            if (error) {
+                this.setReplayStatus(error, true);
+                return;
+            }
+            
+            this.hideAllOverlays();
+            this.game?.startReplay(replay);
+        };
+        reader.onerror = () => this.setReplayStatus('Could not read replay file.', true);
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Show a message under the replay buttons
+     */
+    setReplayStatus(message, isError = false) {
+        const status = this.elements['replay-status'];
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('error', isError);
     }
     
     /**
@@ -363,7 +827,288 @@ class UIClass {
                 <span class="stat-label">Total Play Time</span>
                 <span class="stat-value">${this.formatTime(stats.totalPlayTime)}</span>
             </div>
+            <div class="weapon-table-title">Weapon Records</div>
+            <div class="weapon-breakdown"></div>
+        `;
+        
+        const records = Object.entries(SaveManager.getWeaponRecords()).map(([id, record]) => ({
+            id: id,
+            name: WEAPONS[id]?.name || id,
+            icon: WEAPONS[id]?.icon || '⚔️',
+            ...record,
+        }));
+        this.renderWeaponTable(container.querySelector('.weapon-breakdown'), records, LIFETIME_WEAPON_COLUMNS);
+    }
+    
+    /**
+     * Per-weapon stats table - clicking a column header sorts by it (highest first)
+     */
+    renderWeaponTable(container, rows, columns, sortKey = columns[0]) {
+        if (!container) return;
+        
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="weapon-table-empty">No weapon damage yet</div>';
+            return;
+        }
+        
+        const sorted = [...rows].sort((a, b) => b[sortKey] - a[sortKey]);
+        const headers = columns.map(key => `
+            <th data-sort="${key}" class="${key === sortKey ? 'sorted' : ''}">${WEAPON_TABLE_LABELS[key]}</th>
+        `).join('');
+        const body = sorted.map(row => `
+            <tr>
+                <td class="weapon-table-name">${row.icon} ${row.name}</td>
+                ${columns.map(key => `<td>${this.formatWeaponStat(key, row[key])}</td>`).join('')}
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="weapon-table">
+                <thead><tr><th>Weapon</th>${headers}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
         `;
+        
+        for (const th of container.querySelectorAll('th[data-sort]')) {
+            th.addEventListener('click', () => {
+                this.renderWeaponTable(container, rows, columns, th.dataset.sort);
+            });
+        }
+    }
+    
+    /**
+     * Format one weapon table cell
+     */
+    formatWeaponStat(key, value) {
+        if (key === 'dps') return value.toFixed(1);
+        if (key === 'share') return `${Math.round(value * 100)}%`;
+        if (key === 'timeHeld') return this.formatTime(value);
+        return Math.round(value).toLocaleString();
+    }
+    
+    /**
+     * Show settings
+     */
+    showSettings() {
+        this.rebinding = null;
+        this.hideAllOverlays();
+        this.toggleScreen(this.elements['settings-screen'], true);
+        this.renderSettings();
+    }
+    
+    /**
+     * Leave settings - back to the pause menu mid-run, otherwise the main menu
+     */
+    closeSettings() {
+        this.rebinding = null;
+        if (this.game?.state === GameState.PAUSED) {
+            this.hideAllOverlays();
+            this.toggleScreen(this.elements['pause-screen'], true);
+            this.showPauseMenu();
+        } else {
+            this.showMainMenu();
+        }
+    }
+    
+    /**
+     * Render settings controls
+     */
+    renderSettings() {
+        const container = this.elements['settings-list'];
+        if (!container) return;
+        
+        const settings = SaveManager.getSettings();
+        container.innerHTML = SETTINGS_GROUPS.map(group => `
+            <div class="settings-group">
+                <div class="settings-group-title">${group.title}</div>
+                ${group.controls.map(control => `
+                    <label class="settings-row">
+                        <span class="settings-label">${control.label}</span>
+                        ${this.renderSettingControl(control, settings[control.key])}
+                    </label>
+                `).join('')}
+            </div>
+        `).join('') + this.renderControls();
+    }
+    
+    /**
+     * Key binding section of the settings screen
+     */
+    renderControls() {
+        const input = this.game?.input;
+        const bindings = SaveManager.getKeybindings();
+        const conflicts = this.getKeyConflicts(bindings);
+        const scheme = SaveManager.getControlScheme();
+        const label = code => input?.getKeyLabel?.(code) ?? code ?? '—';
+        
+        const schemes = Object.values(CONTROL_SCHEMES).map(s =>
+            `<option value="${s.id}" ${s.id === scheme ? 'selected' : ''}>${s.name}</option>`
+        ).join('');
+        
+        const rows = Object.values(INPUT_ACTIONS).map(action => {
+            const slots = [0, 1].map(slot => {
+                const code = bindings[action.id][slot];
+                const waiting = this.rebinding?.action === action.id && this.rebinding.slot === slot;
+                const conflict = conflicts.has(`${action.context}:${code}`);
+                const classes = ['key-bind', waiting ? 'waiting' : '', conflict ? 'conflict' : ''].join(' ');
+                return `
+                    <button type="button" class="${classes}" data-bind-action="${action.id}" data-bind-slot="${slot}">
+                        ${waiting ? 'Press a key…' : label(code)}
+                    </button>
+                `;
+            }).join('');
+            return `
+                <div class="settings-row">
+                    <span class="settings-label">${action.name}</span>
+                    ${slots}
+                </div>
+            `;
+        }).join('');
+        
+        // Controller buttons aren't rebindable, so just list them
+        const glyph = button => `<span class="gamepad-glyph">${input.getButtonGlyph(button)}</span>`;
+        const gamepadHint = input?.isGamepadConnected?.()
+            ? `<div class="settings-hint">🎮 Controller: stick or D-pad to move, ${glyph('x')} dash, ${glyph('y')} ultimate, ${glyph('a')} confirm, ${glyph('b')} back, ${glyph('start')} pause</div>`
+            : '';
+        
+        const warnings = [...conflicts.values()].map(({ code, actions }) =>
+            `<div class="key-conflict">${label(code)} is bound to ${actions.map(id => INPUT_ACTIONS[id].name).join(' and ')}</div>`
+        ).join('');
+        
+        return `
+            <div class="settings-group">
+                <div class="settings-group-title">⌨️ Controls</div>
+                <label class="settings-row">
+                    <span class="settings-label">Scheme</span>
+                    <select data-scheme>${schemes}</select>
+                </label>
+                ${rows}
+                ${warnings}
+                <div class="settings-hint">Click a key to rebind it, then press the new key (Delete clears it)</div>
+                ${gamepadHint}
+                <button type="button" class="menu-btn" data-reset-controls>↺ RESET CONTROLS</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Keys bound to more than one action that can fire at the same time
+     * @returns Map of 'context:code' -> { code, actions }
+     */
+    getKeyConflicts(bindings) {
+        const byKey = new Map();
+        for (const [action, codes] of Object.entries(bindings)) {
+            for (const code of new Set(codes)) {
+                if (!code) continue;
+                const key = `${INPUT_ACTIONS[action].context}:${code}`;
+                if (!byKey.has(key)) byKey.set(key, { code, actions: [] });
+                byKey.get(key).actions.push(action);
+            }
+        }
+        
+        for (const [key, entry] of byKey) {
+            if (entry.actions.length < 2) byKey.delete(key);
+        }
+        return byKey;
+    }
+    
+    /**
+     * Wait for a key press to bind to an action slot
+     */
+    startRebind(action, slot) {
+        this.rebinding = { action, slot };
+        this.renderSettings();
+    }
+    
+    /**
+     * Bind the pressed key (null clears the slot)
+     */
+    finishRebind(code) {
+        const { action, slot } = this.rebinding;
+        this.rebinding = null;
+        SaveManager.setKeybinding(action, slot, code);
+        this.applyKeybindings();
+    }
+    
+    /**
+     * Switch to another control scheme
+     */
+    changeControlScheme(schemeId) {
+        SaveManager.setControlScheme(schemeId);
+        this.applyKeybindings();
+    }
+    
+    /**
+     * Restore the default controls
+     */
+    resetControls() {
+        SaveManager.resetControls();
+        this.applyKeybindings();
+    }
+    
+    /**
+     * Hand saved key bindings to the input handler and refresh the settings screen
+     */
+    applyKeybindings() {
+        this.game?.input.setBindings?.(SaveManager.getKeybindings());
+        this.renderSettings();
+    }
+    
+    /**
+     * Input for one setting
+     */
+    renderSettingControl(control, value) {
+        if (control.type === 'range') {
+            return `
+                <input type="range" min="0" max="${control.max ?? 1}" step="0.05" value="${value}" data-setting="${control.key}">
+                <span class="settings-value">${Math.round(value * 100)}%</span>
+            `;
+        }
+        if (control.type === 'select') {
+            const options = control.options.map(([optionValue, name]) =>
+                `<option value="${optionValue}" ${optionValue === value ? 'selected' : ''}>${name}</option>`
+            ).join('');
+            return `<select data-setting="${control.key}">${options}</select>`;
+        }
+        return `<button type="button" class="settings-toggle ${value ? 'on' : ''}" data-toggle="${control.key}">${value ? 'ON' : 'OFF'}</button>`;
+    }
+    
+    /**
+     * Save one setting, apply it, and refresh its control
+     */
+    changeSetting(key, value) {
+        SaveManager.setSetting(key, value);
+        this.applySettings();
+        
+        const settingsList = this.elements['settings-list'];
+        const control = settingsList?.querySelector(`[data-setting="${key}"], [data-toggle="${key}"]`);
+        if (!control) return;
+        
+        if (control.type === 'range') {
+            control.nextElementSibling.textContent = `${Math.round(value * 100)}%`;
+        } else if (control.dataset.toggle) {
+            control.classList.toggle('on', value);
+            control.textContent = value ? 'ON' : 'OFF';
+        }
+    }
+    
+    /**
+     * Push saved settings to the sound manager, the game and the HUD
+     */
+    applySettings() {
+        const settings = SaveManager.getSettings();
+        
+        const sound = this.game?.soundManager;
+        if (sound) {
+            sound.setMasterVolume(settings.masterVolume);
+            sound.setSFXVolume(settings.sfxVolume);
+            sound.setMusicVolume(settings.musicVolume);
+            sound.setUIVolume(settings.uiVolume);
+        }
+        
+        this.game?.applySettings(settings);
+        this.elements['fps-counter']?.classList.toggle('hidden', !settings.fpsCounter);
+        this.updateDpsMeterButton();
     }
     
     /**
@@ -384,6 +1129,7 @@ class UIClass {
         
         const discoveredWeapons = SaveManager.getDiscoveredWeapons();
         const discoveredPassives = SaveManager.getDiscoveredPassives();
+        const discoveredEvolutions = SaveManager.getDiscoveredEvolutions();
         
         // Rarity colors and order
         const RARITY_COLORS = {
@@ -404,8 +1150,8 @@ class UIClass {
         weaponHeader.innerHTML = '<span>⚔️ Weapons</span>';
         container.appendChild(weaponHeader);
         
-        // Sort weapons by rarity
-        const sortedWeapons = Object.entries(WEAPONS).sort((a, b) => {
+        // Sort weapons by rarity (evolutions get their own section)
+        const sortedWeapons = Object.entries(WEAPONS).filter(([, w]) => !w.evolution).sort((a, b) => {
             const rarityA = a[1].rarity || 'COMMON';
             const rarityB = b[1].rarity || 'COMMON';
             return RARITY_ORDER.indexOf(rarityA) - RARITY_ORDER.indexOf(rarityB);
@@ -426,6 +1172,7 @@ class UIClass {
                     <div class="codex-icon">${weapon.icon}</div>
                     <div class="codex-name">${weapon.name}</div>
                     <div class="codex-rarity" style="color: ${rarityColor}">${rarityName}</div>
+                    ${this.renderElementTag(weapon.element)}
                     <div class="codex-desc">${weapon.description}</div>
                 `;
             } else {
@@ -468,6 +1215,173 @@ class UIClass {
             
             container.appendChild(item);
         }
+        
+        // Evolutions section header
+        const evolutionHeader = document.createElement('div');
+        evolutionHeader.className = 'codex-section-header';
+        evolutionHeader.innerHTML = '<span>🌟 Evolutions</span>';
+        container.appendChild(evolutionHeader);
+        
+        for (const [id, recipe] of Object.entries(EVOLUTIONS)) {
+            const isDiscovered = discoveredEvolutions.includes(id);
+            const weapon = WEAPONS[id];
+            const base = WEAPONS[recipe.weapon];
+            const passive = PASSIVES[recipe.passive];
+            
+            const item = document.createElement('div');
+            item.className = `codex-item evolution ${isDiscovered ? '' : 'locked'}`;
+            
+            // Recipe ingredients are only revealed once both are discovered
+            const knowsRecipe = discoveredWeapons.includes(recipe.weapon) &&
+                discoveredPassives.includes(recipe.passive);
+            const recipeText = knowsRecipe
+                ? `${base.icon} ${base.name} Lv ${base.maxLevel} + ${passive.icon} ${passive.name}`
+                : '❓ + ❓';
+            
+            if (isDiscovered) {
+                item.innerHTML = `
+                    <div class="codex-icon">${weapon.icon}</div>
+                    <div class="codex-name">${weapon.name}</div>
+                    <div class="codex-recipe">${recipeText}</div>
+                    ${this.renderElementTag(weapon.element)}
+                    <div class="codex-desc">${weapon.description}</div>
+                `;
+            } else {
+                item.innerHTML = `
+                    <div class="codex-icon">❓</div>
+                    <div class="codex-name">???</div>
+                    <div class="codex-recipe">${recipeText}</div>
+                    <div class="codex-locked-text">Evolve in-game to unlock</div>
+                `;
+            }
+            
+            container.appendChild(item);
+        }
+        
+        this.renderAbilities(container);
+        this.renderBestiary(container);
+    }
+    
+    /**
+     * Render the dash and every character's ultimate (revealed once the character is unlocked)
+     */
+    renderAbilities(container) {
+        const header = document.createElement('div');
+        header.className = 'codex-section-header';
+        header.innerHTML = '<span>💫 Abilities</span>';
+        container.appendChild(header);
+        
+        const config = GAME_CONFIG.player;
+        const dash = document.createElement('div');
+        dash.className = 'codex-item';
+        dash.innerHTML = `
+            <div class="codex-icon">💨</div>
+            <div class="codex-name">Dash</div>
+            <div class="codex-recipe">Every character · ${config.dashCooldown / 1000}s cooldown</div>
+            <div class="codex-desc">A quick burst of speed that can't be hit for ${config.dashInvincibility} ms</div>
+        `;
+        container.appendChild(dash);
+        
+        for (const [id, char] of Object.entries(CHARACTERS)) {
+            if (!char.ultimate) continue;
+            const isUnlocked = SaveManager.isCharacterUnlocked(id);
+            
+            const item = document.createElement('div');
+            item.className = `codex-item ${isUnlocked ? '' : 'locked'}`;
+            
+            if (isUnlocked) {
+                item.innerHTML = `
+                    <div class="codex-icon">${char.ultimate.icon}</div>
+                    <div class="codex-name">${char.ultimate.name}</div>
+                    <div class="codex-recipe">${char.sprite} ${char.name} · ${char.ultimate.charge} kills to charge</div>
+                    ${this.renderElementTag(char.ultimate.element)}
+                    <div class="codex-desc">${char.ultimate.description}</div>
+                `;
+            } else {
+                item.innerHTML = `
+                    <div class="codex-icon">❓</div>
+                    <div class="codex-name">???</div>
+                    <div class="codex-recipe">${char.sprite} ${char.name}</div>
+                    <div class="codex-locked-text">Unlock ${char.name} to reveal</div>
+                `;
+            }
+            
+            container.appendChild(item);
+        }
+    }
+    
+    /**
+     * Render the bestiary: every enemy in a stage roster, with where it shows up and its resistances
+     */
+    renderBestiary(container) {
+        const header = document.createElement('div');
+        header.className = 'codex-section-header';
+        header.innerHTML = '<span>👾 Bestiary</span>';
+        container.appendChild(header);
+        
+        // Which stages each enemy appears in
+        const stagesOf = {};
+        const addTo = (id, stage) => {
+            stagesOf[id] = stagesOf[id] || [];
+            if (!stagesOf[id].includes(stage)) stagesOf[id].push(stage);
+        };
+        for (const stage of Object.values(STAGES)) {
+            for (const wave of stage.waves) {
+                for (const id of Object.keys(wave.enemies)) addTo(id, stage);
+            }
+            for (const event of stage.events) addTo(event.enemy, stage);
+            for (const id of stage.miniBosses) addTo(id, stage);
+            addTo(stage.boss, stage);
+        }
+        
+        const entries = [
+            ...Object.values(ENEMIES).filter(enemy => stagesOf[enemy.id]),
+            ...Object.values(MINI_BOSSES),
+            ...Object.values(BOSSES),
+        ];
+        
+        for (const enemy of entries) {
+            const sprite = enemy.sprite ? AssetLoader.getImage(enemy.sprite) : null;
+            const icon = sprite
+                ? `<img class="codex-sprite" src="${sprite.toDataURL()}" alt="">`
+                : enemy.emoji;
+            const stages = (stagesOf[enemy.id] || []).map(stage => stage.icon).join(' ');
+            
+            const item = document.createElement('div');
+            item.className = 'codex-item';
+            item.innerHTML = `
+                <div class="codex-icon">${icon}</div>
+                <div class="codex-name">${enemy.name}</div>
+                <div class="codex-stages">${stages}</div>
+                ${this.renderResistances(enemy.resistances || {})}
+            `;
+            container.appendChild(item);
+        }
+    }
+    
+    /**
+     * Colored element label for a weapon
+     */
+    renderElementTag(elementId) {
+        const element = ELEMENTS[elementId || 'physical'];
+        return `<div class="codex-element" style="color: ${element.color}">${element.icon} ${element.name}</div>`;
+    }
+    
+    /**
+     * Resistance and weakness lines for a bestiary entry
+     */
+    renderResistances(resistances) {
+        const format = ([id, multiplier]) => `${ELEMENTS[id].icon} ×${multiplier}`;
+        const resists = Object.entries(resistances).filter(([, m]) => m < 1).map(format);
+        const weaknesses = Object.entries(resistances).filter(([, m]) => m > 1).map(format);
+        
+        if (resists.length === 0 && weaknesses.length === 0) {
+            return '<div class="codex-desc">No resistances</div>';
+        }
+        return `
+            ${resists.length ? `<div class="codex-resist">Resists ${resists.join(' ')}</div>` : ''}
+            ${weaknesses.length ? `<div class="codex-weak">Weak to ${weaknesses.join(' ')}</div>` : ''}
+        `;
     }
     
     /**
@@ -475,37 +1389,50 @@ class UIClass {
      */
     startGame() {
         this.hideAllOverlays();
-        this.game?.startGame(this.selectedCharacter);
+        
+        // A fresh run replaces any saved one
+        this.game?.discardSavedRun();
+        this.updateCoinDisplays();
+        this.game?.startGame(this.selectedCharacter, this.selectedStage);
+    }
+    
+    /**
+     * Continue the saved run
+     */
+    continueRun() {
+        const snapshot = this.game?.getSavedRun();
+        if (!snapshot) {
+            this.showMainMenu();
+            return;
+        }
+        
+        this.hideAllOverlays();
+        this.game.continueRun(snapshot);
     }
     
     /**
      * Show level up screen
      */
-    showLevelUp(level) {
+    showLevelUp(level, options) {
         // Play level up sound
         this.game.soundManager?.play('levelUp');
 
         const screen = this.elements['level-up-screen'];
-        const levelText = this.elements['current-level'];
-        const choices = this.elements['upgrade-choices'];
-        
-        if (!screen || !choices) return;
+        if (!screen || !this.elements['upgrade-choices']) return;
         
-        // Get upgrade options
-        const options = this.game.player?.getUpgradeOptions(4) || [];
-        
-        // If no upgrades available (all maxed), skip level-up and give bonus coins
-        if (options.length === 0) {
-            // Give bonus coins instead
-            this.game?.addCoins(25);
-            this.game?.resume();
-            
-            // Show a brief message (optional - you can add a toast notification here)
-            console.log('All upgrades maxed! Bonus coins awarded.');
-            return;
-        }
+        this.elements['current-level'].textContent = `Level ${level}`;
+        this.banishing = false;
+        this.renderUpgradeChoices(options);
         
-        levelText.textContent = `Level ${level}`;
+        this.toggleScreen(screen, true);
+    }
+    
+    /**
+     * Fill the level-up screen with upgrade cards and the reroll/skip/banish buttons
+     */
+    renderUpgradeChoices(options) {
+        const screen = this.elements['level-up-screen'];
+        const choices = this.elements['upgrade-choices'];
         
         // Rarity colors
         const RARITY_COLORS = {
@@ -542,6 +1469,10 @@ class UIClass {
             
             card.addEventListener('click', () => {
                 this.game.soundManager?.play('uiSelect');
+                if (this.banishing) {
+                    this.banishUpgrade(option.id);
+                    return;
+                }
                 this.game?.selectUpgrade(option);
                 // element.classList.add('hidden') is too abrupt
                 this.toggleScreen(screen, false);
@@ -550,7 +1481,64 @@ class UIClass {
             choices.appendChild(card);
         }
         
-        this.toggleScreen(screen, true);
+        // Remaining charges for the run
+        const player = this.game.player;
+        const setCharge = (id, label, count) => {
+            const button = this.elements[id];
+            if (!button) return;
+            button.textContent = `${label} (${count})`;
+            button.disabled = count <= 0;
+        };
+        setCharge('btn-reroll', '🎲 REROLL', player.rerolls);
+        setCharge('btn-skip', '⏭️ SKIP', player.skips);
+        setCharge('btn-banish', this.banishing ? '✖ CANCEL BANISH' : '🚫 BANISH', player.banishes);
+        choices.classList.toggle('banishing', this.banishing);
+    }
+    
+    /**
+     * Reroll the level-up options
+     */
+    rerollUpgrades() {
+        this.game.rerollUpgrades();
+        this.banishing = false;
+        this.renderUpgradeChoices(this.game.pendingUpgradeOptions);
+    }
+    
+    /**
+     * Skip this level-up for coins and XP
+     */
+    skipUpgrade() {
+        this.game.skipUpgrade();
+        this.banishing = false;
+        
+        // The skip's XP can roll straight into another level-up
+        if (this.game.state === GameState.LEVEL_UP) {
+            this.renderUpgradeChoices(this.game.pendingUpgradeOptions);
+        } else {
+            this.toggleScreen(this.elements['level-up-screen'], false);
+        }
+    }
+    
+    /**
+     * Toggle banish mode: the next card clicked is banished instead of picked
+     */
+    toggleBanish() {
+        this.banishing = !this.banishing;
+        this.renderUpgradeChoices(this.game.pendingUpgradeOptions);
+    }
+    
+    /**
+     * Banish an offered item for the rest of the run
+     */
+    banishUpgrade(id) {
+        this.game.banishUpgrade(id);
+        this.banishing = false;
+        
+        if (this.game.state === GameState.LEVEL_UP) {
+            this.renderUpgradeChoices(this.game.pendingUpgradeOptions);
+        } else {
+            this.toggleScreen(this.elements['level-up-screen'], false);
+        }
     }
 
     /**
@@ -565,6 +1553,9 @@ class UIClass {
             element._fadeTimeout = null;
         }
         
+        // A new screen starts without a controller highlight
+        this.setGamepadFocus(null);
+        
         if (show) {
             element.classList.remove('hidden');
             // Small delay to allow display:block to apply before opacity transition
@@ -581,6 +1572,97 @@ class UIClass {
         }
     }
     
+    /**
+     * Show or hide an in-game message overlay (timing is handled by the game)
+     */
+    setGameOverlay(id, visible) {
+        this.toggleScreen(document.getElementById(id), visible);
+    }
+    
+    /**
+     * Hide any in-game message overlays left over from a run
+     */
+    hideGameOverlays() {
+        document.querySelectorAll('.game-overlay').forEach(overlay => {
+            if (!overlay.classList.contains('hidden')) {
+                this.toggleScreen(overlay, false);
+            }
+        });
+    }
+    
+    /**
+     * Set the time warning text
+     */
+    setTimeWarningText(message) {
+        const text = document.getElementById('time-warning-text');
+        if (text) {
+            text.textContent = message;
+        }
+    }
+    
+    /**
+     * Show boss health bar
+     */
+    showBossHealthBar(name) {
+        const container = document.getElementById('boss-health-container');
+        const nameEl = document.getElementById('boss-name');
+        if (container && nameEl) {
+            nameEl.textContent = name;
+            container.classList.remove('hidden');
+        }
+        this.setBossPhase('', null);
+    }
+    
+    /**
+     * Show the boss's phase under its name and recolor the bar to match
+     */
+    setBossPhase(name, color) {
+        const container = document.getElementById('boss-health-container');
+        const phaseEl = document.getElementById('boss-phase');
+        if (!container || !phaseEl) return;
+        
+        phaseEl.textContent = name;
+        if (color) {
+            container.style.setProperty('--boss-color', color);
+        } else {
+            container.style.removeProperty('--boss-color');
+        }
+    }
+    
+    /**
+     * Hide boss health bar
+     */
+    hideBossHealthBar() {
+        document.getElementById('boss-health-container')?.classList.add('hidden');
+    }
+    
+    /**
+     * Update boss health bar fill
+     */
+    updateBossHealthBar(currentHp, maxHp) {
+        const fill = document.getElementById('boss-health-fill');
+        if (fill) {
+            const percent = Math.max(0, (currentHp / maxHp) * 100);
+            fill.style.width = percent + '%';
+        }
+    }
+    
+    /**
+     * Show difficulty scaling indicator (persistent, subtle)
+     */
+    showDifficultyIndicator(tierData) {
+        const indicator = document.getElementById('difficulty-indicator');
+        const text = document.getElementById('difficulty-text');
+        
+        if (indicator && text) {
+            // Format: "⚡ HARD MODE x1.5 DMG"
+            const dmgMult = tierData.dmgMult.toFixed(1);
+            const hpMult = tierData.hpMult.toFixed(1);
+            text.textContent = `⚡ ${tierData.name.toUpperCase()} • x${hpMult} HP • x${dmgMult} DMG`;
+            indicator.classList.remove('hidden');
+        }
+    }
+    
     /**
      * Show gold wheel spin animation for mini-boss kill (interactive)
      */
@@ -696,6 +1778,10 @@ class UIClass {
         if (!screen || !statsDiv) return;
         
         statsDiv.innerHTML = `
+            <div class="stat-row">
+                <span class="stat-label">Stage</span>
+                <span class="stat-value">${stats.stage}</span>
+            </div>
             <div class="stat-row">
                 <span class="stat-label">Time Survived</span>
                 <span class="stat-value">${this.formatTime(stats.time)}</span>
@@ -708,11 +1794,25 @@ class UIClass {
                 <span class="stat-label">Enemies Killed</span>
                 <span class="stat-value">${stats.kills}</span>
             </div>
+            <div class="stat-row">
+                <span class="stat-label">Elites Slain</span>
+                <span class="stat-value">${stats.eliteKills}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-label">Critical Hits</span>
+                <span class="stat-value">${stats.critCount}</span>
+            </div>
             <div class="stat-row">
                 <span class="stat-label">Coins Earned</span>
                 <span class="stat-value" style="color: #fbbf24">💰 ${stats.coins}</span>
             </div>
+            <div class="stat-row">
+                <span class="stat-label">Seed</span>
+                <span class="stat-value run-seed">${stats.seed}</span>
+            </div>
+            <div class="weapon-breakdown"></div>
         `;
+        this.renderWeaponTable(statsDiv.querySelector('.weapon-breakdown'), stats.weaponBreakdown, RUN_WEAPON_COLUMNS);
         
         // screen.classList.remove('hidden');
         this.toggleScreen(screen, true);
@@ -728,6 +1828,10 @@ class UIClass {
         if (!screen || !statsDiv) return;
         
         statsDiv.innerHTML = `
+            <div class="stat-row">
+                <span class="stat-label">Stage</span>
+                <span class="stat-value">${stats.stage}</span>
+            </div>
             <div class="stat-row">
                 <span class="stat-label">Time Survived</span>
                 <span class="stat-value">${this.formatTime(stats.time)}</span>
@@ -740,11 +1844,25 @@ class UIClass {
                 <span class="stat-label">Total Kills</span>
                 <span class="stat-value">${stats.kills}</span>
             </div>
+            <div class="stat-row">
+                <span class="stat-label">Elites Slain</span>
+                <span class="stat-value">${stats.eliteKills}</span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-label">Critical Hits</span>
+                <span class="stat-value">${stats.critCount}</span>
+            </div>
             <div class="stat-row">
                 <span class="stat-label">Coins Earned</span>
                 <span class="stat-value" style="color: #fbbf24">💰 ${stats.coins} (+500 bonus!)</span>
             </div>
+            <div class="stat-row">
+                <span class="stat-label">Seed</span>
+                <span class="stat-value run-seed">${stats.seed}</span>
+            </div>
+            <div class="weapon-breakdown"></div>
         `;
+        this.renderWeaponTable(statsDiv.querySelector('.weapon-breakdown'), stats.weaponBreakdown, RUN_WEAPON_COLUMNS);
         
         // screen.classList.remove('hidden');
         this.toggleScreen(screen, true);
@@ -753,18 +1871,27 @@ class UIClass {
     /**
      * Show chest contents
      */
-    showChest(contents) {
+    showChest(chest) {
         const screen = this.elements['chest-screen'];
         const contentsDiv = this.elements['chest-contents'];
         
         if (!screen || !contentsDiv) return;
         
+        const tier = CHEST_TIERS[chest.tier] || CHEST_TIERS.bronze;
+        const rewards = chest.rewards.map((reward, i) => `
+            <div class="chest-reward" data-reward="${i}">
+                <div class="chest-item">${reward.icon}</div>
+                <div class="chest-item-name">${reward.name}</div>
+                <div class="chest-item-desc">${this.getChestItemLabel(reward)}</div>
+            </div>
+        `).join('');
+        
         contentsDiv.innerHTML = `
-            <div class="chest-item">${contents.icon}</div>
-            <div class="chest-item-name">${contents.name}</div>
-            <div class="chest-item-desc">${contents.isNew ? (contents.type === 'passive' ? 'NEW PASSIVE!' : 'NEW WEAPON!') : `Level ${contents.level}`}</div>
+            <div class="chest-tier" style="color: ${tier.color}">${tier.name}</div>
+            <div class="chest-rewards">${rewards}</div>
+            ${chest.rewards.length > 1 ? '<div class="settings-hint hidden">Click a reward to leave it behind</div>' : ''}
             
-            <div class="menu-buttons" style="margin-top: 24px; flex-direction: row; gap: 16px;">
+            <div class="menu-buttons hidden" style="margin-top: 24px; flex-direction: row; gap: 16px;">
                 <button id="btn-chest-discard" class="menu-btn danger">TRASH 🗑️</button>
                 <button id="btn-chest-keep" class="menu-btn primary">TAKE ✨</button>
             </div>
@@ -773,6 +1900,27 @@ class UIClass {
         screen.classList.remove('hidden'); // legacy
         this.toggleScreen(screen, true);
         
+        const cards = [...contentsDiv.querySelectorAll('.chest-reward')];
+        for (const card of cards) {
+            card.addEventListener('click', () => {
+                if (card.classList.contains('revealed')) card.classList.toggle('discarded');
+            });
+        }
+        
+        // Reveal the rewards one at a time, then offer the buttons
+        clearTimeout(this.chestRevealTimeout);
+        let revealed = 0;
+        const revealNext = () => {
+            if (revealed < cards.length) {
+                cards[revealed++].classList.add('revealed');
+                this.game.soundManager?.play('uiSelect', 0.6);
+                this.chestRevealTimeout = setTimeout(revealNext, CHEST_REVEAL_INTERVAL);
+                return;
+            }
+            contentsDiv.querySelectorAll('.hidden').forEach(el => el.classList.remove('hidden'));
+        };
+        revealNext();
+        
         // Add event listeners for the new buttons
         const btnTrash = document.getElementById('btn-chest-discard');
         const btnTake = document.getElementById('btn-chest-keep');
@@ -789,11 +1937,78 @@ class UIClass {
             btnTake.onclick = (e) => {
                 e.preventDefault();
                 e.stopPropagation();
-                this.game?.closeChest(true); // true = keep
+                // Keep everything that wasn't clicked away
+                this.game?.closeChest(cards.map(card => !card.classList.contains('discarded')));
             };
         }
     }
     
+    /**
+     * Get the subtitle shown under a chest reward
+     */
+    getChestItemLabel(contents) {
+        if (contents.type === 'gold') return `+${contents.value} coins`;
+        if (contents.type === 'heal') return `+${contents.value} HP`;
+        if (contents.type === 'reroll') return `+${contents.value} level-up reroll`;
+        if (contents.type === 'evolution') {
+            const base = WEAPONS[contents.from];
+            return `${base?.icon || ''} EVOLUTION! ${base?.name || ''} → ${contents.name}`;
+        }
+        if (!contents.isNew) return `Level ${contents.level}`;
+        return contents.type === 'passive' ? 'NEW PASSIVE!' : 'NEW WEAPON!';
+    }
+    
+    /**
+     * Show the merchant's wares
+     */
+    showMerchant(stock) {
+        const screen = this.elements['merchant-screen'];
+        const list = this.elements['merchant-list'];
+        if (!screen || !list) return;
+        
+        list.innerHTML = '';
+        stock.forEach((offer, i) => {
+            const item = document.createElement('div');
+            item.className = 'shop-item';
+            item.innerHTML = `
+                <div class="icon">${offer.icon}</div>
+                <div class="name">${offer.name}</div>
+                <div class="level">${this.getChestItemLabel(offer)}</div>
+                <div class="cost"></div>
+            `;
+            item.addEventListener('click', () => {
+                if (this.game?.buyShopItem(i)) {
+                    this.updateMerchantStock();
+                }
+            });
+            list.appendChild(item);
+        });
+        
+        this.toggleScreen(screen, true);
+        this.updateMerchantStock();
+    }
+    
+    /**
+     * Refresh sold items, prices the run's coins can't cover, and the coin count
+     */
+    updateMerchantStock() {
+        const stock = this.game?.merchant?.stock || [];
+        const coins = this.game?.coinsCollected || 0;
+        const items = this.elements['merchant-list']?.querySelectorAll('.shop-item') || [];
+        
+        items.forEach((item, i) => {
+            const offer = stock[i];
+            if (!offer) return;
+            item.classList.toggle('maxed', offer.sold);
+            item.classList.toggle('expensive', !offer.sold && coins < offer.price);
+            item.querySelector('.cost').textContent = offer.sold ? 'SOLD' : `💰 ${offer.price}`;
+        });
+        
+        if (this.elements['merchant-coins']) {
+            this.elements['merchant-coins'].textContent = `💰 ${coins}`;
+        }
+    }
+    
     /**
      * Start HUD update loop
      */
@@ -816,6 +2031,8 @@ class UIClass {
         const screen = this.elements['pause-screen'];
         if (!screen) return;
         
+        this.updateDpsMeterButton();
+        
         // Add stats container if it doesn't exist
         let statsContainer = screen.querySelector('.pause-stats-container');
         if (!statsContainer) {
@@ -848,6 +2065,8 @@ class UIClass {
                 { name: 'Growth', value: Math.round(p.growth * 100) + '%', icon: '🌱' },
                 { name: 'Greed', value: Math.round(p.greed * 100) + '%', icon: '💰' },
                 { name: 'Curse', value: Math.round(p.curse * 100) + '%', icon: '💀' },
+                { name: 'Crit Chance', value: Math.round(p.critChance * 100) + '%', icon: '🎯' },
+                { name: 'Crit Damage', value: Math.round(p.critDamage * 100) + '%', icon: '💥' },
                 { name: 'Revival', value: p.revivals, icon: '⚰️' }
             ];
             
@@ -908,7 +2127,33 @@ class UIClass {
                         <div class="equipment-grid">${passivesHtml}</div>
                     </div>
                 </div>
+                <div class="stats-group stats-group-wide">
+                    <div class="stats-group-title">Weapon Damage</div>
+                    <div class="weapon-breakdown"></div>
+                </div>
             `;
+            this.renderWeaponTable(
+                statsContainer.querySelector('.weapon-breakdown'),
+                this.game.getWeaponBreakdown(),
+                RUN_WEAPON_COLUMNS
+            );
+        }
+    }
+    
+    /**
+     * Turn the DPS meter on or off (remembered between runs)
+     */
+    toggleDpsMeter() {
+        this.changeSetting('dpsMeter', !SaveManager.getSetting('dpsMeter'));
+    }
+    
+    /**
+     * Show the DPS meter's state on its pause menu button
+     */
+    updateDpsMeterButton() {
+        const button = document.getElementById('btn-dps-meter');
+        if (button) {
+            button.textContent = `📊 DPS METER: ${SaveManager.getSetting('dpsMeter') ? 'ON' : 'OFF'}`;
         }
     }
     
@@ -919,6 +2164,10 @@ class UIClass {
         const player = this.game?.player;
         if (!player) return;
         
+        if (this.game.settings.fpsCounter) {
+            this.updateFpsCounter();
+        }
+        
         // Health
         const hpPercent = player.getHpPercent();
         if (this.elements['health-fill']) {
@@ -952,6 +2201,9 @@ class UIClass {
             this.elements['coin-count'].textContent = `💰 ${this.game.coinsCollected}`;
         }
         
+        // Dash and ultimate
+        this.updateAbilities(player);
+        
         // Update weapon slots
         this.updateWeaponSlots(player);
         
@@ -959,6 +2211,34 @@ class UIClass {
         this.updatePassiveSlots(player);
     }
     
+    /**
+     * Dash cooldown and ultimate charge indicators (the shade drains as they come back)
+     */
+    updateAbilities(player) {
+        const input = this.game.input;
+        
+        const dash = this.elements['ability-dash'];
+        if (dash) {
+            const remaining = Math.max(0, player.dashCooldownTimer) / player.getDashCooldown();
+            dash.querySelector('.ability-cooldown').style.height = `${remaining * 100}%`;
+            dash.querySelector('.ability-key').textContent = input.getActionLabel?.('dash') ?? '';
+            dash.classList.toggle('ready', remaining === 0);
+        }
+        
+        const ultimate = this.elements['ability-ultimate'];
+        if (ultimate) {
+            ultimate.classList.toggle('hidden', !player.ultimate);
+            if (!player.ultimate) return;
+            
+            const remaining = 1 - player.ultimateCharge / player.ultimate.charge;
+            ultimate.querySelector('.ability-icon').textContent = player.ultimate.icon;
+            ultimate.querySelector('.ability-cooldown').style.height = `${remaining * 100}%`;
+            ultimate.querySelector('.ability-key').textContent = input.getActionLabel?.('ultimate') ?? '';
+            ultimate.title = `${player.ultimate.name}: ${player.ultimate.description}`;
+            ultimate.classList.toggle('ready', player.isUltimateReady());
+        }
+    }
+    
     /**
      * Update weapon slot display
      */
@@ -987,7 +2267,7 @@ class UIClass {
             slot.className = 'slot';
             slot.innerHTML = `
                 <span>${weapon.icon}</span>
-                <span class="level-badge">${weapon.level}</span>
+                <span class="level-badge">${WEAPONS[weapon.id]?.evolution ? '★' : weapon.level}</span>
             `;
             
             // Hover handlers for tooltip
@@ -1159,6 +2439,23 @@ class UIClass {
         }
     }
     
+    /**
+     * Count rendered frames and show the rate twice a second
+     */
+    updateFpsCounter() {
+        const now = performance.now();
+        this.fpsFrames++;
+        
+        if (now - this.fpsSince >= 500) {
+            const fps = Math.round(this.fpsFrames * 1000 / (now - this.fpsSince));
+            if (this.elements['fps-counter']) {
+                this.elements['fps-counter'].textContent = `${fps} FPS`;
+            }
+            this.fpsFrames = 0;
+            this.fpsSince = now;
+        }
+    }
+    
     /**
      * Format time in ms to MM:SS
      */
@@ -14,10 +14,10 @@ export class Axe extends Weapon {
         this.game.soundManager?.play('slash', 0.6);
         for (let i = 0; i < this.projectiles; i++) {
             // Random upward angle
-            const angle = -Math.PI / 2 + (Math.random() - 0.5) * 0.5;
-            const spreadX = (Math.random() - 0.5) * 0.8;
+            const angle = -Math.PI / 2 + (this.game.rng.next() - 0.5) * 0.5;
+            const spreadX = (this.game.rng.next() - 0.5) * 0.8;
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 150, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -25,6 +25,7 @@ export class Axe extends Weapon {
                     dy: Math.sin(angle),
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: this.duration,
                     size: 14 * this.area,
@@ -38,7 +39,7 @@ export class Axe extends Weapon {
                     trailLength: 10,
                     glowIntensity: 0.8, // Radians per second
                 });
-            }, i * 150);
+            });
         }
     }
 }
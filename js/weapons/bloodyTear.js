@@ -0,0 +1,48 @@
+/**
+ * Bloody Tear Weapon
+ * Evolved Whip - lashes both sides at once and heals on hit
+ */
+
+import { Weapon } from './weapon.js';
+import { WEAPONS } from '../data/config.js';
+
+export class BloodyTear extends Weapon {
+    constructor(player) {
+        super(player, 'bloodyTear');
+        this.healPerHit = WEAPONS.bloodyTear.healPerHit || 1;
+    }
+    
+    fire() {
+        this.game.soundManager?.play('slash', 0.5);
+        const width = 120 * this.area;
+        const height = 40 * this.area;
+        
+        for (let i = 0; i < this.projectiles; i++) {
+            const direction = i % 2 === 0 ? 1 : -1;
+            // Extra lashes stack vertically
+            const row = Math.floor(i / 2);
+            const offsetY = (row % 2 === 0 ? 1 : -1) * Math.ceil(row / 2) * height;
+            
+            this.game.projectileManager?.spawn({
+                x: this.player.x + direction * width / 2,
+                y: this.player.y + offsetY,
+                dx: direction,
+                dy: 0,
+                offsetY: offsetY,
+                speed: 0, // Stationary
+                damage: this.damage,
+                source: this.id,
+                pierce: this.pierce,
+                duration: this.duration,
+                width: width,
+                height: height,
+                color: '#dc2626',
+                type: 'melee',
+                shape: 'whip',
+                knockback: this.knockback * 2,
+                owner: this.player,
+                onHit: () => this.player.heal(this.healPerHit),
+            });
+        }
+    }
+}
@@ -49,6 +49,7 @@ export class Bone extends Weapon {
                 dy: dy,
                 speed: this.speed,
                 damage: this.damage,
+                source: this.id,
                 pierce: this.pierce,
                 duration: this.duration,
                 size: 12 * this.area,
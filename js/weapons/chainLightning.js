@@ -38,8 +38,8 @@ export class ChainLightning extends Weapon {
                 
                 // Deal damage
                 const actualDamage = damage * Math.pow(0.85, i); // Slight damage falloff
-                currentTarget.takeDamage(actualDamage);
-                game.addDamageDealt(actualDamage);
+                currentTarget.takeDamage(actualDamage, this.id);
+                this.hitProps(currentTarget.x, currentTarget.y, currentTarget.radius);
                 
                 hitEnemies.add(currentTarget.id);
                 chainPath.push({ x: currentTarget.x, y: currentTarget.y });
@@ -0,0 +1,55 @@
+/**
+ * Crimson Shroud Weapon
+ * Evolved Garlic - wide draining aura that restores HP per enemy hit
+ */
+
+import { Garlic } from './garlic.js';
+import { WEAPONS } from '../data/config.js';
+
+export class CrimsonShroud extends Garlic {
+    constructor(player) {
+        super(player, 'crimsonShroud');
+        this.healPerHit = WEAPONS.crimsonShroud.healPerHit || 0.1;
+        this.maxHealPerPulse = WEAPONS.crimsonShroud.maxHealPerPulse || 1;
+    }
+    
+    fire() {
+        this.game.soundManager?.play('slash', 0.3);
+        const enemies = this.getEnemiesInRange(this.radius);
+        this.hitProps(this.player.x, this.player.y, this.radius);
+        let hits = 0;
+        
+        for (const enemy of enemies) {
+            const dx = enemy.x - this.player.x;
+            const dy = enemy.y - this.player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            
+            if (dist <= this.radius) {
+                enemy.takeDamage(this.damage, this.id);
+                hits++;
+                
+                // Knockback
+                if (dist > 0) {
+                    const knockbackForce = this.knockback * (1 - enemy.knockbackResist);
+                    enemy.applyKnockback(dx / dist * knockbackForce, dy / dist * knockbackForce);
+                }
+                
+                this.game.particles.spawn(enemy.x, enemy.y, '#dc2626', 3);
+            }
+        }
+        
+        // Drain - heal silently so the damage numbers don't flood the player
+        if (hits > 0 && this.player.hp < this.player.maxHp) {
+            const heal = Math.min(this.maxHealPerPulse, hits * this.healPerHit);
+            this.player.hp = Math.min(this.player.maxHp, this.player.hp + heal);
+        }
+        
+        this.game.particles.ring(
+            this.player.x,
+            this.player.y,
+            this.radius,
+            '#dc2626',
+            0.3
+        );
+    }
+}
@@ -18,7 +18,7 @@ export class Cross extends Weapon {
             const dx = Math.cos(baseAngle);
             const dy = Math.sin(baseAngle);
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 100, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -26,6 +26,7 @@ export class Cross extends Weapon {
                     dy: dy,
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: this.duration,
                     size: 12 * this.area,
@@ -39,7 +40,7 @@ export class Cross extends Weapon {
                     rotationSpeed: 10,
                     trailLength: 8,
                 });
-            }, i * 100);
+            });
         }
     }
 }
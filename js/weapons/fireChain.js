@@ -41,6 +41,7 @@ export class FireChain extends Weapon {
                 dy: dy,
                 speed: this.speed,
                 damage: this.damage,
+                source: this.id,
                 pierce: this.pierce,
                 duration: 1500,
                 size: 10 * this.area,
@@ -13,6 +13,7 @@ export class Fireball extends Weapon {
     fire() {
         this.game.soundManager?.play('shoot', 0.5);
         const target = this.getNearestEnemy();
+        const burn = { type: 'burn', dps: this.damage * 0.25, duration: 2000 };
         
         for (let i = 0; i < this.projectiles; i++) {
             let dx, dy;
@@ -46,7 +47,7 @@ export class Fireball extends Weapon {
                 dy = newDy;
             }
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 100, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -54,6 +55,7 @@ export class Fireball extends Weapon {
                     dy: dy,
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: this.duration,
                     size: 12 * this.area,
@@ -61,15 +63,17 @@ export class Fireball extends Weapon {
                     type: 'projectile',
                     shape: 'fireball',
                     trailLength: 12,
+                    statusEffects: [burn],
                     onHit: (proj, target) => {
                         this.game.soundManager?.play('explosion', 0.6);
                         // AoE Damage
                         const radius = 60 * this.area;
                         const enemies = this.game.enemyManager.getEnemiesNear(proj.x, proj.y, radius);
+                        this.hitProps(proj.x, proj.y, radius);
                         for (const enemy of enemies) {
-                            if (enemy !== target) { // Target already took damage from collision
-                                enemy.takeDamage(proj.damage);
-                                this.game.addDamageDealt(proj.damage);
+                            if (enemy !== target) { // Target already took damage (and burn) from collision
+                                enemy.takeDamage(proj.damage, this.id);
+                                enemy.applyStatus({ ...burn, source: this.id });
                             }
                         }
                         // Explosion Effect
@@ -81,7 +85,7 @@ export class Fireball extends Weapon {
                         this.game.particles?.burst(proj.x, proj.y, '#ef4444', 10);
                     }
                 });
-            }, i * 100);
+            });
         }
     }
 }
@@ -7,10 +7,10 @@ import { Weapon } from './weapon.js';
 import { WEAPONS } from '../data/config.js';
 
 export class Garlic extends Weapon {
-    constructor(player) {
-        super(player, 'garlic');
+    constructor(player, weaponId = 'garlic') {
+        super(player, weaponId);
         // Set baseRadius AFTER super() but need to recalculate since super calls recalculateStats
-        this.baseRadius = WEAPONS.garlic.baseRadius || 50;
+        this.baseRadius = WEAPONS[weaponId].baseRadius || 50;
         this.hitEnemies = new Set(); // Track recently hit enemies
         this.hitCooldown = 500; // Time before can hit same enemy again
         // Recalculate stats now that baseRadius is set
@@ -41,6 +41,7 @@ export class Garlic extends Weapon {
     fire() {
         this.game.soundManager?.play('slash', 0.3);
         const enemies = this.getEnemiesInRange(this.radius);
+        this.hitProps(this.player.x, this.player.y, this.radius);
         
         for (const enemy of enemies) {
             // Check distance
@@ -50,8 +51,7 @@ export class Garlic extends Weapon {
             
             if (dist <= this.radius) {
                 // Damage enemy
-                enemy.takeDamage(this.damage);
-                this.game.addDamageDealt(this.damage);
+                enemy.takeDamage(this.damage, this.id);
                 
                 // Knockback
                 if (dist > 0) {
@@ -21,27 +21,28 @@ export class Hellfire extends Weapon {
     fire() {
         for (let i = 0; i < this.projectiles; i++) {
             // Random position around player
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * this.range;
+            const angle = this.game.rng.next() * Math.PI * 2;
+            const distance = this.game.rng.next() * this.range;
             const targetX = this.player.x + Math.cos(angle) * distance;
             const targetY = this.player.y + Math.sin(angle) * distance;
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 100, () => {
                 // Warning indicator
                 this.game.particles?.ring(targetX, targetY, 20 * this.area, '#ef4444', 0.3);
                 
                 // Delayed strike
-                setTimeout(() => {
+                this.game.scheduler.after(300, () => {
                     // Damage enemies in area
                     const enemies = this.getEnemiesInRange(this.range);
+                    this.hitProps(targetX, targetY, 40 * this.area);
                     for (const enemy of enemies) {
                         const dx = enemy.x - targetX;
                         const dy = enemy.y - targetY;
                         const dist = Math.sqrt(dx * dx + dy * dy);
                         
                         if (dist < 40 * this.area) {
-                            enemy.takeDamage(this.damage);
-                            this.game.addDamageDealt(this.damage);
+                            enemy.takeDamage(this.damage, this.id);
+                            enemy.applyStatus({ type: 'burn', dps: this.damage * 0.2, duration: 2500, source: this.id });
                             this.game.particles?.spawn(enemy.x, enemy.y, '#ef4444', 5);
                         }
                     }
@@ -49,8 +50,8 @@ export class Hellfire extends Weapon {
                     // Visual explosion
                     this.game.particles?.burst(targetX, targetY, '#ef4444', 12);
                     this.game.particles?.burst(targetX, targetY, '#fbbf24', 8);
-                }, 300);
-            }, i * 100);
+                });
+            });
         }
     }
 }
@@ -0,0 +1,69 @@
+/**
+ * Holy Wand Weapon
+ * Evolved Magic Wand - fires a volley at the nearest enemies with no stagger
+ */
+
+import { Weapon } from './weapon.js';
+
+export class HolyWand extends Weapon {
+    constructor(player) {
+        super(player, 'holyWand');
+    }
+    
+    fire() {
+        this.game.soundManager?.play('shoot', 0.3);
+        
+        // Spread the volley over the closest enemies instead of just one
+        const enemies = this.getEnemiesInRange(600)
+            .map(enemy => ({
+                enemy,
+                dist: (enemy.x - this.player.x) ** 2 + (enemy.y - this.player.y) ** 2,
+            }))
+            .sort((a, b) => a.dist - b.dist);
+        
+        for (let i = 0; i < this.projectiles; i++) {
+            const target = enemies.length > 0 ? enemies[i % enemies.length].enemy : null;
+            let dx, dy;
+            
+            if (target) {
+                dx = target.x - this.player.x;
+                dy = target.y - this.player.y;
+            } else {
+                // Fan out in facing direction
+                const angle = Math.atan2(this.player.facingY, this.player.facingX) +
+                    (i - (this.projectiles - 1) / 2) * 0.2;
+                dx = Math.cos(angle);
+                dy = Math.sin(angle);
+            }
+            
+            // Normalize
+            const len = Math.sqrt(dx * dx + dy * dy);
+            if (len > 0) {
+                dx /= len;
+                dy /= len;
+            } else {
+                dx = 1;
+                dy = 0;
+            }
+            
+            this.game.projectileManager?.spawn({
+                x: this.player.x,
+                y: this.player.y,
+                dx: dx,
+                dy: dy,
+                speed: this.speed,
+                damage: this.damage,
+                source: this.id,
+                pierce: this.pierce,
+                duration: 2000,
+                size: 9 * this.area,
+                color: '#fde68a',
+                type: 'projectile',
+                shape: 'magic',
+                pulseSpeed: 10,
+                glowIntensity: 1.5,
+                trailLength: 8,
+            });
+        }
+    }
+}
@@ -14,8 +14,8 @@ export class HolyWater extends Weapon {
         this.game.soundManager?.play('shoot', 0.4);
         for (let i = 0; i < this.projectiles; i++) {
             // Random direction
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 50 + Math.random() * 150;
+            const angle = this.game.rng.next() * Math.PI * 2;
+            const distance = 50 + this.game.rng.next() * 150;
             
             const targetX = this.player.x + Math.cos(angle) * distance;
             const targetY = this.player.y + Math.sin(angle) * distance;
@@ -24,7 +24,7 @@ export class HolyWater extends Weapon {
             const dx = Math.cos(angle);
             const dy = Math.sin(angle);
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 200, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -34,6 +34,7 @@ export class HolyWater extends Weapon {
                     targetY: targetY,
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: this.duration,
                     size: 30 * this.area,
@@ -42,7 +43,7 @@ export class HolyWater extends Weapon {
                     shape: 'pool',
                     tickRate: 200, // Damage every 200ms
                 });
-            }, i * 200);
+            });
         }
     }
 }
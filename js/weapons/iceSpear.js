@@ -1,6 +1,6 @@
 /**
  * Ice Spear Weapon
- * Piercing ice projectiles that slow enemies
+ * Piercing ice projectiles that slow enemies and can freeze them
  */
 
 import { Weapon } from './weapon.js';
@@ -46,7 +46,7 @@ export class IceSpear extends Weapon {
                 dy = newDy;
             }
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 50, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -54,6 +54,7 @@ export class IceSpear extends Weapon {
                     dy: dy,
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: this.duration,
                     size: 10 * this.area,
@@ -61,9 +62,12 @@ export class IceSpear extends Weapon {
                     type: 'projectile',
                     shape: 'ice',
                     trailLength: 10,
-                    slow: 0.5, // Slow enemies by 50%
+                    statusEffects: [
+                        { type: 'slow', factor: 0.5, duration: 1500 }, // Slow enemies by 50%
+                        { type: 'freeze', duration: 800, chance: 0.2 },
+                    ],
                 });
-            }, i * 50);
+            });
         }
     }
 }
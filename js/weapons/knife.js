@@ -51,6 +51,7 @@ export class Knife extends Weapon {
                 dy: fdy,
                 speed: this.speed,
                 damage: this.damage,
+                source: this.id,
                 pierce: this.pierce,
                 duration: 1500,
                 size: 6 * this.area,
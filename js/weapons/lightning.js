@@ -31,7 +31,7 @@ export class Lightning extends Weapon {
         
         // Strike random enemies
         const targets = [];
-        const shuffled = [...enemies].sort(() => Math.random() - 0.5);
+        const shuffled = this.game.rng.shuffle([...enemies]);
         
         for (let i = 0; i < this.projectiles && i < shuffled.length; i++) {
             targets.push(shuffled[i]);
@@ -40,11 +40,11 @@ export class Lightning extends Weapon {
         for (let i = 0; i < targets.length; i++) {
             const enemy = targets[i];
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 50, () => {
                 if (!enemy.dead) {
                     // Deal damage
-                    enemy.takeDamage(this.damage);
-                    this.game.addDamageDealt(this.damage);
+                    enemy.takeDamage(this.damage, this.id);
+                    this.hitProps(enemy.x, enemy.y, enemy.radius);
                     
                     // Lightning visual effect
                     this.game.particles.lightning(
@@ -62,7 +62,7 @@ export class Lightning extends Weapon {
                         8
                     );
                 }
-            }, i * 50);
+            });
         }
     }
 }
@@ -48,7 +48,7 @@ export class MagicWand extends Weapon {
             }
             
             // Spawn projectile with delay for multiple
-            setTimeout(() => {
+            this.game.scheduler.after(i * 80, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -56,6 +56,7 @@ export class MagicWand extends Weapon {
                     dy: dy,
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: 2000,
                     size: 8 * this.area,
@@ -65,7 +66,7 @@ export class MagicWand extends Weapon {
                     pulseSpeed: 8,
                     trailLength: 6,
                 });
-            }, i * 80);
+            });
         }
     }
 }
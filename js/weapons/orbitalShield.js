@@ -36,7 +36,7 @@ export class OrbitalShield extends Weapon {
         this.damageEnemies();
         
         // Clean up old cooldowns
-        const now = Date.now();
+        const now = this.game.gameTime;
         for (const [id, time] of this.hitCooldowns) {
             if (now - time > 500) {
                 this.hitCooldowns.delete(id);
@@ -52,6 +52,7 @@ export class OrbitalShield extends Weapon {
             const angle = this.orbitAngle + (i * Math.PI * 2 / this.projectiles);
             const shieldX = this.player.x + Math.cos(angle) * this.radius;
             const shieldY = this.player.y + Math.sin(angle) * this.radius;
+            this.hitProps(shieldX, shieldY, shieldSize);
             
             for (const enemy of enemies) {
                 // Check if already hit recently
@@ -62,9 +63,8 @@ export class OrbitalShield extends Weapon {
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 
                 if (dist < shieldSize + enemy.radius) {
-                    enemy.takeDamage(this.damage);
-                    this.game.addDamageDealt(this.damage);
-                    this.hitCooldowns.set(enemy.id, Date.now());
+                    enemy.takeDamage(this.damage, this.id);
+                    this.hitCooldowns.set(enemy.id, this.game.gameTime);
                     
                     // Knockback
                     if (dist > 0) {
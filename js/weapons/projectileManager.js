@@ -44,9 +44,12 @@ export class ProjectileManager {
             rotation: options.rotation || 0,
             rotationSpeed: options.rotationSpeed || 0,
             owner: options.owner || null,
+            offsetY: options.offsetY || 0, // Melee: vertical offset kept from the owner
+            source: options.source || null, // Weapon id, for per-weapon damage stats
             returnTime: options.returnTime || 0,
             returning: false,
             knockback: options.knockback || 5,
+            statusEffects: options.statusEffects || null, // e.g. [{ type: 'burn', dps, duration }]
             tickRate: options.tickRate || 0,
             lastTick: 0,
             targetX: options.targetX,
@@ -202,7 +205,7 @@ export class ProjectileManager {
         if (p.owner) {
             const offsetX = p.dx * (p.width / 2);
             p.x = p.owner.x + offsetX;
-            p.y = p.owner.y;
+            p.y = p.owner.y + p.offsetY;
         }
     }
     
@@ -232,7 +235,7 @@ export class ProjectileManager {
     }
     
     /**
-     * Check collisions with enemies
+     * Check collisions with enemies (and the map's breakable props)
      */
     checkEnemyCollisions(enemyManager) {
         for (const p of this.projectiles) {
@@ -246,35 +249,21 @@ export class ProjectileManager {
                 p.hitEnemies.clear(); // Reset hits for new tick
             }
             
+            const reach = Math.max(p.size, p.width, p.height) + 50;
+            
+            // Props break on any hit, without using up pierce
+            this.game.propManager?.breakPropsNear(p.x, p.y, reach, prop => this.hitsCircle(p, prop.x, prop.y, prop.radius));
+            
             // Get nearby enemies
-            const enemies = enemyManager.getEnemiesNear(p.x, p.y, Math.max(p.size, p.width, p.height) + 50);
+            const enemies = enemyManager.getEnemiesNear(p.x, p.y, reach);
             
             for (const enemy of enemies) {
                 // Skip already hit enemies (for piercing projectiles)
                 if (p.hitEnemies.has(enemy.id)) continue;
                 
-                // Check collision based on projectile shape
-                let hit = false;
-                
-                if (p.width > 0 && p.height > 0) {
-                    // Rectangle collision (melee)
-                    hit = this.rectCircleCollision(
-                        p.x - p.width / 2, p.y - p.height / 2,
-                        p.width, p.height,
-                        enemy.x, enemy.y, enemy.radius
-                    );
-                } else {
-                    // Circle collision
-                    const dx = p.x - enemy.x;
-                    const dy = p.y - enemy.y;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    hit = dist < p.size + enemy.radius;
-                }
-                
-                if (hit) {
+                if (this.hitsCircle(p, enemy.x, enemy.y, enemy.radius)) {
                     // Deal damage
-                    enemy.takeDamage(p.damage);
-                    this.game.addDamageDealt(p.damage);
+                    enemy.takeDamage(p.damage, p.source);
                     
                     // Apply knockback
                     const dx = enemy.x - p.x;
@@ -283,9 +272,11 @@ export class ProjectileManager {
                     const knockbackForce = p.knockback * (1 - enemy.knockbackResist);
                     enemy.applyKnockback(dx / dist * knockbackForce, dy / dist * knockbackForce);
                     
-                    // Apply slow if present
-                    if (p.slow) {
-                        enemy.applySlow(p.slow, p.duration || 1000);
+                    // Apply status effects (credited to the projectile's weapon)
+                    if (p.statusEffects) {
+                        for (const effect of p.statusEffects) {
+                            enemy.applyStatus({ source: p.source, ...effect });
+                        }
                     }
                     
                     // Mark as hit
@@ -313,6 +304,23 @@ export class ProjectileManager {
         }
     }
     
+    /**
+     * Check collision based on projectile shape: rectangle for melee, circle otherwise
+     */
+    hitsCircle(p, x, y, radius) {
+        if (p.width > 0 && p.height > 0) {
+            return this.rectCircleCollision(
+                p.x - p.width / 2, p.y - p.height / 2,
+                p.width, p.height,
+                x, y, radius
+            );
+        }
+        
+        const dx = p.x - x;
+        const dy = p.y - y;
+        return Math.sqrt(dx * dx + dy * dy) < p.size + radius;
+    }
+    
     /**
      * Rectangle-circle collision
      */
@@ -34,7 +34,7 @@ export class ReaperScythe extends Weapon {
         
         // Spawn hitboxes with staggered timing for sweep effect
         for (let i = 0; i <= arcSegments; i++) {
-            setTimeout(() => {
+            this.game.scheduler.after(i * 12, () => {
                 const angle = arcStart + (arcEnd - arcStart) * (i / arcSegments);
                 const distance = 65 * this.area;
                 const x = this.player.x + Math.cos(angle) * distance;
@@ -47,6 +47,7 @@ export class ReaperScythe extends Weapon {
                     dy: 0,
                     speed: 0,
                     damage: this.damage,
+                    source: this.id,
                     pierce: 999,
                     duration: this.duration / 2,
                     size: 45 * this.area,
@@ -55,7 +56,7 @@ export class ReaperScythe extends Weapon {
                     shape: 'invisible', // Hide the actual projectile
                     pattern: 'linear',
                 });
-            }, i * 12);
+            });
         }
         
         this.sweepAngle += Math.PI;
@@ -74,9 +75,9 @@ export class ReaperScythe extends Weapon {
             
             rifts.push({
                 angle: angle,
-                radius: Math.max(0.1, 65 * this.area + (Math.random() - 0.5) * 15),
-                width: 30 + Math.random() * 20,
-                height: 8 + Math.random() * 6,
+                radius: Math.max(0.1, 65 * this.area + (this.game.rng.next() - 0.5) * 15),
+                width: 30 + this.game.rng.next() * 20,
+                height: 8 + this.game.rng.next() * 6,
                 rotation: angle + Math.PI / 2,
                 opacity: 0.9,
                 expansion: 0,
@@ -94,18 +95,18 @@ export class ReaperScythe extends Weapon {
         const particleCount = 40;
         
         for (let i = 0; i < particleCount; i++) {
-            const angle = startAngle + (endAngle - startAngle) * Math.random();
-            const radius = Math.max(0.1, 65 * this.area + (Math.random() - 0.5) * 30);
+            const angle = startAngle + (endAngle - startAngle) * this.game.rng.next();
+            const radius = Math.max(0.1, 65 * this.area + (this.game.rng.next() - 0.5) * 30);
             
             particles.push({
                 angle: angle,
                 radius: radius,
-                size: 2 + Math.random() * 5,
-                speed: 1 + Math.random() * 2,
-                drift: (Math.random() - 0.5) * 0.02,
-                opacity: 0.8 + Math.random() * 0.2,
-                type: Math.random() > 0.7 ? 'soul' : 'energy',
-                pulsePhase: Math.random() * Math.PI * 2,
+                size: 2 + this.game.rng.next() * 5,
+                speed: 1 + this.game.rng.next() * 2,
+                drift: (this.game.rng.next() - 0.5) * 0.02,
+                opacity: 0.8 + this.game.rng.next() * 0.2,
+                type: this.game.rng.next() > 0.7 ? 'soul' : 'energy',
+                pulsePhase: this.game.rng.next() * Math.PI * 2,
             });
         }
         
@@ -13,11 +13,11 @@ export class RuneTracer extends Weapon {
     fire() {
         for (let i = 0; i < this.projectiles; i++) {
             // Random direction for each projectile
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.game.rng.next() * Math.PI * 2;
             const dx = Math.cos(angle);
             const dy = Math.sin(angle);
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 200, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -25,6 +25,7 @@ export class RuneTracer extends Weapon {
                     dy: dy,
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: this.duration,
                     size: 10 * this.area,
@@ -37,7 +38,7 @@ export class RuneTracer extends Weapon {
                     trailLength: 8,
                     pulseSpeed: 10,
                 });
-            }, i * 200);
+            });
         }
     }
 }
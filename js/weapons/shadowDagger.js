@@ -15,7 +15,7 @@ export class ShadowDagger extends Weapon {
         if (enemies.length === 0) return;
         
         // Get random enemies to strike
-        const shuffled = [...enemies].sort(() => Math.random() - 0.5);
+        const shuffled = this.game.rng.shuffle([...enemies]);
         const targets = shuffled.slice(0, this.projectiles);
         
         for (const target of targets) {
@@ -27,6 +27,7 @@ export class ShadowDagger extends Weapon {
                 dy: 0,
                 speed: 0,
                 damage: this.damage,
+                source: this.id,
                 pierce: 999,
                 duration: this.duration,
                 size: 25 * this.area,
@@ -34,6 +35,7 @@ export class ShadowDagger extends Weapon {
                 type: 'melee', // Use melee type for instant hit
                 shape: 'dagger',
                 pattern: 'linear',
+                statusEffects: [{ type: 'bleed', dps: this.damage * 0.1, duration: 3000 }],
             });
         }
     }
@@ -50,7 +50,7 @@ export class SoulEater extends Weapon {
             
             const self = this;
             
-            setTimeout(() => {
+            this.game.scheduler.after(i * 80, () => {
                 this.game.projectileManager?.spawn({
                     x: this.player.x,
                     y: this.player.y,
@@ -58,6 +58,7 @@ export class SoulEater extends Weapon {
                     dy: dy,
                     speed: this.speed,
                     damage: this.damage,
+                    source: this.id,
                     pierce: this.pierce,
                     duration: this.duration,
                     size: 12 * this.area,
@@ -73,7 +74,7 @@ export class SoulEater extends Weapon {
                         self.game.particles?.spawn(self.player.x, self.player.y, '#22c55e', 3);
                     }
                 });
-            }, i * 80);
+            });
         }
     }
 }
@@ -86,12 +86,12 @@ export class SpectralSword extends Weapon {
             // Check collision with enemies
             const hitRadius = 25 * area;
             const nearby = game.enemyManager?.getEnemiesNear(swordX, swordY, hitRadius) || [];
+            this.hitProps(swordX, swordY, hitRadius);
             
             for (const enemy of nearby) {
                 if (!enemy.hitBySword) {
-                    enemy.hitBySword = Date.now();
-                    enemy.takeDamage(damage);
-                    game.addDamageDealt(damage);
+                    enemy.hitBySword = game.gameTime;
+                    enemy.takeDamage(damage, this.id);
                     game.particles.burst(swordX, swordY, '#8b5cf6', 5);
                     
                     // Apply small knockback
@@ -105,7 +105,7 @@ export class SpectralSword extends Weapon {
         // Reset hit tracking periodically
         if (game.enemyManager) {
             for (const enemy of game.enemyManager.enemies) {
-                if (enemy.hitBySword && Date.now() - enemy.hitBySword > 500) {
+                if (enemy.hitBySword && game.gameTime - enemy.hitBySword > 500) {
                     delete enemy.hitBySword;
                 }
             }
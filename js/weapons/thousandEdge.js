@@ -0,0 +1,60 @@
+/**
+ * Thousand Edge Weapon
+ * Evolved Knife - a constant stream of piercing blades
+ */
+
+import { Weapon } from './weapon.js';
+
+export class ThousandEdge extends Weapon {
+    constructor(player) {
+        super(player, 'thousandEdge');
+    }
+    
+    fire() {
+        this.game.soundManager?.play('shoot', 0.2);
+        
+        // Whole volley goes at one target so the blades stack up
+        const target = this.game.enemyManager?.getRandomEnemyInRange(
+            this.player.x,
+            this.player.y,
+            500
+        );
+        
+        let dx, dy;
+        
+        if (target) {
+            dx = target.x - this.player.x;
+            dy = target.y - this.player.y;
+        } else {
+            dx = this.player.facingX || 1;
+            dy = this.player.facingY || 0;
+        }
+        
+        // Normalize
+        const len = Math.sqrt(dx * dx + dy * dy);
+        const ndx = len > 0 ? dx / len : 1;
+        const ndy = len > 0 ? dy / len : 0;
+        
+        for (let i = 0; i < this.projectiles; i++) {
+            // Offset sideways so the blades travel in parallel lanes
+            const offset = (i - (this.projectiles - 1) / 2) * 10;
+            
+            this.game.projectileManager?.spawn({
+                x: this.player.x + ndx * 10 - ndy * offset,
+                y: this.player.y + ndy * 10 + ndx * offset,
+                dx: ndx,
+                dy: ndy,
+                speed: this.speed,
+                damage: this.damage,
+                source: this.id,
+                pierce: this.pierce,
+                duration: 1200,
+                size: 6 * this.area,
+                color: '#e2e8f0',
+                type: 'projectile',
+                shape: 'knife',
+                trailLength: 8,
+            });
+        }
+    }
+}
@@ -26,6 +26,7 @@ export class ThrowingStar extends Weapon {
         dy: dy,
         speed: this.speed,
         damage: this.damage,
+        source: this.id,
         pierce: this.pierce,
         duration: 1200,
         size: 8 * this.area,
@@ -53,8 +53,8 @@ export class VoidBeam extends Weapon {
         
         // Initial burst particles
         for (let i = 0; i < 15; i++) {
-            const angle = this.beamAngle + (Math.random() - 0.5) * 0.5;
-            const dist = Math.random() * 100;
+            const angle = this.beamAngle + (this.game.rng.next() - 0.5) * 0.5;
+            const dist = this.game.rng.next() * 100;
             this.game.particles?.spawn(
                 this.player.x + Math.cos(angle) * dist,
                 this.player.y + Math.sin(angle) * dist,
@@ -69,6 +69,21 @@ export class VoidBeam extends Weapon {
         const beamWidth = 30 * this.area;
         
         const enemies = this.game.enemyManager?.enemies || [];
+        const beamDirX = Math.cos(this.beamAngle);
+        const beamDirY = Math.sin(this.beamAngle);
+        
+        // Props along the beam, searched around its midpoint
+        this.game.propManager?.breakPropsNear(
+            this.player.x + beamDirX * beamLength / 2,
+            this.player.y + beamDirY * beamLength / 2,
+            beamLength / 2 + beamWidth,
+            prop => {
+                const dx = prop.x - this.player.x;
+                const dy = prop.y - this.player.y;
+                const dot = dx * beamDirX + dy * beamDirY;
+                return dot > 0 && dot < beamLength && Math.abs(dx * beamDirY - dy * beamDirX) < beamWidth + prop.radius;
+            }
+        );
         
         for (const enemy of enemies) {
             // Check if enemy is in beam path
@@ -76,8 +91,6 @@ export class VoidBeam extends Weapon {
             const dy = enemy.y - this.player.y;
             
             // Project enemy position onto beam direction
-            const beamDirX = Math.cos(this.beamAngle);
-            const beamDirY = Math.sin(this.beamAngle);
             const dot = dx * beamDirX + dy * beamDirY;
             
             if (dot > 0 && dot < beamLength) {
@@ -87,8 +100,7 @@ export class VoidBeam extends Weapon {
                 if (perpDist < beamWidth + enemy.radius) {
                     // Only damage once per beam activation
                     if (!this.hitEnemies.has(enemy.id)) {
-                        enemy.takeDamage(this.damage);
-                        this.game.addDamageDealt(this.damage);
+                        enemy.takeDamage(this.damage, this.id);
                         this.hitEnemies.add(enemy.id);
                         this.game.particles?.spawn(enemy.x, enemy.y, '#8b5cf6', 5);
                     }
@@ -97,9 +109,9 @@ export class VoidBeam extends Weapon {
         }
         
         // Continuous particle effects along beam
-        if (Math.random() < 0.3) {
-            const dist = Math.random() * beamLength;
-            const perpOffset = (Math.random() - 0.5) * beamWidth * 2;
+        if (this.game.rng.next() < 0.3) {
+            const dist = this.game.rng.next() * beamLength;
+            const perpOffset = (this.game.rng.next() - 0.5) * beamWidth * 2;
             const px = this.player.x + Math.cos(this.beamAngle) * dist + Math.cos(this.beamAngle + Math.PI/2) * perpOffset;
             const py = this.player.y + Math.sin(this.beamAngle) * dist + Math.sin(this.beamAngle + Math.PI/2) * perpOffset;
             this.game.particles?.spawn(px, py, '#c084fc', 2);
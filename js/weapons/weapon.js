@@ -93,6 +93,26 @@ export class Weapon {
         }
     }
     
+    /**
+     * Save level and cooldown for a run snapshot
+     */
+    serialize() {
+        return {
+            id: this.id,
+            level: this.level,
+            cooldownTimer: this.cooldownTimer,
+        };
+    }
+    
+    /**
+     * Restore level and cooldown from a run snapshot
+     */
+    restore(data) {
+        this.level = Math.min(data.level, this.maxLevel);
+        this.recalculateStats();
+        this.cooldownTimer = data.cooldownTimer;
+    }
+    
     /**
      * Update weapon
      */
@@ -135,4 +155,11 @@ export class Weapon {
         if (!this.game.enemyManager) return [];
         return this.game.enemyManager.getEnemiesNear(this.player.x, this.player.y, range);
     }
+    
+    /**
+     * Break any props in a hit area (projectile hits check props on their own)
+     */
+    hitProps(x, y, radius) {
+        this.game.propManager?.areaHit(x, y, radius);
+    }
 }
@@ -25,6 +25,10 @@ import { ChainLightning } from './chainLightning.js';
 import { ShadowDagger } from './shadowDagger.js';
 import { ThunderStrike } from './thunderStrike.js';
 import { ReaperScythe } from './reaperScythe.js';
+import { HolyWand } from './holyWand.js';
+import { ThousandEdge } from './thousandEdge.js';
+import { BloodyTear } from './bloodyTear.js';
+import { CrimsonShroud } from './crimsonShroud.js';
 
 export class WeaponFactory {
     static create(weaponId, player) {
@@ -77,6 +81,16 @@ export class WeaponFactory {
                 return new ThunderStrike(player);
             case 'reaperScythe':
                 return new ReaperScythe(player);
+            
+            // Evolutions
+            case 'holyWand':
+                return new HolyWand(player);
+            case 'thousandEdge':
+                return new ThousandEdge(player);
+            case 'bloodyTear':
+                return new BloodyTear(player);
+            case 'crimsonShroud':
+                return new CrimsonShroud(player);
             default:
                 console.error(`No implementation for weapon: ${weaponId}`);
                 return null;
@@ -28,6 +28,7 @@ export class Whip extends Weapon {
                 dy: 0,
                 speed: 0, // Stationary
                 damage: this.damage,
+                source: this.id,
                 pierce: this.pierce,
                 duration: this.duration,
                 width: width,